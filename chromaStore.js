@@ -0,0 +1,47 @@
+const { ChromaClient } = require('chromadb');
+const { getConfig } = require('./config');
+
+/**
+ * Create the ChromaDB backend
+ * @param {Object} options - { path: Chroma server URL, client: existing ChromaClient }
+ * @returns {Object} - Backend with getCollection(name, metadata)
+ */
+function createChromaStore(options = {}) {
+  // Connects to a running ChromaDB server
+  // Default: http://localhost:8000
+  const chromaPath = options.path || getConfig('store.chromaPath');
+  const client = options.client || new ChromaClient({
+    path: chromaPath
+  });
+  // Setup hints are printed once, not on every retry
+  let hinted = false;
+
+  return {
+    name: 'chroma',
+
+    async getCollection(name, metadata = {}) {
+      try {
+        // Try to get existing collection or create new one
+        const collection = await client.getOrCreateCollection({
+          name,
+          metadata
+        });
+        console.log('[VectorDB] Chroma initialized successfully');
+        return collection;
+      } catch (error) {
+        console.error('[VectorDB] Error initializing Chroma:', error.message);
+        if (!hinted) {
+          hinted = true;
+          console.error('[VectorDB] Make sure ChromaDB server is running on', chromaPath);
+          console.error('[VectorDB] Run: docker run -p 8000:8000 chromadb/chroma');
+          console.error('[VectorDB] Or set VECTOR_STORE=local to use the embedded store');
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createChromaStore,
+};
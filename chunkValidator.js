@@ -0,0 +1,229 @@
+const { tokenize } = require('./lexicalIndex');
+const { getConfig } = require('./config');
+
+/**
+ * Quality checks for extracted memory chunks, following the rules in the
+ * extraction prompt (memoryProcessor.processConversations):
+ *   flow      - facts, not conversation flow ("discussed", "shifted to")
+ *   pronoun   - self-contained: does not open with a pronoun ("They miss...")
+ *   length    - 1 to CHUNK_MAX_SENTENCES sentences, at least CHUNK_MIN_WORDS words
+ *   duplicate - not the same fact as an earlier chunk (word overlap)
+ * and, for a batch, how many of the names and numbers of the input summaries
+ * made it into some chunk (coverage). A chunk's score is 1 minus
+ * ISSUE_PENALTY per issue.
+ */
+
+// Phrases that describe the conversation instead of stating a fact
+const FLOW_PHRASES = [
+  /\bdiscuss(?:ed|es|ing|ion)\b/i,
+  /\bshift(?:ed|s|ing)? (?:to|the|topics?|focus)\b/i,
+  /\b(?:the|this|our) (?:conversation|chat|discussion)\b/i,
+  /\bmoved on to\b/i,
+  /\bchang(?:ed|es|ing) (?:the )?(?:topic|subject)s?\b/i,
+  /\btalked about\b/i,
+  /\basked (?:about|for|the assistant)\b/i,
+  /\bthe assistant\b/i
+];
+// Words a self-contained chunk cannot start with
+const OPENING_PRONOUNS = /^(they|them|their|he|him|his|she|her|it|its|this|that|these|those)\b/i;
+// Capitalized words that are not facts about the user
+const NON_FACT_WORDS = new Set(['user', 'assistant', 'i', 'ai']);
+const ISSUE_PENALTY = 0.25;
+
+/**
+ * Read the validation settings from the configuration
+ * @returns {Object} - { mode: off | warn | reject, maxSentences, minWords, duplicateSimilarity, minCoverage }
+ */
+function getValidationSettings() {
+  return {
+    mode: getConfig('validation.mode'),
+    maxSentences: getConfig('validation.maxSentences'),
+    minWords: getConfig('validation.minWords'),
+    // Share of distinct words two chunks have in common to count as the same fact
+    duplicateSimilarity: getConfig('validation.duplicateSimilarity'),
+    // Share of the summaries' names and numbers the chunks should keep
+    minCoverage: getConfig('validation.minCoverage')
+  };
+}
+
+/**
+ * Split a narrative into sentences ("$30,000." and "e.g. Tokyo" do not end one)
+ * @param {string} text - Narrative
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z"'])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Share of distinct terms two term sets have in common (Jaccard)
+ * @param {Set<string>} a - Terms
+ * @param {Set<string>} b - Terms
+ * @returns {number} - Similarity in [0, 1]
+ */
+function termOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Check one chunk against the single-chunk rules
+ * @param {string} narrative - Chunk narrative
+ * @param {Object} settings - Settings from getValidationSettings
+ * @returns {Array} - Issues { rule, message }
+ */
+function checkChunk(narrative, settings) {
+  const issues = [];
+  const text = String(narrative || '').trim();
+
+  const flow = FLOW_PHRASES.map(pattern => text.match(pattern)).filter(Boolean);
+  if (flow.length > 0) {
+    issues.push({ rule: 'flow', message: `describes the conversation ("${flow[0][0]}") instead of a fact` });
+  }
+
+  const pronoun = text.match(OPENING_PRONOUNS);
+  if (pronoun) {
+    issues.push({ rule: 'pronoun', message: `starts with "${pronoun[0]}" without saying who or what it is` });
+  }
+
+  const sentences = splitSentences(text).length;
+  const words = text.split(/\s+/).filter(Boolean).length;
+  if (sentences > settings.maxSentences) {
+    issues.push({ rule: 'length', message: `${sentences} sentences (at most ${settings.maxSentences})` });
+  } else if (words < settings.minWords) {
+    issues.push({ rule: 'length', message: `${words} word(s) (at least ${settings.minWords})` });
+  }
+
+  return issues;
+}
+
+/**
+ * Names and numbers in the summaries, the facts chunks should keep:
+ * capitalized words inside a sentence and numbers of two or more digits
+ * @param {Array<string>} summaries - Input summaries
+ * @returns {Array<Object>} - Facts { term: index form, text: as written }
+ */
+function extractKeyFacts(summaries) {
+  const facts = new Map();
+  summaries.forEach(summary => {
+    splitSentences(summary).forEach(sentence => {
+      const words = sentence.match(/\$?[\p{L}\p{N}][\p{L}\p{N},.'-]*/gu) || [];
+      words.forEach((word, idx) => {
+        const cleaned = word.replace(/[.,']+$/, '').replace(/'s$/, '');
+        const isName = idx > 0 && /^\p{Lu}/u.test(cleaned) && !NON_FACT_WORDS.has(cleaned.toLowerCase());
+        const isNumber = /\d/.test(cleaned);
+        if (!isName && !isNumber) {
+          return;
+        }
+        const [term] = tokenize(cleaned);
+        if (term && !facts.has(term)) {
+          facts.set(term, { term, text: cleaned });
+        }
+      });
+    });
+  });
+  return [...facts.values()];
+}
+
+/**
+ * Share of the summaries' key facts found in at least one chunk
+ * @param {Array<string>} narratives - Chunk narratives
+ * @param {Array<string>} summaries - Input summaries
+ * @returns {Object|null} - { score, total, missing: facts as written }, or null when the summaries name nothing
+ */
+function checkCoverage(narratives, summaries) {
+  const facts = extractKeyFacts(summaries);
+  if (facts.length === 0) {
+    return null;
+  }
+  const chunkTerms = new Set(narratives.flatMap(narrative => tokenize(narrative)));
+  const missing = facts.filter(fact => !chunkTerms.has(fact.term)).map(fact => fact.text);
+  return { score: (facts.length - missing.length) / facts.length, total: facts.length, missing };
+}
+
+/**
+ * Score a batch of chunks. Duplicates are checked against earlier chunks of
+ * the batch; coverage only when the input summaries are given.
+ * @param {Array} chunks - Chunks {narrative} (or stored memories {id, narrative})
+ * @param {Object} options - { summaries: input summaries, for coverage }
+ * @param {Object} settings - Settings from getValidationSettings
+ * @returns {Object} - { results: [{ id, narrative, score, issues }], coverage, flagged: chunks with issues, score: mean score }
+ */
+function validateChunks(chunks, options = {}, settings = getValidationSettings()) {
+  const seen = [];
+  const results = chunks.map((chunk, idx) => {
+    const issues = checkChunk(chunk.narrative, settings);
+
+    const terms = new Set(tokenize(chunk.narrative));
+    const duplicate = seen.find(earlier => termOverlap(terms, earlier.terms) >= settings.duplicateSimilarity);
+    if (duplicate) {
+      issues.push({ rule: 'duplicate', message: `same fact as chunk ${duplicate.idx + 1}` });
+    }
+    seen.push({ idx, terms });
+
+    return {
+      id: chunk.id || null,
+      narrative: chunk.narrative,
+      score: Math.max(0, 1 - ISSUE_PENALTY * issues.length),
+      issues
+    };
+  });
+
+  const coverage = options.summaries && options.summaries.length > 0
+    ? checkCoverage(chunks.map(chunk => chunk.narrative), options.summaries)
+    : null;
+
+  return {
+    results,
+    coverage,
+    flagged: results.filter(result => result.issues.length > 0).length,
+    score: results.length > 0 ? results.reduce((sum, result) => sum + result.score, 0) / results.length : 1
+  };
+}
+
+/**
+ * Describe a validation report for the console
+ * @param {Object} report - Report from validateChunks
+ * @param {Object} settings - Settings from getValidationSettings
+ * @returns {string}
+ */
+function formatValidationReport(report, settings = getValidationSettings()) {
+  const lines = [`Chunk quality: ${report.results.length - report.flagged}/${report.results.length} chunks pass, mean score ${report.score.toFixed(2)}`];
+
+  report.results.forEach((result, idx) => {
+    if (result.issues.length === 0) {
+      return;
+    }
+    lines.push(`  ${idx + 1}. ${result.id ? `[${result.id}] ` : ''}${result.narrative}`);
+    result.issues.forEach(issue => lines.push(`     - ${issue.rule}: ${issue.message}`));
+  });
+
+  if (report.coverage) {
+    const percent = Math.round(report.coverage.score * 100);
+    const warning = report.coverage.score < settings.minCoverage ? ` (below ${Math.round(settings.minCoverage * 100)}%)` : '';
+    lines.push(`  Coverage: ${percent}% of ${report.coverage.total} names and numbers in the summaries${warning}`);
+    if (report.coverage.missing.length > 0) {
+      lines.push(`  Missing: ${report.coverage.missing.join(', ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  getValidationSettings,
+  validateChunks,
+  checkCoverage,
+  formatValidationReport,
+};
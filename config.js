@@ -0,0 +1,477 @@
+require('dotenv').config();
+const fs = require('fs');
+
+/**
+ * Central configuration. Every setting is declared once in SETTINGS with
+ * its type, default and the environment variable that sets it. Values are
+ * resolved per read, highest precedence first:
+ *   1. runtime changes made with setConfig (the REPL's `config set`)
+ *   2. command line flags (--retrieval.limit 5)
+ *   3. environment variables (.env included)
+ *   4. the JSON config file (MEMORY_CONFIG, default ./memory.config.json)
+ *   5. the default
+ * Only settings marked `runtime` can be changed with setConfig; the others
+ * are read once when a client, store or cache is created.
+ */
+
+const DEFAULT_CONFIG_PATH = './memory.config.json';
+
+// type: string, integer, number, boolean or enum (one of `values`)
+const SETTINGS = [
+  // Model provider
+  { key: 'llm.provider', env: 'LLM_PROVIDER', type: 'enum', values: ['openai', 'openai-compatible', 'local', 'stub'], default: 'openai', description: 'Chat and embedding provider' },
+  { key: 'llm.baseUrl', env: 'LLM_BASE_URL', type: 'string', default: null, description: 'Endpoint of the openai-compatible provider' },
+  { key: 'llm.apiKey', env: 'LLM_API_KEY', type: 'string', default: null, secret: true, description: 'API key of the openai-compatible provider' },
+  { key: 'llm.openaiApiKey', env: 'OPENAI_API_KEY', type: 'string', default: null, secret: true, description: 'OpenAI API key' },
+  { key: 'llm.stubScript', env: 'LLM_STUB_SCRIPT', type: 'string', default: null, description: 'JSON file with scripted replies for the stub provider' },
+  { key: 'llm.chatModel', env: 'LLM_CHAT_MODEL', type: 'string', default: 'gpt-4o', runtime: true, description: 'Model for chat, summaries and extraction' },
+  { key: 'llm.fastModel', env: 'LLM_FAST_MODEL', type: 'string', default: 'gpt-4o-mini', runtime: true, description: 'Model for query planning and reranking' },
+  { key: 'llm.embeddingModel', env: 'EMBEDDING_MODEL', type: 'string', default: 'text-embedding-3-small', description: 'Embedding model (stored memories must be re-embedded after a change)' },
+  { key: 'llm.timeoutMs', env: 'LLM_TIMEOUT_MS', type: 'integer', min: 0, default: 60000, runtime: true, description: 'Timeout of a model call (0 = none)' },
+  { key: 'llm.maxRetries', env: 'LLM_MAX_RETRIES', type: 'integer', min: 0, default: 2, runtime: true, description: 'Retries of a failed model call' },
+  { key: 'llm.retryBaseMs', env: 'RETRY_BASE_MS', type: 'integer', min: 0, default: 500, runtime: true, description: 'First backoff delay of model and store retries' },
+
+  // Sampling per task
+  { key: 'chat.temperature', env: 'CHAT_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.7, runtime: true, description: 'Temperature of chat replies' },
+  { key: 'chat.maxTokens', env: 'CHAT_MAX_TOKENS', type: 'integer', min: 1, default: 1000, runtime: true, description: 'Longest chat reply in tokens' },
+  { key: 'extraction.temperature', env: 'EXTRACTION_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.7, runtime: true, description: 'Temperature of memory extraction' },
+  { key: 'extraction.maxTokens', env: 'EXTRACTION_MAX_TOKENS', type: 'integer', min: 1, default: 2500, runtime: true, description: 'Longest extraction reply in tokens' },
+  { key: 'summarization.temperature', env: 'SUMMARIZATION_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.12, runtime: true, description: 'Temperature of conversation summaries and compaction' },
+  { key: 'summarization.maxTokens', env: 'SUMMARIZATION_MAX_TOKENS', type: 'integer', min: 1, default: 1000, runtime: true, description: 'Longest conversation summary in tokens' },
+  { key: 'reformulation.temperature', env: 'REFORMULATION_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.3, runtime: true, description: 'Temperature of search query planning' },
+  { key: 'reformulation.maxTokens', env: 'REFORMULATION_MAX_TOKENS', type: 'integer', min: 1, default: 200, runtime: true, description: 'Longest query planning reply in tokens' },
+  { key: 'merge.temperature', env: 'MERGE_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.2, runtime: true, description: 'Temperature of merging a chunk into a stored memory' },
+  { key: 'merge.maxTokens', env: 'MERGE_MAX_TOKENS', type: 'integer', min: 1, default: 500, runtime: true, description: 'Longest merged memory in tokens' },
+  { key: 'contradiction.temperature', env: 'CONTRADICTION_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0, runtime: true, description: 'Temperature of contradiction checks' },
+  { key: 'contradiction.maxTokens', env: 'CONTRADICTION_MAX_TOKENS', type: 'integer', min: 1, default: 300, runtime: true, description: 'Longest contradiction check reply in tokens' },
+
+  // Prompt templates
+  { key: 'prompts.dir', env: 'PROMPTS_DIR', type: 'string', default: null, description: 'Directory of the prompt templates (unset = ./prompts)' },
+
+  // Vector store
+  { key: 'store.backend', env: 'VECTOR_STORE', type: 'enum', values: ['chroma', 'local'], default: 'chroma', description: 'Vector store backend' },
+  { key: 'store.chromaPath', env: 'CHROMA_PATH', type: 'string', default: 'http://localhost:8000', description: 'ChromaDB server URL' },
+  { key: 'store.localPath', env: 'LOCAL_STORE_PATH', type: 'string', default: './memory_store', description: 'Directory of the local store' },
+  { key: 'store.collection', env: 'MEMORY_COLLECTION', type: 'string', pattern: /^[a-zA-Z0-9][a-zA-Z0-9_-]{2,39}$/, default: 'memories', description: 'Collection of the default user (other users get <collection>_<user>_<hash>)' },
+  { key: 'store.timeoutMs', env: 'VECTOR_STORE_TIMEOUT_MS', type: 'integer', min: 0, default: 10000, runtime: true, description: 'Timeout of a vector store call (0 = none)' },
+  { key: 'store.maxRetries', env: 'VECTOR_STORE_MAX_RETRIES', type: 'integer', min: 0, default: 1, runtime: true, description: 'Retries of a failed vector store call' },
+  { key: 'store.breakerThreshold', env: 'BREAKER_FAILURE_THRESHOLD', type: 'integer', min: 1, default: 3, description: 'Consecutive store failures that open the circuit' },
+  { key: 'store.breakerCooldownMs', env: 'BREAKER_COOLDOWN_MS', type: 'integer', min: 0, default: 30000, description: 'How long the open circuit skips the store' },
+
+  // Storing memories
+  { key: 'dedup.skipSimilarity', env: 'DEDUP_SKIP_SIMILARITY', type: 'number', min: 0, max: 1, default: 0.95, runtime: true, description: 'Similarity at which a new chunk is skipped as already stored' },
+  { key: 'dedup.mergeSimilarity', env: 'DEDUP_MERGE_SIMILARITY', type: 'number', min: 0, max: 1, default: 0.85, runtime: true, description: 'Similarity at which a new chunk is merged into its nearest memory' },
+  { key: 'dedup.conflictSimilarity', env: 'CONFLICT_MIN_SIMILARITY', type: 'number', min: 0, max: 1, default: 0.5, runtime: true, description: 'Similarity at which a stored memory is checked for contradictions' },
+
+  // Search and ranking
+  { key: 'search.maxDistance', env: 'SEARCH_MAX_DISTANCE', type: 'number', min: 0, max: 2, default: 0.75, runtime: true, description: 'Cosine distance beyond which a memory is not relevant' },
+  { key: 'search.lexicalMinScore', env: 'LEXICAL_MIN_SCORE', type: 'number', min: 0, default: 1.5, runtime: true, description: 'BM25 score that keeps a memory beyond the distance cutoff' },
+  { key: 'search.vectorWeight', env: 'HYBRID_VECTOR_WEIGHT', type: 'number', min: 0, max: 1, default: 0.7, runtime: true, description: 'Weight of vector similarity against keyword score' },
+  { key: 'ranking.similarityWeight', env: 'RANK_WEIGHT_SIMILARITY', type: 'number', min: 0, default: 0.7, runtime: true, description: 'Weight of relevance in the memory score' },
+  { key: 'ranking.recencyWeight', env: 'RANK_WEIGHT_RECENCY', type: 'number', min: 0, default: 0.15, runtime: true, description: 'Weight of recency in the memory score' },
+  { key: 'ranking.importanceWeight', env: 'RANK_WEIGHT_IMPORTANCE', type: 'number', min: 0, default: 0.15, runtime: true, description: 'Weight of importance in the memory score' },
+  { key: 'ranking.halfLifeDays', env: 'RECENCY_HALF_LIFE_DAYS', type: 'number', min: 0, default: 30, runtime: true, description: 'Days after which the recency score has halved' },
+  { key: 'retrieval.limit', env: 'RETRIEVAL_LIMIT', type: 'integer', min: 1, default: 3, runtime: true, description: 'Memories injected into a chat turn' },
+  { key: 'retrieval.maxSubQueries', env: 'MAX_SUB_QUERIES', type: 'integer', min: 1, default: 3, runtime: true, description: 'Search queries planned for one message' },
+  { key: 'retrieval.rrfK', env: 'RRF_K', type: 'number', min: 0, default: 60, runtime: true, description: 'Damping of reciprocal-rank fusion' },
+  { key: 'retrieval.rerankCandidates', env: 'RERANK_CANDIDATES', type: 'integer', min: 1, default: 20, runtime: true, description: 'Candidates passed to the reranker' },
+  { key: 'retrieval.reranker', env: 'RERANKER', type: 'enum', values: ['lexical', 'llm'], default: 'lexical', runtime: true, description: 'Second-stage reranker' },
+
+  // Embeddings
+  { key: 'embedding.batchSize', env: 'EMBEDDING_BATCH_SIZE', type: 'integer', min: 1, default: 64, runtime: true, description: 'Texts per embedding request' },
+  { key: 'embedding.cachePath', env: 'EMBEDDING_CACHE_PATH', type: 'string', allowEmpty: true, default: './embedding_cache.jsonl', description: 'Embedding cache file (empty = in memory only)' },
+  { key: 'embedding.cacheMaxEntries', env: 'EMBEDDING_CACHE_MAX_ENTRIES', type: 'integer', min: 1, default: 2000, description: 'Embeddings kept in the cache' },
+  { key: 'embedding.maxRetries', env: 'EMBEDDING_MAX_RETRIES', type: 'integer', min: 0, default: 5, runtime: true, description: 'Retries of a failed embedding request' },
+  { key: 'embedding.retryBaseMs', env: 'EMBEDDING_RETRY_BASE_MS', type: 'integer', min: 0, default: 500, runtime: true, description: 'First backoff delay of embedding retries' },
+
+  // Prompt budget and conversation cache
+  { key: 'context.tokenBudget', env: 'CONTEXT_TOKEN_BUDGET', type: 'integer', min: 1, default: 3000, runtime: true, description: 'Prompt token budget' },
+  { key: 'context.memoryShare', env: 'CONTEXT_MEMORY_SHARE', type: 'number', min: 0, max: 1, default: 0.2, runtime: true, description: 'Share of the budget for memories' },
+  { key: 'context.summaryShare', env: 'CONTEXT_SUMMARY_SHARE', type: 'number', min: 0, max: 1, default: 0.25, runtime: true, description: 'Share of the budget for the rolling summary' },
+  { key: 'cache.tokenLimit', env: 'CACHE_TOKEN_LIMIT', type: 'integer', min: 1, default: null, runtime: true, description: 'Cache size in tokens that triggers summarization (default 40% of the budget)' },
+  { key: 'cache.maxMessages', env: 'CACHE_MAX_MESSAGES', type: 'integer', min: 2, default: 7, runtime: true, description: 'Cached messages that trigger summarization' },
+  { key: 'summary.charBudget', env: 'SUMMARY_CHAR_BUDGET', type: 'integer', min: 1, default: 6000, runtime: true, description: 'Size of the rolling summary before it is compacted' },
+  { key: 'summary.keepRecent', env: 'SUMMARY_KEEP_RECENT', type: 'integer', min: 0, default: 2, runtime: true, description: 'Recent summaries never compacted' },
+
+  // Automatic processing
+  { key: 'autoProcess.enabled', env: 'AUTO_PROCESS', type: 'boolean', default: true, runtime: true, description: 'Process summaries automatically (exit processing is set by autoProcess.onExit)' },
+  { key: 'autoProcess.maxSummaries', env: 'AUTO_PROCESS_MAX_SUMMARIES', type: 'integer', min: 0, default: 3, runtime: true, description: 'Summaries that trigger processing (0 = off)' },
+  { key: 'autoProcess.maxSummaryChars', env: 'AUTO_PROCESS_MAX_SUMMARY_CHARS', type: 'integer', min: 0, default: 4000, runtime: true, description: 'Rolling summary size that triggers processing (0 = off)' },
+  { key: 'autoProcess.idleMinutes', env: 'AUTO_PROCESS_IDLE_MINUTES', type: 'number', min: 0, default: 10, runtime: true, description: 'Idle time that triggers processing (0 = off)' },
+  { key: 'autoProcess.onExit', env: 'AUTO_PROCESS_ON_EXIT', type: 'boolean', default: true, runtime: true, description: 'Process unsaved conversation on exit, even with autoProcess.enabled off' },
+  { key: 'autoProcess.logPath', env: 'AUTO_PROCESS_LOG', type: 'string', default: './auto-process.log', description: 'Log of automatic processing runs' },
+
+  // Chunk quality checks
+  { key: 'validation.mode', env: 'CHUNK_VALIDATION', type: 'enum', values: ['off', 'warn', 'reject'], default: 'warn', runtime: true, description: 'What happens to chunks that break the extraction rules' },
+  { key: 'validation.maxSentences', env: 'CHUNK_MAX_SENTENCES', type: 'integer', min: 1, default: 4, runtime: true, description: 'Most sentences in a chunk' },
+  { key: 'validation.minWords', env: 'CHUNK_MIN_WORDS', type: 'integer', min: 1, default: 4, runtime: true, description: 'Fewest words in a chunk' },
+  { key: 'validation.duplicateSimilarity', env: 'CHUNK_DUPLICATE_SIMILARITY', type: 'number', min: 0, max: 1, default: 0.8, runtime: true, description: 'Word overlap at which two chunks are the same fact' },
+  { key: 'validation.minCoverage', env: 'CHUNK_MIN_COVERAGE', type: 'number', min: 0, max: 1, default: 0.6, runtime: true, description: 'Share of the summaries\' names and numbers the chunks should keep' },
+
+  // Session
+  { key: 'session.statePath', env: 'SESSION_STATE_PATH', type: 'string', default: './session_state.json', description: 'Saved session state' },
+  { key: 'session.user', env: 'MEMORY_USER', type: 'string', default: null, description: 'User active at start (unset = the default user)' },
+
+  // Transcripts
+  { key: 'transcripts.enabled', env: 'SAVE_TRANSCRIPTS', type: 'boolean', default: true, runtime: true, description: 'Save raw conversations so memories can be traced to their source' },
+  { key: 'transcripts.dir', env: 'TRANSCRIPT_DIR', type: 'string', default: './transcripts', description: 'Directory of the saved transcripts, one file per user' }
+];
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map(setting => [setting.key, setting]));
+
+// Rules that involve more than one setting
+const CROSS_CHECKS = [
+  {
+    keys: ['dedup.skipSimilarity', 'dedup.mergeSimilarity'],
+    check: get => (get('dedup.mergeSimilarity') > get('dedup.skipSimilarity')
+      ? 'dedup.mergeSimilarity must not be above dedup.skipSimilarity'
+      : null)
+  },
+  {
+    keys: ['context.memoryShare', 'context.summaryShare'],
+    check: get => (get('context.memoryShare') + get('context.summaryShare') >= 1
+      ? 'context.memoryShare and context.summaryShare must leave part of the budget for recent turns'
+      : null)
+  },
+  {
+    keys: ['llm.provider', 'llm.baseUrl'],
+    check: get => (['openai-compatible', 'local'].includes(get('llm.provider')) && !get('llm.baseUrl')
+      ? 'LLM_BASE_URL (llm.baseUrl) must be set for the openai-compatible provider'
+      : null)
+  }
+];
+
+let fileLayer = null; // { path, values: Map } once the config file is read
+let flagValues = new Map();
+const runtimeValues = new Map();
+
+/**
+ * Flatten a parsed config file into dotted keys ({ retrieval: { limit: 5 } } -> retrieval.limit)
+ * @param {Object} object - Parsed JSON
+ * @param {string} prefix - Key prefix
+ * @param {Map} values - Map filled with key -> value
+ * @returns {Map}
+ */
+function flattenFile(object, prefix = '', values = new Map()) {
+  Object.entries(object).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !SETTINGS_BY_KEY.has(key)) {
+      flattenFile(value, key, values);
+    } else {
+      values.set(key, value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Read the config file: the given path, MEMORY_CONFIG, or ./memory.config.json when it exists
+ * @param {string} [filePath] - Path given with --config
+ * @returns {Object} - { path (null without a file), values: Map }
+ */
+function readConfigFile(filePath) {
+  let configPath = filePath;
+  if (configPath === undefined) {
+    configPath = process.env.MEMORY_CONFIG !== undefined ? process.env.MEMORY_CONFIG : null;
+  }
+  if (configPath === null && fs.existsSync(DEFAULT_CONFIG_PATH)) {
+    configPath = DEFAULT_CONFIG_PATH;
+  }
+  if (!configPath) {
+    return { path: null, values: new Map() };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${configPath} must contain a JSON object`);
+  }
+  return { path: configPath, values: flattenFile(parsed) };
+}
+
+/**
+ * The config file layer, read on first use
+ * @returns {Object} - { path, values }
+ */
+function getFileLayer() {
+  if (!fileLayer) {
+    fileLayer = readConfigFile();
+  }
+  return fileLayer;
+}
+
+/**
+ * Parse command line flags: --config <file> and --<key> <value> (or --<key>=<value>)
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { file, values: Map of key -> raw value }
+ */
+function parseConfigArgs(argv) {
+  const values = new Map();
+  let file;
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument "${argv[i]}" (expected --<setting> <value>)`);
+    }
+    const [, key, inline] = match;
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    if (key === 'config') {
+      file = value;
+    } else if (!SETTINGS_BY_KEY.has(key)) {
+      throw new Error(`Unknown setting --${key} (type "config" in the app for the list)`);
+    } else {
+      values.set(key, value);
+    }
+  }
+  return { file, values };
+}
+
+/**
+ * Convert a raw value to the setting's type and check its bounds
+ * @param {Object} setting - Entry of SETTINGS
+ * @param {*} raw - Value from a layer (string from env or flags, any JSON type from the file)
+ * @param {string} label - How the value was given, for the error message
+ * @returns {*} - Typed value
+ */
+function parseValue(setting, raw, label) {
+  if (raw === null) {
+    return null;
+  }
+
+  let value;
+  switch (setting.type) {
+    case 'integer':
+    case 'number':
+      value = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+      if (!Number.isFinite(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`Invalid ${label} "${raw}" (expected ${setting.type === 'integer' ? 'a whole number' : 'a number'})`);
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        throw new Error(`Invalid ${label} "${raw}" (at least ${setting.min})`);
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        throw new Error(`Invalid ${label} "${raw}" (at most ${setting.max})`);
+      }
+      return value;
+
+    case 'boolean':
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      if (/^(true|1|yes|on)$/i.test(String(raw))) {
+        return true;
+      }
+      if (/^(false|0|no|off)$/i.test(String(raw))) {
+        return false;
+      }
+      throw new Error(`Invalid ${label} "${raw}" (expected true or false)`);
+
+    case 'enum':
+      value = String(raw).toLowerCase();
+      if (!setting.values.includes(value)) {
+        const expected = `${setting.values.slice(0, -1).join(', ')} or ${setting.values[setting.values.length - 1]}`;
+        throw new Error(`Unknown ${label} "${raw}" (expected ${expected})`);
+      }
+      return value;
+
+    default:
+      value = String(raw);
+      if (setting.pattern && !setting.pattern.test(value)) {
+        throw new Error(`Invalid ${label} "${raw}" (does not match ${setting.pattern})`);
+      }
+      return value;
+  }
+}
+
+/**
+ * Find the layer that sets a setting
+ * @param {Object} setting - Entry of SETTINGS
+ * @returns {Object} - { raw, source: runtime | flag | env | file | default, label }
+ */
+function resolveRaw(setting) {
+  if (runtimeValues.has(setting.key)) {
+    return { raw: runtimeValues.get(setting.key), source: 'runtime', label: setting.key };
+  }
+  if (flagValues.has(setting.key)) {
+    return { raw: flagValues.get(setting.key), source: 'flag', label: `--${setting.key}` };
+  }
+  const envValue = process.env[setting.env];
+  // An empty variable counts as unset, as in "LLM_BASE_URL=" left in .env
+  if (envValue !== undefined && (envValue !== '' || setting.allowEmpty)) {
+    return { raw: envValue, source: 'env', label: setting.env };
+  }
+  const file = getFileLayer();
+  if (file.values.has(setting.key)) {
+    return { raw: file.values.get(setting.key), source: 'file', label: setting.key };
+  }
+  return { raw: setting.default, source: 'default', label: setting.key };
+}
+
+/**
+ * Look up a setting's declaration
+ * @param {string} key - Setting key, e.g. retrieval.limit
+ * @returns {Object} - Entry of SETTINGS
+ */
+function getSetting(key) {
+  const setting = SETTINGS_BY_KEY.get(key);
+  if (!setting) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  return setting;
+}
+
+/**
+ * Effective value of a setting
+ * @param {string} key - Setting key, e.g. retrieval.limit
+ * @returns {*} - Typed value (null when unset and without a default)
+ */
+function getConfig(key) {
+  const setting = getSetting(key);
+  const { raw, source, label } = resolveRaw(setting);
+  try {
+    return parseValue(setting, raw, label);
+  } catch (error) {
+    if (source === 'file') {
+      error.message += ` in ${getFileLayer().path}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check every setting and the rules between them
+ * @returns {Array<string>} - Problems found (empty when the configuration is valid)
+ */
+function validateConfig() {
+  const errors = [];
+  let file;
+  try {
+    file = getFileLayer();
+  } catch (error) {
+    return [error.message];
+  }
+  file.values.forEach((value, key) => {
+    if (!SETTINGS_BY_KEY.has(key)) {
+      errors.push(`Unknown setting ${key} in ${file.path}`);
+    }
+  });
+
+  const invalid = new Set();
+  SETTINGS.forEach(setting => {
+    try {
+      getConfig(setting.key);
+    } catch (error) {
+      invalid.add(setting.key);
+      errors.push(error.message);
+    }
+  });
+
+  CROSS_CHECKS
+    .filter(rule => rule.keys.every(key => !invalid.has(key)))
+    .forEach(rule => {
+      const message = rule.check(getConfig);
+      if (message) {
+        errors.push(message);
+      }
+    });
+  return errors;
+}
+
+/**
+ * Load the config file and command line flags, then validate everything
+ * @param {Object} options - { argv: arguments after the script name }
+ * @returns {Array<string>} - Problems found (empty when the configuration is valid)
+ */
+function loadConfig(options = {}) {
+  try {
+    const args = parseConfigArgs(options.argv || []);
+    flagValues = args.values;
+    fileLayer = readConfigFile(args.file);
+  } catch (error) {
+    return [error.message];
+  }
+  return validateConfig();
+}
+
+/**
+ * Change a setting while the application runs (runtime settings only)
+ * @param {string} key - Setting key
+ * @param {string} value - New value, as typed
+ * @returns {Object} - { previous, value }
+ */
+function setConfig(key, value) {
+  const setting = getSetting(key);
+  if (!setting.runtime) {
+    throw new Error(`${key} cannot be changed while running; set ${setting.env} or ${key} in the config file and restart`);
+  }
+  const previous = getConfig(key);
+  const parsed = parseValue(setting, value, key);
+
+  runtimeValues.set(key, parsed);
+  const problem = CROSS_CHECKS
+    .filter(rule => rule.keys.includes(key))
+    .map(rule => rule.check(getConfig))
+    .find(Boolean);
+  if (problem) {
+    runtimeValues.delete(key);
+    throw new Error(problem);
+  }
+  return { previous, value: parsed };
+}
+
+/**
+ * Undo a runtime change
+ * @param {string} key - Setting key
+ * @returns {*} - Value in effect again
+ */
+function resetConfig(key) {
+  getSetting(key);
+  runtimeValues.delete(key);
+  return getConfig(key);
+}
+
+/**
+ * Every setting with its effective value and where it comes from
+ * @returns {Array<Object>} - { key, env, value (secrets masked), source, runtime, description }
+ */
+function describeConfig() {
+  return SETTINGS.map(setting => {
+    const { source } = resolveRaw(setting);
+    const value = getConfig(setting.key);
+    return {
+      key: setting.key,
+      env: setting.env,
+      value: setting.secret && value ? '********' : value,
+      source,
+      runtime: Boolean(setting.runtime),
+      description: setting.description
+    };
+  });
+}
+
+/**
+ * Path of the config file in use
+ * @returns {string|null}
+ */
+function getConfigPath() {
+  return getFileLayer().path;
+}
+
+module.exports = {
+  SETTINGS,
+  getConfig,
+  setConfig,
+  resetConfig,
+  loadConfig,
+  validateConfig,
+  describeConfig,
+  getConfigPath,
+  parseConfigArgs,
+};
@@ -0,0 +1,191 @@
+const { getConfig } = require('./config');
+
+/**
+ * Token-budget-aware prompt assembly for handleChat.
+ *
+ * The budget is spent in a fixed order so trimming is predictable:
+ *   1. system prompt and user input (always included)
+ *   2. memories, best ranked first, up to the memory share
+ *   3. rolling summary, newest segment first, up to the summary share
+ *   4. recent turns, newest first, with whatever is left
+ * Whole items are dropped rather than cut, except a single summary segment
+ * that is larger than the whole summary share, which keeps its tail.
+ */
+
+// Tokens added by the chat format for every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const MEMORY_PREFIX = 'Relevant memories from past conversations: ';
+const SUMMARY_PREFIX = 'Previous conversation context: ';
+
+/**
+ * Read the context budget settings from the configuration
+ * @returns {Object} - { budget, memoryShare, summaryShare, cacheTokenLimit, cacheMaxMessages }
+ */
+function getContextSettings() {
+  const budget = getConfig('context.tokenBudget');
+  const cacheTokenLimit = getConfig('cache.tokenLimit');
+  return {
+    budget,
+    memoryShare: getConfig('context.memoryShare'),
+    summaryShare: getConfig('context.summaryShare'),
+    // Summarize the cache once recent turns use this many tokens
+    cacheTokenLimit: cacheTokenLimit !== null ? cacheTokenLimit : Math.floor(budget * 0.4),
+    // Hard cap on cached messages; the cache is normally summarized by token count
+    cacheMaxMessages: getConfig('cache.maxMessages')
+  };
+}
+
+/**
+ * Estimate the number of tokens in a text (about 4 characters per token
+ * for English with OpenAI tokenizers; good enough for budgeting)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function countTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimate the tokens of a chat message including format overhead
+ * @param {Object} message - { role, content }
+ * @returns {number} - Estimated tokens
+ */
+function countMessageTokens(message) {
+  return countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Estimate the tokens of a list of chat messages
+ * @param {Array} messages - Chat messages
+ * @returns {number} - Estimated tokens
+ */
+function countMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + countMessageTokens(message), 0);
+}
+
+/**
+ * Keep the end of a text so it fits in a number of tokens
+ * @param {string} text - Text to cut
+ * @param {number} tokens - Token allowance
+ * @returns {string} - Tail of the text
+ */
+function keepTail(text, tokens) {
+  const chars = Math.max(0, tokens * 4 - 3);
+  return text.length <= chars ? text : `...${text.slice(text.length - chars)}`;
+}
+
+/**
+ * Build the chat messages for one turn within the token budget
+ * @param {Object} parts - { systemPrompt, memories, summaryParts, recentMessages, input }
+ *   memories: narratives, best first; summaryParts: summary texts, oldest first
+ * @param {Object} settings - Settings from getContextSettings
+ * @returns {Object} - { messages, usage }
+ */
+function buildContext(parts, settings = getContextSettings()) {
+  const { systemPrompt, memories = [], summaryParts = [], recentMessages = [], input } = parts;
+
+  const systemMessage = { role: 'system', content: systemPrompt };
+  const inputMessage = { role: 'user', content: input };
+  const fixedTokens = countMessageTokens(systemMessage) + countMessageTokens(inputMessage);
+  let remaining = Math.max(0, settings.budget - fixedTokens);
+
+  // Memories, best ranked first
+  const memoryBudget = Math.min(remaining, Math.floor(settings.budget * settings.memoryShare));
+  const includedMemories = [];
+  let memoryTokens = 0;
+  for (const narrative of memories) {
+    const candidate = [...includedMemories, narrative];
+    const tokens = countMessageTokens({ content: MEMORY_PREFIX + candidate.join(' | ') });
+    if (tokens > memoryBudget) {
+      break;
+    }
+    includedMemories.push(narrative);
+    memoryTokens = tokens;
+  }
+  remaining -= memoryTokens;
+
+  // Summary, newest segment first
+  const summaryBudget = Math.min(remaining, Math.floor(settings.budget * settings.summaryShare));
+  const includedSummary = [];
+  let summaryTokens = 0;
+  for (let i = summaryParts.length - 1; i >= 0; i--) {
+    const candidate = [summaryParts[i], ...includedSummary];
+    const tokens = countMessageTokens({ content: SUMMARY_PREFIX + candidate.join('\n\n') });
+    if (tokens > summaryBudget) {
+      if (includedSummary.length === 0) {
+        // Even the newest segment is too large: keep its most recent part
+        const allowance = summaryBudget - countMessageTokens({ content: SUMMARY_PREFIX });
+        if (allowance > 0) {
+          includedSummary.push(keepTail(summaryParts[i], allowance));
+          summaryTokens = countMessageTokens({ content: SUMMARY_PREFIX + includedSummary[0] });
+        }
+      }
+      break;
+    }
+    includedSummary.unshift(summaryParts[i]);
+    summaryTokens = tokens;
+  }
+  remaining -= summaryTokens;
+
+  // Recent turns, newest first, with what is left
+  const recentBudget = remaining;
+  const includedRecent = [];
+  let recentTokens = 0;
+  for (let i = recentMessages.length - 1; i >= 0; i--) {
+    const tokens = countMessageTokens(recentMessages[i]);
+    if (recentTokens + tokens > recentBudget) {
+      break;
+    }
+    includedRecent.unshift(recentMessages[i]);
+    recentTokens += tokens;
+  }
+
+  const messages = [systemMessage];
+  if (includedMemories.length > 0) {
+    messages.push({ role: 'system', content: MEMORY_PREFIX + includedMemories.join(' | ') });
+  }
+  if (includedSummary.length > 0) {
+    messages.push({ role: 'system', content: SUMMARY_PREFIX + includedSummary.join('\n\n') });
+  }
+  messages.push(...includedRecent, inputMessage);
+
+  return {
+    messages,
+    usage: {
+      budget: settings.budget,
+      total: fixedTokens + memoryTokens + summaryTokens + recentTokens,
+      fixed: fixedTokens,
+      memories: { tokens: memoryTokens, budget: memoryBudget, included: includedMemories.length, total: memories.length },
+      summary: { tokens: summaryTokens, budget: summaryBudget, included: includedSummary.length, total: summaryParts.length },
+      recent: { tokens: recentTokens, budget: recentBudget, included: includedRecent.length, total: recentMessages.length }
+    }
+  };
+}
+
+/**
+ * Describe a turn's token usage in one line
+ * @param {Object} usage - Usage returned by buildContext
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const part = (name, item) => `${name} ${item.tokens}/${item.budget} (${item.included}/${item.total})`;
+  return [
+    `system+input ${usage.fixed}`,
+    part('memories', usage.memories),
+    part('summary', usage.summary),
+    part('recent', usage.recent),
+    `total ${usage.total}/${usage.budget} tokens`
+  ].join(' · ');
+}
+
+module.exports = {
+  getContextSettings,
+  countTokens,
+  countMessagesTokens,
+  buildContext,
+  formatUsage,
+};
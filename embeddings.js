@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createEmbeddings, getProvider, getEmbeddingModel } = require('./llmProvider');
+const { callWithPolicy, getResilienceSettings } = require('./resilience');
+const { getConfig } = require('./config');
+
+/**
+ * Embedding generation with batching, a persistent cache and retries.
+ * The cache is keyed by a hash of provider, model and text, so the same text
+ * is never embedded twice. It is an append-only JSON-lines file
+ * ({"k": hash, "v": base64 float32 vector} per line), rewritten with only the
+ * most recently used entries when it grows past twice its entry limit.
+ * Vectors are stored as float32, and fresh vectors are rounded the same way so
+ * cached and uncached results are identical. Requests follow the shared
+ * retry and timeout policy (resilience.js) with their own retry settings.
+ */
+
+let cache = null; // Map of key -> vector, least recently used first
+let cacheLines = 0; // Lines in the cache file, to know when to compact
+let stats = { requested: 0, hits: 0, misses: 0, batches: 0, retries: 0 };
+
+/**
+ * Read the embedding settings from the configuration
+ * @returns {Object} - { batchSize, cachePath, maxEntries, maxRetries, retryBaseMs }
+ */
+function getEmbeddingSettings() {
+  return {
+    batchSize: getConfig('embedding.batchSize'),
+    // Empty to keep the cache in memory only
+    cachePath: getConfig('embedding.cachePath'),
+    maxEntries: getConfig('embedding.cacheMaxEntries'),
+    maxRetries: getConfig('embedding.maxRetries'),
+    retryBaseMs: getConfig('embedding.retryBaseMs')
+  };
+}
+
+/**
+ * Cache key of a text for the active provider and model
+ * @param {string} text - Text to embed
+ * @returns {string} - SHA-256 hex digest
+ */
+function cacheKey(text) {
+  return crypto
+    .createHash('sha256')
+    .update(`${getProvider().name}\n${getEmbeddingModel()}\n${text}`)
+    .digest('hex');
+}
+
+/**
+ * Round a vector to float32, the precision it is cached at
+ * @param {number[]} vector - Embedding
+ * @returns {number[]}
+ */
+function toFloat32(vector) {
+  return Array.from(Float32Array.from(vector));
+}
+
+/**
+ * Encode a vector for the cache file
+ * @param {number[]} vector - Embedding
+ * @returns {string} - Base64 of its float32 bytes
+ */
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+/**
+ * Decode a vector from the cache file
+ * @param {string} encoded - Base64 of float32 bytes
+ * @returns {number[]}
+ */
+function decodeVector(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  return Array.from(new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4));
+}
+
+/**
+ * Load the cache file on first use
+ * @param {Object} settings - Settings from getEmbeddingSettings
+ * @returns {Map} - Cache
+ */
+function loadCache(settings) {
+  if (cache) {
+    return cache;
+  }
+  cache = new Map();
+  cacheLines = 0;
+  if (!settings.cachePath || !fs.existsSync(settings.cachePath)) {
+    return cache;
+  }
+
+  try {
+    const lines = fs.readFileSync(settings.cachePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      cacheLines++;
+      try {
+        const entry = JSON.parse(line);
+        // Later lines win and count as more recent
+        cache.delete(entry.k);
+        cache.set(entry.k, decodeVector(entry.v));
+      } catch (error) {
+        // A line cut short by a crash; the rest of the file is still usable
+      }
+    }
+    evictOldest(settings);
+  } catch (error) {
+    console.error('[Embeddings] Error loading cache, starting empty:', error.message);
+    cache.clear();
+  }
+  return cache;
+}
+
+/**
+ * Drop the least recently used entries beyond the limit
+ * @param {Object} settings - Settings from getEmbeddingSettings
+ */
+function evictOldest(settings) {
+  for (const key of cache.keys()) {
+    if (cache.size <= settings.maxEntries) {
+      break;
+    }
+    cache.delete(key);
+  }
+}
+
+/**
+ * Append new entries to the cache file, compacting it when it has grown too long
+ * @param {Array} entries - [key, vector] pairs
+ * @param {Object} settings - Settings from getEmbeddingSettings
+ */
+function persistEntries(entries, settings) {
+  if (!settings.cachePath || entries.length === 0) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(settings.cachePath), { recursive: true });
+    if (cacheLines + entries.length > settings.maxEntries * 2) {
+      // Rewrite with only the live entries
+      const tmpPath = `${settings.cachePath}.tmp`;
+      const lines = [...cache.entries()].map(([k, v]) => JSON.stringify({ k, v: encodeVector(v) }));
+      fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+      fs.renameSync(tmpPath, settings.cachePath);
+      cacheLines = lines.length;
+      return;
+    }
+    const lines = entries.map(([k, v]) => JSON.stringify({ k, v: encodeVector(v) }));
+    fs.appendFileSync(settings.cachePath, `${lines.join('\n')}\n`);
+    cacheLines += lines.length;
+  } catch (error) {
+    // The cache only saves calls: embeddings are still returned
+    console.error('[Embeddings] Error saving cache:', error.message);
+  }
+}
+
+/**
+ * Embed one batch, retrying transient errors and rate limits
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} settings - Settings from getEmbeddingSettings
+ * @returns {Promise<number[][]>} - One embedding per text
+ */
+async function embedBatchWithRetry(texts, settings) {
+  return callWithPolicy(async signal => {
+    stats.batches++;
+    const embeddings = await createEmbeddings(texts, { signal });
+    if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+      throw new Error(`expected ${texts.length} embeddings, got ${embeddings ? embeddings.length : 0}`);
+    }
+    return embeddings;
+  }, {
+    label: `Embedding batch of ${texts.length}`,
+    timeoutMs: getResilienceSettings().llmTimeoutMs,
+    retries: settings.maxRetries,
+    baseMs: settings.retryBaseMs,
+    onRetry: () => {
+      stats.retries++;
+    }
+  });
+}
+
+/**
+ * Embed several texts: cached ones are reused, the rest are requested in batches
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<number[][]>} - One embedding per text, in order
+ */
+async function embedTexts(texts) {
+  const settings = getEmbeddingSettings();
+  const entries = loadCache(settings);
+  const keys = texts.map(text => cacheKey(text));
+  stats.requested += texts.length;
+
+  // Each distinct missing text is requested once
+  const vectors = new Map();
+  const missing = new Map();
+  keys.forEach((key, idx) => {
+    if (vectors.has(key) || missing.has(key)) {
+      // Repeated within this request: embedded once
+      stats.hits++;
+    } else if (entries.has(key)) {
+      stats.hits++;
+      // Move to the end: most recently used
+      vectors.set(key, entries.get(key));
+      entries.delete(key);
+      entries.set(key, vectors.get(key));
+    } else {
+      stats.misses++;
+      missing.set(key, texts[idx]);
+    }
+  });
+
+  const missingKeys = [...missing.keys()];
+  for (let start = 0; start < missingKeys.length; start += settings.batchSize) {
+    const batchKeys = missingKeys.slice(start, start + settings.batchSize);
+    const embeddings = await embedBatchWithRetry(batchKeys.map(key => missing.get(key)), settings);
+    const added = batchKeys.map((key, idx) => [key, toFloat32(embeddings[idx])]);
+    added.forEach(([key, vector]) => {
+      vectors.set(key, vector);
+      entries.set(key, vector);
+    });
+    evictOldest(settings);
+    persistEntries(added, settings);
+  }
+
+  return keys.map(key => vectors.get(key));
+}
+
+/**
+ * Embed one text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function embedText(text) {
+  const [embedding] = await embedTexts([text]);
+  return embedding;
+}
+
+/**
+ * Embedding counters since start
+ * @returns {Object} - { requested, hits, misses, batches, retries }
+ */
+function getEmbeddingStats() {
+  return { ...stats };
+}
+
+/**
+ * Describe the embedding work done since a snapshot
+ * @param {Object} since - Snapshot from getEmbeddingStats
+ * @returns {string}
+ */
+function formatEmbeddingStats(since = { requested: 0, hits: 0, misses: 0, batches: 0, retries: 0 }) {
+  const requested = stats.requested - since.requested;
+  const hits = stats.hits - since.hits;
+  const rate = requested > 0 ? Math.round((hits / requested) * 100) : 0;
+  return `${requested} requested, ${hits} from cache (${rate}% hit rate), `
+    + `${stats.misses - since.misses} embedded in ${stats.batches - since.batches} API call(s), ${stats.retries - since.retries} retries`;
+}
+
+/**
+ * Forget the loaded cache and counters (used by tests and scripts)
+ */
+function resetEmbeddingCache() {
+  cache = null;
+  cacheLines = 0;
+  stats = { requested: 0, hits: 0, misses: 0, batches: 0, retries: 0 };
+}
+
+module.exports = {
+  getEmbeddingSettings,
+  embedTexts,
+  embedText,
+  getEmbeddingStats,
+  formatEmbeddingStats,
+  resetEmbeddingCache,
+};
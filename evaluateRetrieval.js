@@ -0,0 +1,390 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeStore, clearAllMemories, setBackend } = require('./vectorDB');
+const { createLocalStore } = require('./localStore');
+const { embedTexts } = require('./embeddings');
+const { estimateImportance } = require('./memoryScoring');
+const { getRetrievalSettings, planRetrieval, retrieveMemories } = require('./retrieval');
+const { createLexicalReranker, createLLMReranker, getReranker } = require('./reranker');
+
+/**
+ * Retrieval benchmark. A labeled dataset of memories and queries
+ *   { memories: [{ id, narrative, category?, metadata? }],
+ *     queries: [{ query, expected: [memory ids], recentContext? }] }
+ * is loaded into a throwaway store and every query is run through the
+ * retrieval pipeline for each variant (sub-query planning on or off,
+ * reranker). Reported per variant:
+ *   recall@k - share of a query's expected memories in the top k, averaged
+ *   MRR      - 1 / rank of the first expected memory (0 when missing), averaged
+ *   negatives - queries expecting nothing that retrieved nothing
+ * Queries with an empty `expected` list are negatives and only count there.
+ */
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, 'retrieval-eval.json');
+const DEFAULT_REPORT_PATH = './retrieval-eval-report.json';
+const DEFAULT_KS = [1, 3, 5];
+// Collection the dataset is loaded into
+const EVAL_USER_ID = 'eval';
+// Every memory gets the same age so recency does not decide the ranking
+const SEED_TIMESTAMP = '2026-01-01T00:00:00.000Z';
+
+/**
+ * Load and check a benchmark dataset
+ * @param {string} filePath - Dataset JSON file
+ * @returns {Object} - { memories, queries }
+ */
+function loadDataset(filePath = DEFAULT_DATASET_PATH) {
+  const dataset = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(dataset.memories) || !Array.isArray(dataset.queries)) {
+    throw new Error(`${filePath} must have "memories" and "queries" arrays`);
+  }
+
+  const ids = new Set();
+  dataset.memories.forEach((memory, idx) => {
+    if (!memory || typeof memory.id !== 'string' || typeof memory.narrative !== 'string') {
+      throw new Error(`memories[${idx}] must have a string id and narrative`);
+    }
+    if (ids.has(memory.id)) {
+      throw new Error(`memories[${idx}] repeats the id "${memory.id}"`);
+    }
+    ids.add(memory.id);
+  });
+  dataset.queries.forEach((item, idx) => {
+    if (!item || typeof item.query !== 'string' || !Array.isArray(item.expected)) {
+      throw new Error(`queries[${idx}] must have a query string and an expected array`);
+    }
+    const unknown = item.expected.filter(id => !ids.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`queries[${idx}] expects unknown memories: ${unknown.join(', ')}`);
+    }
+  });
+
+  return { memories: dataset.memories, queries: dataset.queries };
+}
+
+/**
+ * Create a reranker by name for a variant
+ * @param {string} name - lexical, llm, or none (keep the retrieval order)
+ * @returns {Object} - Reranker
+ */
+function createVariantReranker(name) {
+  switch (name) {
+    case 'lexical':
+      return createLexicalReranker();
+    case 'llm':
+      return createLLMReranker();
+    case 'none':
+      return { name: 'none', score: async (query, memories) => memories.map(() => 0) };
+    default:
+      throw new Error(`Unknown reranker "${name}" (expected lexical, llm or none)`);
+  }
+}
+
+/**
+ * Build the variants to compare: every combination of the options
+ * @param {Object} options - { reformulate: [true, false], rerankers: names }
+ * @returns {Array} - Variants { name, reformulate, reranker }
+ */
+function buildVariants(options = {}) {
+  const reformulate = options.reformulate || [true, false];
+  const rerankers = options.rerankers || [getReranker().name];
+
+  return reformulate.flatMap(on => rerankers.map(reranker => ({
+    name: `reformulate=${on ? 'on' : 'off'} reranker=${reranker}`,
+    reformulate: on,
+    reranker
+  })));
+}
+
+/**
+ * Replace the benchmark collection's contents with the dataset memories,
+ * keeping their ids so results can be checked against the labels
+ * @param {Array} memories - Dataset memories
+ */
+async function seedMemories(memories) {
+  await clearAllMemories({ userId: EVAL_USER_ID });
+  if (memories.length === 0) {
+    return;
+  }
+
+  const collection = await initializeStore(EVAL_USER_ID);
+  const embeddings = await embedTexts(memories.map(memory => memory.narrative));
+  await collection.add({
+    ids: memories.map(memory => memory.id),
+    embeddings,
+    documents: memories.map(memory => memory.narrative),
+    metadatas: memories.map(memory => ({
+      timestamp: SEED_TIMESTAMP,
+      timestamp_ms: Date.parse(SEED_TIMESTAMP),
+      source: 'eval',
+      category: memory.category || 'profile',
+      chunk_length: memory.narrative.length,
+      importance: estimateImportance(memory.narrative),
+      access_count: 0,
+      status: 'active',
+      ...(memory.metadata || {})
+    }))
+  });
+}
+
+/**
+ * Score one query's ranking against its labels
+ * @param {Array<string>} expected - Ids that should be retrieved
+ * @param {Array<string>} ranked - Retrieved ids, best first
+ * @param {Array<number>} ks - Cutoffs
+ * @returns {Object} - { recall: { k: value }, reciprocalRank, passed: every expected id in the top max k (nothing retrieved for negatives) }
+ */
+function scoreQuery(expected, ranked, ks) {
+  if (expected.length === 0) {
+    return { recall: null, reciprocalRank: null, passed: ranked.length === 0 };
+  }
+
+  const recall = {};
+  ks.forEach(k => {
+    const top = ranked.slice(0, k);
+    recall[k] = expected.filter(id => top.includes(id)).length / expected.length;
+  });
+  const firstHit = ranked.findIndex(id => expected.includes(id));
+  return {
+    recall,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    passed: recall[Math.max(...ks)] === 1
+  };
+}
+
+/**
+ * Average the query scores of a variant
+ * @param {Array} cases - Scored queries
+ * @param {Array<number>} ks - Cutoffs
+ * @returns {Object} - { recall: { k: value }, mrr, negatives: { passed, total } }
+ */
+function summarizeCases(cases, ks) {
+  const positives = cases.filter(item => item.expected.length > 0);
+  const negatives = cases.filter(item => item.expected.length === 0);
+  const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+  const recall = {};
+  ks.forEach(k => {
+    recall[k] = mean(positives.map(item => item.recall[k]));
+  });
+  return {
+    recall,
+    mrr: mean(positives.map(item => item.reciprocalRank)),
+    negatives: { passed: negatives.filter(item => item.passed).length, total: negatives.length }
+  };
+}
+
+/**
+ * Run every dataset query through one variant of the retrieval pipeline
+ * @param {Object} dataset - Dataset from loadDataset
+ * @param {Object} variant - Variant from buildVariants
+ * @param {Array<number>} ks - Cutoffs
+ * @returns {Promise<Object>} - { name, reformulate, reranker, recall, mrr, negatives, cases, failures }
+ */
+async function evaluateVariant(dataset, variant, ks) {
+  console.log(`[Eval] Running ${variant.name} on ${dataset.queries.length} queries...`);
+  // A fresh copy per variant, so nothing one variant changes affects the next
+  await seedMemories(dataset.memories);
+  const reranker = createVariantReranker(variant.reranker);
+  const settings = getRetrievalSettings();
+  const cases = [];
+
+  for (const item of dataset.queries) {
+    const recentContext = item.recentContext || [];
+    const plan = variant.reformulate
+      ? await planRetrieval(item.query, recentContext, settings)
+      : { needsMemory: true, queries: [item.query], reason: null };
+
+    let ranked = [];
+    if (plan.needsMemory) {
+      const retrieval = await retrieveMemories(plan.queries, {
+        userId: EVAL_USER_ID,
+        limit: Math.max(...ks),
+        input: item.query,
+        recentContext,
+        reranker,
+        trackAccess: false
+      }, settings);
+      ranked = retrieval.candidates.map(memory => memory.id);
+    }
+
+    cases.push({
+      query: item.query,
+      expected: item.expected,
+      subQueries: plan.queries,
+      skipped: plan.needsMemory ? null : plan.reason,
+      retrieved: ranked.slice(0, Math.max(...ks)),
+      ...scoreQuery(item.expected, ranked, ks)
+    });
+  }
+
+  return {
+    ...variant,
+    ...summarizeCases(cases, ks),
+    cases,
+    failures: cases.filter(item => !item.passed)
+  };
+}
+
+/**
+ * Run the benchmark
+ * @param {Object} dataset - Dataset from loadDataset
+ * @param {Object} options - { variants: from buildVariants, ks: cutoffs }
+ * @returns {Promise<Object>} - Report { ks, memories, queries, variants }
+ */
+async function runEvaluation(dataset, options = {}) {
+  const ks = [...(options.ks || DEFAULT_KS)].sort((a, b) => a - b);
+  const variants = options.variants || buildVariants();
+
+  const results = [];
+  for (const variant of variants) {
+    results.push(await evaluateVariant(dataset, variant, ks));
+  }
+  return {
+    ks,
+    memories: dataset.memories.length,
+    queries: dataset.queries.length,
+    variants: results
+  };
+}
+
+/**
+ * Render a report as text tables: metrics per variant, then failed cases
+ * @param {Object} report - Report from runEvaluation
+ * @returns {string}
+ */
+function formatReport(report) {
+  const headers = ['Variant', ...report.ks.map(k => `R@${k}`), 'MRR', 'Negatives', 'Failed'];
+  const rows = report.variants.map(variant => [
+    variant.name,
+    ...report.ks.map(k => variant.recall[k].toFixed(3)),
+    variant.mrr.toFixed(3),
+    `${variant.negatives.passed}/${variant.negatives.total}`,
+    String(variant.failures.length)
+  ]);
+  const widths = headers.map((header, col) => Math.max(header.length, ...rows.map(row => row[col].length)));
+  const line = cells => cells.map((cell, col) => cell.padEnd(widths[col])).join('  ');
+
+  const lines = [
+    `Retrieval benchmark: ${report.memories} memories, ${report.queries} queries`,
+    '',
+    line(headers),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line)
+  ];
+
+  report.variants.forEach(variant => {
+    if (variant.failures.length === 0) {
+      return;
+    }
+    lines.push('', `Failed cases (${variant.name}):`);
+    variant.failures.forEach(item => {
+      const expected = item.expected.length > 0 ? item.expected.join(', ') : 'nothing';
+      const retrieved = item.skipped
+        ? `lookup skipped (${item.skipped})`
+        : item.retrieved.join(', ') || 'nothing';
+      lines.push(`  "${item.query}"`);
+      lines.push(`    expected:  ${expected}`);
+      lines.push(`    retrieved: ${retrieved}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { datasetPath, ks, reformulate, rerankers, reportPath }
+ */
+function parseArgs(args) {
+  const options = { datasetPath: DEFAULT_DATASET_PATH, ks: DEFAULT_KS, reportPath: DEFAULT_REPORT_PATH };
+  const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--dataset':
+        options.datasetPath = value;
+        i++;
+        break;
+      case '--k':
+        options.ks = list(value).map(k => parseInt(k, 10));
+        if (options.ks.length === 0 || options.ks.some(k => !(k > 0))) {
+          throw new Error('--k expects positive numbers, e.g. --k 1,3,5');
+        }
+        i++;
+        break;
+      case '--reformulate':
+        options.reformulate = list(value).map(on => {
+          if (on !== 'on' && on !== 'off') {
+            throw new Error('--reformulate expects on, off or on,off');
+          }
+          return on === 'on';
+        });
+        i++;
+        break;
+      case '--reranker':
+        options.rerankers = list(value);
+        options.rerankers.forEach(createVariantReranker);
+        i++;
+        break;
+      case '--json':
+        options.reportPath = value;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Usage: npm run eval -- [--dataset file] [--k 1,3,5] [--reformulate on,off] [--reranker lexical,llm,none] [--json report.json]');
+    process.exit(1);
+  }
+
+  // The dataset goes into a throwaway store, never into real memories
+  const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'retrieval-eval-'));
+  setBackend(createLocalStore({ path: storePath }));
+
+  try {
+    const dataset = loadDataset(options.datasetPath);
+    const report = await runEvaluation(dataset, {
+      ks: options.ks,
+      variants: buildVariants({ reformulate: options.reformulate, rerankers: options.rerankers })
+    });
+
+    console.log(`\n${formatReport(report)}\n`);
+    fs.writeFileSync(options.reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`JSON report written to ${options.reportPath}`);
+  } catch (error) {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  loadDataset,
+  buildVariants,
+  scoreQuery,
+  runEvaluation,
+  formatReport,
+};
+
+if (require.main === module) {
+  main();
+}
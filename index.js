@@ -1,37 +1,198 @@
 require('dotenv').config();
 const readline = require('readline');
-const OpenAI = require('openai');
-const { searchMemories, storeMemories, getAllMemories, clearAllMemories } = require('./vectorDB');
+const { createChatCompletion, getProvider } = require('./llmProvider');
+const {
+  searchMemories,
+  storeMemories,
+  getAllMemories,
+  clearAllMemories,
+  countDecisions,
+  getMemoryHistory,
+  getMemoriesByIds,
+  deleteMemories,
+  updateMemoryNarrative,
+  isActiveMemory,
+  getMemoryStatus,
+  markMemoriesAccessed,
+  DEFAULT_USER_ID
+} = require('./vectorDB');
 const { processConversations, summarizeConversation } = require('./memoryProcessor');
+const { loadSessionState, saveSessionState, hasUnprocessedContent } = require('./sessionStore');
+const { renderSummary, addSummarySegment, createSegment, getCompactionSettings } = require('./summaryCompactor');
+const {
+  getProcessingPolicy,
+  checkSummaryTriggers,
+  checkIdleTrigger,
+  describePolicy,
+  logAutoProcess
+} = require('./processingPolicy');
+const { getRankingSettings, getImportance, recencyScore } = require('./memoryScoring');
+const { parseFilterArgs, describeFilters } = require('./memoryFilters');
+const { parseTimeScope, formatDate, isStalePlan } = require('./temporal');
+const { getContextSettings, countMessagesTokens, buildContext, formatUsage } = require('./contextBuilder');
+const { getRetrievalSettings, planRetrieval, retrieveMemories } = require('./retrieval');
+const { getEmbeddingStats, formatEmbeddingStats } = require('./embeddings');
+const { getResilienceSettings } = require('./resilience');
+const { getValidationSettings, validateChunks, formatValidationReport } = require('./chunkValidator');
+const { SETTINGS, getConfig, setConfig, resetConfig, loadConfig, describeConfig, getConfigPath } = require('./config');
+const { renderPrompt, loadPrompts, reloadPrompts } = require('./promptTemplates');
+const {
+  generateRecordId,
+  createTranscript,
+  saveTranscripts,
+  saveSummaries,
+  getMemorySources,
+  forgetSources,
+  splitIds,
+  deleteTranscripts
+} = require('./transcriptStore');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// State management: one cache and rolling summary per user
+const sessions = new Map();
+// Created by main() once the configuration is loaded and valid
+let activeSession = null;
+let shuttingDown = false;
+let idleTimer = null;
+// Set while the degraded-mode banner is up, to announce recovery once
+let memoryDegraded = false;
+const FORGET_PREVIEW_LIMIT = 5;
+const SEARCH_RESULT_LIMIT = 5;
 
-// State management
-const conversationCache = [];
-let currentSummary = ''; // Single rolling summary that gets updated
-const CACHE_LIMIT = 7;
+// Memory ids as vectorDB generates them (chunk_<ms>_<suffix>)
+const MEMORY_ID = 'chunk_\\d+_[0-9a-z]+';
+// Setting keys ("retrieval.limit") and sections ("retrieval"), for the config command
+const CONFIG_KEYS = SETTINGS.map(setting => setting.key.replace(/\./g, '\\.')).join('|');
+const CONFIG_SECTIONS = [...new Set(SETTINGS.map(setting => setting.key.split('.')[0]))].join('|');
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  prompt: '> '
-});
+// Commands that take arguments; anything else that does not match a command is chat.
+// The bare forms only match arguments a sentence would not have (a memory id,
+// a --filter, a setting key), so "forget it" or "search engines are slow" stay chat;
+// a leading slash makes any of them a command ("/search engines", "/user bob").
+// user has no bare form: any word can be a name. A command that needs an
+// argument is chat when it comes without one.
+const ARGUMENT_COMMANDS = [
+  { name: 'history', required: true, pattern: new RegExp(`^history\\s+(${MEMORY_ID})$`, 'i') },
+  { name: 'forget-matching', required: true, pattern: /^forget-matching\s+(.+)$/i },
+  { name: 'forget', required: true, pattern: new RegExp(`^forget\\s+(${MEMORY_ID})$`, 'i') },
+  { name: 'edit', required: true, pattern: new RegExp(`^edit\\s+(${MEMORY_ID})$`, 'i') },
+  { name: 'user', required: true, pattern: null },
+  { name: 'source', required: true, pattern: new RegExp(`^source\\s+(${MEMORY_ID})$`, 'i') },
+  { name: 'memories', pattern: /^memories\s+(--.+)$/i },
+  { name: 'config', pattern: new RegExp(`^config\\s+(set\\s+(?:${CONFIG_KEYS})\\s+.+|reset\\s+(?:${CONFIG_KEYS})|${CONFIG_KEYS}|${CONFIG_SECTIONS})$`) },
+  { name: 'prompts', pattern: /^prompts\s+(reload)$/i },
+  { name: 'search', required: true, pattern: /^search\s+((?:.+\s)?--[a-z]+\s.+)$/i }
+];
+
+// Readline interface, created by main() so the module can be loaded by tests
+let rl = null;
+
+/**
+ * Get a user's session, creating an empty one on first use
+ * @param {string} userId - User id
+ * @returns {Object} - { userId, conversationCache, summarySegments, summaryCount, lastMessageAt }
+ */
+function getSession(userId) {
+  if (!sessions.has(userId)) {
+    sessions.set(userId, {
+      userId,
+      conversationCache: [],
+      summarySegments: [], // Rolling summary, compacted into higher levels as it grows
+      summaryCount: 0, // Summaries added to the rolling summary since the last processing
+      lastMessageAt: null,
+      chatting: false,
+      processing: false
+    });
+  }
+  return sessions.get(userId);
+}
+
+/**
+ * Autosave every session to the state file
+ */
+function saveState() {
+  if (!activeSession) {
+    // Nothing loaded yet: keep the saved state as it is
+    return;
+  }
+  const state = { activeUser: activeSession.userId, sessions: {} };
+  sessions.forEach((session, userId) => {
+    state.sessions[userId] = {
+      conversationCache: session.conversationCache,
+      summarySegments: session.summarySegments,
+      summaryCount: session.summaryCount,
+      lastMessageAt: session.lastMessageAt
+    };
+  });
+  saveSessionState(state);
+}
+
+/**
+ * Replace the in-memory sessions with saved ones
+ * @param {Object} state - State returned by loadSessionState
+ */
+function restoreState(state) {
+  sessions.clear();
+  Object.entries(state.sessions).forEach(([userId, saved]) => {
+    const session = getSession(userId);
+    session.conversationCache = saved.conversationCache || [];
+    session.summarySegments = saved.summarySegments
+      // State saved before the summary had levels
+      || (saved.currentSummary ? [createSegment(saved.currentSummary)] : []);
+    session.summaryCount = saved.summaryCount || session.summarySegments.length;
+    session.lastMessageAt = saved.lastMessageAt || null;
+  });
+  activeSession = getSession(state.activeUser || DEFAULT_USER_ID);
+}
+
+/**
+ * Readline prompt for the active user
+ * @returns {string} - Prompt text
+ */
+function getPromptText() {
+  return activeSession.userId === DEFAULT_USER_ID ? '> ' : `[${activeSession.userId}] > `;
+}
+
+/**
+ * Switch the active identity to another user
+ * @param {string} userId - User to switch to
+ */
+function switchUser(userId) {
+  activeSession = getSession(userId);
+  if (rl) {
+    rl.setPrompt(getPromptText());
+  }
+  saveState();
+  
+  console.log(`\nActive user: ${userId}`);
+  console.log(`Cache: ${activeSession.conversationCache.length} messages, summary: ${activeSession.summarySegments.length} segments\n`);
+}
 
 /**
  * Display help information
  */
 function showHelp() {
   console.log('\n=== Available Commands ===');
-  console.log('  Normal text       - Chat with AI');
-  console.log('  memories          - Show all stored memory chunks');
-  console.log('  process           - Process summaries into chunks and store in vector DB');
+  console.log('  Normal text       - Chat with AI (start with / to run a command instead, e.g. /search engines)');
+  console.log('  memories [filters] - Show stored memory chunks, e.g. memories --topic cooking');
+  console.log('  search <query> --filter ... / /search <query> - Search memories; filters: --topic, --entity, --source, --since, --until, --when, --prompt, --model');
+  console.log('  process           - Process summaries into chunks and store in vector DB now');
   console.log('  cache             - Show current conversation cache');
   console.log('  summaries         - Show collected summaries');
-  console.log('  clear             - Clear all memories from vector database');
+  console.log('  context           - Show token usage of the last prompt');
+  console.log('  retrieval         - Show the memory candidates of the last message and their scores');
+  console.log('  why               - Explain the last answer: search queries and the memories it was given');
+  console.log('  source <id>       - Show the summary and conversation a memory came from');
+  console.log('  health            - Show whether memory is available and the retry / timeout policy');
+  console.log('  validate          - Check the stored memories against the chunk quality rules');
+  console.log('  config [section]  - Show the effective settings and where each comes from');
+  console.log('  config set <key> <value> / config reset <key> - Change a setting marked * without restarting');
+  console.log('  prompts [reload]  - List the prompt templates and their versions, or re-read the files');
+  console.log('  history <id>      - Show how a memory changed over time');
+  console.log('  /user <name>      - Switch to another user (own memories, cache and summary)');
+  console.log('  forget <id>       - Delete one memory');
+  console.log('  edit <id>         - Rewrite one memory (re-embedded)');
+  console.log('  forget-matching <query> - Delete memories matching a query (asks first)');
+  console.log('  clear             - Clear all memories of the active user from vector database');
   console.log('  help              - Show this help message');
   console.log('  exit              - Quit the application');
   console.log('==========================\n');
@@ -41,45 +202,350 @@ function showHelp() {
  * Show current conversation cache
  */
 function showCache() {
+  const session = activeSession;
   console.log('\n=== Conversation Cache ===');
-  if (conversationCache.length === 0) {
+  if (session.conversationCache.length === 0) {
     console.log('Cache is empty');
   } else {
-    conversationCache.forEach((msg, idx) => {
+    session.conversationCache.forEach((msg, idx) => {
       console.log(`${idx + 1}. [${msg.role}] ${msg.content}`);
     });
   }
-  console.log(`Total: ${conversationCache.length} messages\n`);
+  console.log(`Total: ${session.conversationCache.length} messages, ~${countMessagesTokens(session.conversationCache)} / ${getContextSettings().cacheTokenLimit} tokens\n`);
+}
+
+/**
+ * Show how the last prompt used the token budget
+ */
+function showContextUsage() {
+  const usage = activeSession.lastContextUsage;
+  console.log('\n=== Context Usage (last turn) ===');
+  if (!usage) {
+    console.log('No chat turn yet\n');
+    return;
+  }
+  console.log(`System prompt + input: ${usage.fixed} tokens`);
+  console.log(`Memories: ${usage.memories.tokens} / ${usage.memories.budget} tokens, ${usage.memories.included} of ${usage.memories.total} included`);
+  console.log(`Summary:  ${usage.summary.tokens} / ${usage.summary.budget} tokens, ${usage.summary.included} of ${usage.summary.total} segments included`);
+  console.log(`Recent:   ${usage.recent.tokens} / ${usage.recent.budget} tokens, ${usage.recent.included} of ${usage.recent.total} messages included`);
+  console.log(`Total:    ${usage.total} / ${usage.budget} tokens (estimated)\n`);
+}
+
+/**
+ * Describe how a memory was retrieved and reranked
+ * @param {Object} memory - Memory from retrieveMemories
+ * @param {number} queryCount - Number of sub-queries searched
+ * @returns {string}
+ */
+function formatRetrievalScores(memory, queryCount) {
+  const matched = queryCount > 1 ? `, matched ${memory.matchedQueries.length}/${queryCount} queries` : '';
+  return `rerank ${memory.rerankScore.toFixed(2)}, retrieval #${memory.retrievalRank}: score ${memory.score.toFixed(2)}, relevance ${memory.relevance.toFixed(2)}, recency ${memory.recency.toFixed(2)}, importance ${memory.importance.toFixed(2)}${matched}`;
+}
+
+/**
+ * Show the candidates of the last memory lookup and their scores
+ */
+function showRetrieval() {
+  const retrieval = activeSession.lastRetrieval;
+  console.log('\n=== Last Memory Lookup ===');
+  if (!retrieval) {
+    console.log('No chat turn yet\n');
+    return;
+  }
+  console.log(`Input: ${retrieval.input}`);
+  if (retrieval.skipped) {
+    console.log(`Skipped: ${retrieval.skipped}\n`);
+    return;
+  }
+  console.log(`Queries: ${retrieval.queries.map(query => `"${query}"`).join(', ')}`);
+  console.log(`Reranker: ${retrieval.reranker}, ${retrieval.memories.length} of ${retrieval.candidates.length} candidates injected`);
+  retrieval.candidates.forEach((memory, idx) => {
+    const marker = idx < retrieval.memories.length ? '*' : ' ';
+    console.log(` ${marker}${idx + 1}. ${memory.narrative}`);
+    console.log(`     ${formatRetrievalScores(memory, retrieval.queries.length)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Explain the last answer: how memory was searched and which memories the model was given
+ */
+function showWhy() {
+  const retrieval = activeSession.lastRetrieval;
+  console.log('\n=== Why (last answer) ===');
+  if (!retrieval) {
+    console.log('No chat turn yet\n');
+    return;
+  }
+  console.log(`Input: ${retrieval.input}`);
+  if (retrieval.skipped) {
+    console.log(`No memories used: lookup skipped (${retrieval.skipped})\n`);
+    return;
+  }
+  console.log(`Search queries: ${retrieval.queries.map(query => `"${query}"`).join(', ')}`);
+  if (retrieval.unavailable) {
+    console.log(`No memories used: memory was unavailable (${retrieval.unavailable})\n`);
+    return;
+  }
+  
+  const injected = retrieval.memories.slice(0, retrieval.injected === undefined ? retrieval.memories.length : retrieval.injected);
+  const dropped = retrieval.memories.length - injected.length;
+  console.log(`Memories given to the model: ${injected.length} of ${retrieval.candidates.length} candidates (${retrieval.reranker} reranker)${dropped > 0 ? `, ${dropped} more dropped by the token budget` : ''}`);
+  injected.forEach((memory, idx) => {
+    console.log(`\n${idx + 1}. ${memory.id}: ${memory.narrative}`);
+    console.log(`   ${formatRetrievalScores(memory, retrieval.queries.length)}`);
+    const summaryIds = splitIds(memory.metadata.summary_ids);
+    console.log(summaryIds.length > 0
+      ? `   From: ${summaryIds.join(', ')} (source ${memory.id})`
+      : '   From: no source recorded');
+  });
+  console.log('');
+}
+
+/**
+ * Show what a memory was made from: the summaries and the conversation transcripts
+ * @param {string} id - Memory id
+ */
+async function showSource(id) {
+  const userId = activeSession.userId;
+  const [memory] = await getMemoriesByIds([id], { userId });
+  
+  if (!memory) {
+    console.log(`\nMemory ${id} not found\n`);
+    return;
+  }
+  
+  console.log(`\n=== Source of ${id} ===`);
+  console.log(`Memory: ${memory.narrative}`);
+  if (memory.metadata.prompt_version) {
+    console.log(`Made by: ${memory.metadata.prompt_version} with ${memory.metadata.model} (${memory.metadata.provider})`);
+  }
+  
+  const { summaries, transcripts, missing } = getMemorySources(userId, memory.metadata);
+  if (summaries.length === 0 && transcripts.length === 0 && missing.length === 0) {
+    console.log('No source recorded (stored before transcripts were saved, with SAVE_TRANSCRIPTS=false, or edited by hand)\n');
+    return;
+  }
+  
+  summaries.forEach(summary => {
+    console.log(`\nSummary ${summary.id} (level ${summary.level}, ${summary.createdAt}):`);
+    console.log(`  ${summary.text.replace(/\n/g, '\n  ')}`);
+  });
+  transcripts.forEach(transcript => {
+    console.log(`\nTranscript ${transcript.id} (${transcript.createdAt}, ${transcript.messages.length} messages):`);
+    transcript.messages.forEach(message => {
+      console.log(`  ${message.role === 'user' ? 'User' : 'AI'}: ${message.content}`);
+    });
+  });
+  if (missing.length > 0) {
+    console.log(`\nNot found in the saved transcripts: ${missing.join(', ')}`);
+  }
+  console.log('');
+}
+
+/**
+ * Tell the user memory is unavailable and the reply is made without it
+ * @param {Object} status - Status from getMemoryStatus
+ */
+function showDegradedBanner(status) {
+  memoryDegraded = true;
+  console.log('\n!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+  console.log('  DEGRADED MODE: memory is unavailable');
+  // First sentence only: store errors can be long
+  console.log(`  Reason: ${status.reason.split(/(?<=\.)\s/)[0]}`);
+  if (status.circuit === 'open') {
+    console.log(`  The vector store is not contacted for ${Math.round(getResilienceSettings().breakerCooldownMs / 1000)}s after repeated failures`);
+  }
+  console.log('  Answering without memories; the conversation is still saved');
+  console.log('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!\n');
+}
+
+/**
+ * Show whether memory is available and the failure policy
+ */
+function showHealth() {
+  const status = getMemoryStatus();
+  const resilienceSettings = getResilienceSettings();
+  console.log('\n=== Health ===');
+  console.log(`Memory: ${status.available ? 'available' : `unavailable since ${new Date(status.since).toISOString()} (${status.reason})`}`);
+  console.log(`Vector store circuit: ${status.circuit}`);
+  console.log(`Model calls: timeout ${resilienceSettings.llmTimeoutMs}ms, up to ${resilienceSettings.llmMaxRetries} retries`);
+  console.log(`Vector store calls: timeout ${resilienceSettings.storeTimeoutMs}ms, up to ${resilienceSettings.storeMaxRetries} retries, circuit opens after ${resilienceSettings.breakerThreshold} failures for ${resilienceSettings.breakerCooldownMs}ms\n`);
+}
+
+/**
+ * Describe where a setting's value comes from
+ * @param {Object} row - Row from describeConfig
+ * @returns {string}
+ */
+function describeConfigSource(row) {
+  switch (row.source) {
+    case 'runtime':
+      return 'set while running';
+    case 'flag':
+      return `--${row.key}`;
+    case 'env':
+      return row.env;
+    case 'file':
+      return getConfigPath();
+    default:
+      return 'default';
+  }
+}
+
+/**
+ * Show the effective settings, optionally of one section or setting
+ * @param {string} filter - Key or key prefix, e.g. retrieval
+ */
+function showConfig(filter = '') {
+  const rows = describeConfig().filter(row => row.key === filter || row.key.startsWith(filter ? `${filter}.` : ''));
+  if (rows.length === 0) {
+    console.log(`\nNo setting matches "${filter}"\n`);
+    return;
+  }
+  
+  console.log('\n=== Configuration ===');
+  console.log(`Config file: ${getConfigPath() || 'none'}`);
+  const width = Math.max(...rows.map(row => row.key.length)) + 2;
+  rows.forEach(row => {
+    const value = row.value === null ? '(unset)' : JSON.stringify(row.value);
+    console.log(`${row.runtime ? '*' : ' '} ${row.key.padEnd(width)}${value}  [${describeConfigSource(row)}]`);
+    if (filter) {
+      console.log(`    ${row.description} (${row.env})`);
+    }
+  });
+  console.log('* can be changed while running: config set <key> <value>, config reset <key>\n');
+}
+
+/**
+ * Handle the config command: show settings, or change or reset a runtime setting
+ * @param {string} args - Arguments after "config"
+ */
+function configCommand(args = '') {
+  const [action, key, ...rest] = args.trim().split(/\s+/);
+  try {
+    if (action === 'set' && key && rest.length > 0) {
+      const { previous, value } = setConfig(key, rest.join(' '));
+      console.log(`\n✓ ${key} = ${JSON.stringify(value)} (was ${JSON.stringify(previous)})\n`);
+    } else if (action === 'reset' && key) {
+      console.log(`\n✓ ${key} = ${JSON.stringify(resetConfig(key))}\n`);
+    } else if (action === 'set' || action === 'reset') {
+      console.log('\nUsage: config set <key> <value> | config reset <key>\n');
+      return;
+    } else {
+      showConfig(action);
+      return;
+    }
+  } catch (error) {
+    console.log(`\n${error.message}\n`);
+    return;
+  }
+  
+  if (key.startsWith('autoProcess.')) {
+    // Re-arm the idle timer with the new policy
+    scheduleIdleProcessing();
+  }
+}
+
+/**
+ * List the prompt templates, optionally re-reading them from disk first
+ * @param {boolean} reload - Re-read the template files
+ */
+function showPrompts(reload = false) {
+  if (reload) {
+    reloadPrompts();
+  }
+  
+  let templates;
+  try {
+    templates = loadPrompts();
+  } catch (error) {
+    console.log(`\n${error.message}\n`);
+    return;
+  }
+  
+  console.log(`\n=== Prompt Templates${reload ? ' (reloaded)' : ''} ===`);
+  const width = Math.max(...templates.map(template => template.id.length)) + 2;
+  templates.forEach(template => {
+    console.log(`  ${template.id.padEnd(width)}${template.hash}  ${template.description}`);
+  });
+  console.log('Find the memories a template produced with: memories --prompt <name>@<version>\n');
 }
 
 /**
- * Show current summary
+ * Show current summary, one block per segment (level 0 = most detailed)
  */
 function showSummaries() {
+  const session = activeSession;
   console.log('\n=== Current Summary ===');
-  if (!currentSummary) {
+  if (session.summarySegments.length === 0) {
     console.log('No summary yet');
   } else {
-    console.log(currentSummary);
+    session.summarySegments.forEach(segment => {
+      const label = segment.level === 0 ? 'Level 0 (recent)' : `Level ${segment.level} digest`;
+      console.log(`\n[${label}, ${segment.sources} summaries, ${segment.text.length} chars, ${segment.createdAt}]`);
+      console.log(segment.text);
+    });
+    const { charBudget } = getCompactionSettings();
+    console.log(`\nTotal: ${renderSummary(session.summarySegments).length} / ${charBudget} chars`);
   }
   console.log('\n');
 }
 
 /**
- * Show all stored memories
+ * Parse --option filters, printing the problem when they are invalid
+ * @param {string} args - Command arguments
+ * @returns {Object|null} - { text, filters } or null if invalid
+ */
+function parseFiltersOrReport(args) {
+  try {
+    return parseFilterArgs(args);
+  } catch (error) {
+    console.log(`\n${error.message}\n`);
+    return null;
+  }
+}
+
+/**
+ * Metadata without the topic_* / entity_* flags, which repeat topics and entities
+ * @param {Object} metadata - Memory metadata
+ * @returns {Object}
  */
-async function showMemories() {
-  console.log('\n=== Stored Memories ===');
-  const memories = await getAllMemories();
+function displayMetadata(metadata) {
+  return Object.fromEntries(Object.entries(metadata)
+    .filter(([key]) => !key.startsWith('topic_') && !key.startsWith('entity_')));
+}
+
+/**
+ * Show all stored memories, optionally filtered
+ * @param {string} args - Filters, e.g. "--topic cooking --since 2024-01-01"
+ */
+async function showMemories(args = '') {
+  const parsed = parseFiltersOrReport(args);
+  if (!parsed) {
+    return;
+  }
+  const { filters } = parsed;
+  const filterText = describeFilters(filters);
+  
+  console.log(`\n=== Stored Memories${filterText ? ` (${filterText})` : ''} ===`);
+  const memories = await getAllMemories({ userId: activeSession.userId, filters });
+  const rankingSettings = getRankingSettings();
   
   if (memories.length === 0) {
-    console.log('No memories stored yet');
+    console.log(filterText ? 'No memories match these filters' : 'No memories stored yet');
   } else {
     memories.forEach((memory, idx) => {
-      console.log(`\nMemory ${idx + 1}:`);
+      const status = (isActiveMemory(memory.metadata) ? '' : ' [superseded]')
+        + (isStalePlan(memory.metadata) ? ' [stale plan]' : '');
+      console.log(`\nMemory ${idx + 1} (${memory.id})${status}:`);
       console.log(`  Narrative: ${memory.narrative}`);
+      const importance = getImportance(memory.metadata);
+      const recency = recencyScore(memory.metadata, rankingSettings);
+      const lastAccessed = memory.metadata.last_accessed || 'never';
+      console.log(`  Scores: importance ${importance.toFixed(2)}, recency ${recency.toFixed(2)}, used ${memory.metadata.access_count || 0} times (last ${lastAccessed})`);
       if (memory.metadata && Object.keys(memory.metadata).length > 0) {
-        console.log(`  Metadata: ${JSON.stringify(memory.metadata, null, 2)}`);
+        console.log(`  Metadata: ${JSON.stringify(displayMetadata(memory.metadata), null, 2)}`);
       }
     });
   }
@@ -87,208 +553,629 @@ async function showMemories() {
 }
 
 /**
- * Process summary and residual cache into vector database
+ * Search memories the way chat does, optionally filtered
+ * @param {string} args - Query followed by filters, e.g. "pasta --topic cooking"
  */
-async function processSummaries() {
-  if (!currentSummary && conversationCache.length === 0) {
-    console.log('\nNo conversation to process\n');
+async function showSearch(args) {
+  const parsed = parseFiltersOrReport(args);
+  if (!parsed) {
+    return;
+  }
+  if (!parsed.text) {
+    console.log('\nUsage: search <query> [--topic t] [--entity e] [--source s] [--since date] [--until date] [--when time] [--prompt name@version] [--model m]\n');
+    return;
+  }
+  
+  const { text, filters } = parsed;
+  const filterText = describeFilters(filters);
+  console.log(`\n=== Search "${text}"${filterText ? ` (${filterText})` : ''} ===`);
+  
+  const timeScope = parseTimeScope(text);
+  if (timeScope) {
+    console.log(`Time scope: "${timeScope.expression}" = ${describeTimeScope(timeScope)}`);
+  }
+  
+  // Looking is not using: leave access counts alone
+  const results = await searchMemories(text, SEARCH_RESULT_LIMIT, {
+    userId: activeSession.userId,
+    filters,
+    timeScope,
+    trackAccess: false
+  });
+  
+  if (results.length === 0) {
+    console.log('No matching memories');
+  } else {
+    results.forEach((memory, idx) => {
+      console.log(`\n${idx + 1}. ${memory.id} (score ${memory.score.toFixed(2)}: relevance ${memory.relevance.toFixed(2)}, recency ${memory.recency.toFixed(2)}, importance ${memory.importance.toFixed(2)})`);
+      console.log(`   ${memory.stale ? '[stale plan] ' : ''}${memory.narrative}`);
+      if (memory.metadata.event_date) {
+        console.log(`   Event date: ${memory.metadata.event_date} (${memory.metadata.event_precision})`);
+      }
+      if (memory.metadata.topics) {
+        console.log(`   Topics: ${memory.metadata.topics}`);
+      }
+      if (memory.metadata.entities) {
+        console.log(`   Entities: ${memory.metadata.entities}`);
+      }
+    });
+  }
+  console.log(`\nTotal: ${results.length} memories\n`);
+}
+
+/**
+ * Check the active user's stored memories against the chunk quality rules
+ */
+async function showValidation() {
+  const memories = (await getAllMemories({ userId: activeSession.userId }))
+    .filter(memory => isActiveMemory(memory.metadata));
+  
+  if (memories.length === 0) {
+    console.log('\nNo memories stored yet.\n');
+    return;
+  }
+  
+  const validationSettings = getValidationSettings();
+  const report = validateChunks(memories, {}, validationSettings);
+  console.log(`\n${formatValidationReport(report, validationSettings)}\n`);
+}
+
+/**
+ * Show how a memory changed over time
+ * @param {string} id - Id of any version of the memory
+ */
+async function showHistory(id) {
+  console.log(`\n=== History of ${id} ===`);
+  const versions = await getMemoryHistory(id, { userId: activeSession.userId });
+  
+  if (versions.length === 0) {
+    console.log('Memory not found');
+  } else {
+    versions.forEach((memory, idx) => {
+      const status = isActiveMemory(memory.metadata) ? 'active' : 'superseded';
+      const validFrom = memory.metadata.valid_from || memory.metadata.timestamp || '?';
+      const validTo = memory.metadata.valid_to || 'now';
+      console.log(`\n${idx + 1}. ${memory.id} [${status}]`);
+      console.log(`   Valid: ${validFrom} -> ${validTo}`);
+      console.log(`   ${memory.narrative}`);
+    });
+  }
+  console.log(`\nTotal: ${versions.length} versions\n`);
+}
+
+/**
+ * Ask the user a question
+ * @param {string} question - Question text
+ * @returns {Promise<string>} - Trimmed answer
+ */
+function ask(question) {
+  return new Promise(resolve => {
+    rl.question(question, answer => resolve(answer.trim()));
+  });
+}
+
+/**
+ * Delete one memory by id
+ * @param {string} id - Memory id
+ */
+async function forgetMemory(id) {
+  const userId = activeSession.userId;
+  const [memory] = await getMemoriesByIds([id], { userId });
+  
+  if (!memory) {
+    console.log(`\nMemory ${id} not found\n`);
     return;
   }
+  
+  await deleteMemories([id], { userId });
+  const sources = await forgetMemorySources([memory], userId);
+  console.log(`\n✓ Forgot: ${memory.narrative}${sources}\n`);
+}
 
+/**
+ * Remove the transcripts and summaries deleted memories came from; records
+ * other memories also came from are kept with their text redacted.
+ * Nothing is removed when the other memories cannot be read, since every
+ * record would then look unshared.
+ * @param {Array<Object>} memories - Deleted memories {id, metadata}
+ * @param {string} userId - User id
+ * @returns {Promise<string>} - What was removed, to append to the confirmation
+ */
+async function forgetMemorySources(memories, userId) {
+  let kept;
   try {
-    // Build the full context to process
-    const contextsToProcess = [];
-    
-    if (currentSummary) {
-      contextsToProcess.push(currentSummary);
+    // Superseded versions are included: they still point at their sources
+    kept = await getAllMemories({ userId, strict: true });
+  } catch (error) {
+    console.log(`\n⚠️  Saved transcripts / summaries not removed: the other memories could not be read to tell which are shared (${error.message})`);
+    return '';
+  }
+  const { deleted, redacted } = forgetSources(
+    userId,
+    memories.map(memory => memory.metadata),
+    kept.map(memory => memory.metadata)
+  );
+  if (deleted + redacted === 0) {
+    return '';
+  }
+  return ` (${deleted} saved transcripts / summaries deleted, ${redacted} shared with other memories redacted)`;
+}
+
+/**
+ * Rewrite one memory; the new narrative is re-embedded
+ * @param {string} id - Memory id
+ */
+async function editMemory(id) {
+  const userId = activeSession.userId;
+  const [memory] = await getMemoriesByIds([id], { userId });
+  
+  if (!memory) {
+    console.log(`\nMemory ${id} not found\n`);
+    return;
+  }
+  
+  console.log(`\nCurrent: ${memory.narrative}`);
+  const narrative = await ask('New narrative (empty to cancel): ');
+  
+  if (!narrative) {
+    console.log('\nCancelled. Memory unchanged.\n');
+    return;
+  }
+  
+  await updateMemoryNarrative(id, narrative, { userId });
+  console.log(`\n✓ Memory ${id} updated\n`);
+}
+
+/**
+ * Preview the memories nearest to a query and delete them after confirmation
+ * @param {string} query - Search query
+ */
+async function forgetMatching(query) {
+  const userId = activeSession.userId;
+  const matches = await searchMemories(query, FORGET_PREVIEW_LIMIT, { userId, trackAccess: false });
+  
+  if (matches.length === 0) {
+    console.log('\nNo matching memories\n');
+    return;
+  }
+  
+  console.log(`\n=== Memories matching "${query}" ===`);
+  matches.forEach((memory, idx) => {
+    console.log(`${idx + 1}. (${memory.id}, distance ${memory.distance.toFixed(3)}) ${memory.narrative}`);
+  });
+  
+  console.log(`\n⚠️  This will delete these ${matches.length} memories.`);
+  const confirmation = await ask('Type "confirm" to proceed or anything else to cancel: ');
+  
+  if (confirmation.toLowerCase() === 'confirm') {
+    const deleted = await deleteMemories(matches.map(memory => memory.id), { userId });
+    const sources = await forgetMemorySources(matches, userId);
+    console.log(`\n✓ ${deleted} memories deleted${sources}.\n`);
+  } else {
+    console.log('\nCancelled. No memories were deleted.\n');
+  }
+}
+
+/**
+ * Match input against the commands that take arguments
+ * @param {string} input - Trimmed user input
+ * @returns {Object|null} - { name, args } or null if it is not one of them
+ */
+function matchArgumentCommand(input) {
+  const forced = input.match(/^\/(\S+)\s+(.+)$/);
+  for (const command of ARGUMENT_COMMANDS) {
+    if (forced && forced[1].toLowerCase() === command.name) {
+      return { name: command.name, args: [forced[2].trim()] };
     }
+    const match = command.pattern && input.match(command.pattern);
+    if (match) {
+      return { name: command.name, args: match.slice(1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete every memory and saved transcript of the active user after confirmation
+ */
+async function clearMemories() {
+  console.log(`\n⚠️  This will delete ALL memories of user "${activeSession.userId}" from the vector database.`);
+  const confirmation = await ask('Type "confirm" to proceed or anything else to cancel:\n');
+  if (confirmation.toLowerCase() === 'confirm') {
+    const deleted = await clearAllMemories({ userId: activeSession.userId });
+    const records = deleteTranscripts(activeSession.userId);
+    console.log(`\n✓ Database cleared. ${deleted} memories and ${records} saved transcripts / summaries deleted.\n`);
+  } else {
+    console.log('\nCancelled. No memories were deleted.\n');
+  }
+}
+
+/**
+ * Run a command that reads or changes stored memories. A store error is
+ * reported instead of escaping the input handler, which would leave the
+ * REPL without a prompt.
+ * @param {string} name - Command name, for the error message
+ * @param {Function} fn - Async command
+ */
+async function runMemoryCommand(name, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    console.log(`\n✗ ${name} failed: ${error.message}\n`);
+  }
+}
+
+/**
+ * Process summary and residual cache into vector database
+ * @param {Object} session - Session to process; captured up front so a user
+ *   switch while processing does not change whose memories are written
+ * @returns {Promise<Object|null>} - { chunks, new, updated, skipped } or null if nothing was stored
+ */
+async function processSummaries(session = activeSession) {
+  if (session.summarySegments.length === 0 && session.conversationCache.length === 0) {
+    console.log('\nNo conversation to process\n');
+    return null;
+  }
+  
+  if (session.processing) {
+    console.log('\nAlready processing this conversation\n');
+    return null;
+  }
+  session.processing = true;
+
+  try {
+    // One summary per segment, so each memory can be linked to the one it came from
+    const segments = session.summarySegments.map(segment => (segment.id
+      ? segment
+      // Segments saved before summaries had ids
+      : { ...segment, id: generateRecordId('sum'), transcriptIds: [] }));
+    const transcripts = [];
     
     // If there's residual conversation in cache, summarize it first
-    if (conversationCache.length > 1) { // More than just the summary context
+    if (session.conversationCache.length > 0) {
       console.log('\n[Processing residual conversation...]');
-      const residualSummary = await summarizeConversation(conversationCache);
-      contextsToProcess.push(residualSummary);
+      const transcript = createTranscript(session.conversationCache);
+      const residualSummary = await summarizeConversation(session.conversationCache);
+      transcripts.push(transcript);
+      segments.push(createSegment(residualSummary, [transcript.id]));
     }
     
+    const contextsToProcess = segments.map(segment => segment.text);
     if (contextsToProcess.length === 0) {
       console.log('\nNo content to process\n');
-      return;
+      return null;
     }
     
     console.log(`\nProcessing conversation context...`);
     
-    // Process into narrative chunks
-    const chunks = await processConversations(contextsToProcess);
+    // Process into narrative chunks; relative dates are resolved against
+    // the time of the conversation, not the time of processing
+    const referenceDate = session.lastMessageAt ? new Date(session.lastMessageAt) : new Date();
+    const extracted = await processConversations(contextsToProcess, { referenceDate });
+    const chunks = checkChunkQuality(extracted, contextsToProcess);
     
     if (chunks.length > 0) {
+      if (getConfig('transcripts.enabled')) {
+        linkSources(chunks, segments);
+      }
+      
       // Store chunks in vector database
-      await storeMemories(chunks);
+      const embeddingStats = getEmbeddingStats();
+      const decisions = await storeMemories(chunks, { userId: session.userId });
+      // The summaries are cleared below; keep them with the transcripts
+      saveTranscripts(session.userId, transcripts);
+      saveSummaries(session.userId, segments);
       
       console.log(`Created ${chunks.length} narrative chunks`);
-      console.log('Stored in vector database');
+      decisions.forEach(decision => {
+        const similarity = decision.similarity !== null
+          ? ` (similarity ${decision.similarity.toFixed(2)} to ${decision.matchId})`
+          : '';
+        console.log(`  [${decision.action}] ${decision.id}${similarity}`);
+        console.log(`    ${decision.narrative}`);
+        decision.superseded.forEach(oldId => {
+          console.log(`    supersedes ${oldId}`);
+        });
+      });
+      const counts = countDecisions(decisions);
+      console.log(`Stored in vector database: ${counts.new} new, ${counts.updated} updated, ${counts.skipped} skipped`);
+      console.log(`Embeddings: ${formatEmbeddingStats(embeddingStats)}`);
       
       // Clear summary and cache after processing
-      currentSummary = '';
-      conversationCache.length = 0;
+      session.summarySegments = [];
+      session.summaryCount = 0;
+      session.conversationCache.length = 0;
+      saveState();
       console.log('Summary and cache cleared.\n');
-    } else {
-      console.log('No chunks created\n');
+      
+      return { chunks: chunks.length, ...counts };
     }
+    
+    console.log(extracted.length > 0
+      ? 'Every chunk was rejected; the conversation is kept and will be processed on the next run.\n'
+      : 'No chunks created\n');
+    return null;
   } catch (error) {
     console.error('Error processing summaries:', error.message);
+    console.error('The conversation is kept and will be processed on the next run.');
+    return null;
+  } finally {
+    session.processing = false;
   }
 }
 
 /**
- * Reformulate user input into better search query
+ * Record in each chunk's metadata the summaries and transcripts it came from
+ * @param {Array} chunks - Chunks from processConversations (summaryIndexes)
+ * @param {Array} segments - Summary segments, in the order they were processed
  */
-async function reformulateQuery(input, recentContext = []) {
-  try {
-    // Build context from recent conversation
-    const contextStr = recentContext
-      .slice(-4) // Last 2 exchanges
-      .map(msg => `${msg.role}: ${msg.content}`)
-      .join('\n');
-    
-    const prompt = `Given this user input and recent conversation context, generate a concise search query to find relevant memories.
-
-Recent context:
-${contextStr || 'No recent context'}
-
-User input: "${input}"
-
-Generate a search query that captures:
-- What the user is asking about
-- Key entities, topics, or concepts
-- Implicit references from context
-
-Output ONLY the search query, nothing else. Keep it under 20 words.`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Use cheaper model for this
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a search query optimizer. Convert user messages into effective search queries for finding relevant memories. Output only the query.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 100,
-      temperature: 0.3
-    });
+function linkSources(chunks, segments) {
+  chunks.forEach(chunk => {
+    const sources = chunk.summaryIndexes.map(idx => segments[idx]);
+    const transcriptIds = [...new Set(sources.flatMap(segment => segment.transcriptIds || []))];
+    chunk.metadata = {
+      ...chunk.metadata,
+      summary_ids: sources.map(segment => segment.id).join(','),
+      ...(transcriptIds.length > 0 ? { transcript_ids: transcriptIds.join(',') } : {})
+    };
+  });
+}
 
-    const searchQuery = response.choices[0].message.content.trim();
-    return searchQuery;
-  } catch (error) {
-    console.error('[Query Reformulation] Error:', error.message);
-    // Fallback to original input
-    return input;
+/**
+ * Check extracted chunks against the quality rules (CHUNK_VALIDATION):
+ * warn reports the issues, reject also drops the chunks that have any.
+ * Kept chunks get their quality score in their metadata.
+ * @param {Array} chunks - Chunks from processConversations
+ * @param {Array<string>} summaries - Summaries they were extracted from
+ * @returns {Array} - Chunks to store
+ */
+function checkChunkQuality(chunks, summaries) {
+  const validationSettings = getValidationSettings();
+  if (validationSettings.mode === 'off' || chunks.length === 0) {
+    return chunks;
+  }
+  
+  const report = validateChunks(chunks, { summaries }, validationSettings);
+  console.log(formatValidationReport(report, validationSettings));
+  
+  const kept = [];
+  report.results.forEach((result, idx) => {
+    if (validationSettings.mode === 'reject' && result.issues.length > 0) {
+      return;
+    }
+    const chunk = chunks[idx];
+    chunk.metadata = {
+      ...chunk.metadata,
+      quality_score: result.score,
+      ...(result.issues.length > 0 ? { quality_issues: [...new Set(result.issues.map(issue => issue.rule))].join(', ') } : {})
+    };
+    kept.push(chunk);
+  });
+  
+  if (kept.length < chunks.length) {
+    console.log(`Rejected ${chunks.length - kept.length} chunk(s) that break the quality rules (CHUNK_VALIDATION=reject)`);
   }
+  return kept;
 }
 
 /**
- * Handle AI chat interaction
+ * Process a session because a policy trigger fired, and log the run
+ * @param {Object} session - Session to process
+ * @param {Object} trigger - { reason, detail }
  */
-async function handleChat(input) {
-  try {
-    // Reformulate query for better memory search
-    const searchQuery = await reformulateQuery(input, conversationCache);
+async function autoProcess(session, trigger) {
+  console.log(`\n[AutoProcess] Processing memories for ${session.userId}: ${trigger.detail}`);
+  const result = await processSummaries(session);
+  logAutoProcess({
+    userId: session.userId,
+    reason: trigger.reason,
+    detail: trigger.detail,
+    result: result || { chunks: 0 }
+  }, getProcessingPolicy());
+}
+
+/**
+ * Restart the idle timer; when it fires, idle sessions are processed
+ */
+function scheduleIdleProcessing() {
+  if (idleTimer) {
+    clearTimeout(idleTimer);
+  }
+  const processingPolicy = getProcessingPolicy();
+  if (!processingPolicy.enabled || processingPolicy.idleMs <= 0) {
+    return;
+  }
+  
+  idleTimer = setTimeout(async () => {
+    idleTimer = null;
+    let processed = false;
     
-    if (searchQuery !== input) {
-      console.log(`[Reformulated query: "${searchQuery}"]`);
+    for (const session of sessions.values()) {
+      if (session.chatting || !hasUnprocessedContent(session)) {
+        continue;
+      }
+      const trigger = checkIdleTrigger(session, processingPolicy);
+      if (trigger) {
+        await autoProcess(session, trigger);
+        processed = true;
+      }
     }
-    console.log('[Searching memories...]');
-    
-    // Search vector database for relevant memories
-    const relevantMemories = await searchMemories(searchQuery, 3);
     
-    if (relevantMemories.length > 0) {
-      console.log(`Found ${relevantMemories.length} relevant memories:`);
-      relevantMemories.forEach((memory, idx) => {
-        console.log(`  ${idx + 1}. ${memory.narrative}`);
-      });
-    } else {
-      console.log('No relevant memories found.');
+    if (processed && !shuttingDown && rl) {
+      rl.prompt();
     }
+  }, processingPolicy.idleMs);
+  
+  // Never keep the process alive just for this
+  idleTimer.unref();
+}
+
+/**
+ * Describe a question's time scope for the console
+ * @param {Object} timeScope - Scope from parseTimeScope
+ * @returns {string}
+ */
+function describeTimeScope(timeScope) {
+  const what = timeScope.field === 'stored' ? 'memories stored' : 'events';
+  return `${what} ${formatDate(timeScope.start)} to ${formatDate(timeScope.end)}`;
+}
+
+/**
+ * Summarize the conversation cache into the rolling summary once it is full
+ * @param {Object} session - Session to summarize
+ * @param {Object} contextSettings - Settings from getContextSettings
+ * @returns {Promise<void>}
+ */
+async function summarizeFullCache(session, contextSettings) {
+  const cacheTokens = countMessagesTokens(session.conversationCache);
+  if (cacheTokens >= contextSettings.cacheTokenLimit || session.conversationCache.length >= contextSettings.cacheMaxMessages) {
+    console.log(`[Cache limit reached (${session.conversationCache.length} messages, ~${cacheTokens} tokens), summarizing conversation...]`);
     
-    // Build messages array
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are a helpful AI assistant. Keep your responses concise and friendly.'
-      }
-    ];
+    const transcript = createTranscript(session.conversationCache);
+    const newSummary = await summarizeConversation(session.conversationCache);
+    // Keep what was actually said; memories link back to it
+    const transcriptIds = saveTranscripts(session.userId, [transcript]) ? [transcript.id] : [];
     
-    // Add relevant memories as context
-    if (relevantMemories.length > 0) {
-      const memoryContext = relevantMemories
-        .map(m => m.narrative)
-        .join(' | ');
-      messages.push({
-        role: 'system',
-        content: `Relevant memories from past conversations: ${memoryContext}`
-      });
+    // Add to the rolling summary, compacting older parts if it gets too long
+    session.summarySegments = await addSummarySegment(session.summarySegments, newSummary, transcriptIds);
+    
+    // Reset cache; the summary is passed to the model separately
+    session.conversationCache.length = 0;
+    
+    session.summaryCount++;
+    console.log('[Conversation summarized and cache reset]\n');
+    saveState();
+    
+    const trigger = checkSummaryTriggers(session, getProcessingPolicy());
+    if (trigger) {
+      await autoProcess(session, trigger);
     }
+  }
+}
+
+/**
+ * Handle AI chat interaction
+ */
+async function handleChat(input) {
+  const session = activeSession;
+  const retrievalSettings = getRetrievalSettings();
+  const contextSettings = getContextSettings();
+  const resilienceSettings = getResilienceSettings();
+  session.chatting = true;
+  
+  try {
+    // Skip the lookup for small talk; otherwise search several sub-queries
+    const plan = await planRetrieval(input, session.conversationCache, retrievalSettings);
+    let relevantMemories = [];
+    let memoryUnavailable = false;
     
-    // Add conversation cache
-    messages.push(...conversationCache);
+    if (!plan.needsMemory) {
+      console.log(`[Memory lookup skipped: ${plan.reason}]`);
+      session.lastRetrieval = { input, skipped: plan.reason };
+    } else {
+      if (plan.queries.length > 1 || plan.queries[0] !== input) {
+        console.log(`[Search queries: ${plan.queries.map(query => `"${query}"`).join(', ')}]`);
+      }
+      console.log('[Searching memories...]');
+      
+      // Questions like "what did I tell you last week" are limited to that time
+      const timeScope = parseTimeScope(input) || plan.queries.map(query => parseTimeScope(query)).find(Boolean) || null;
+      if (timeScope) {
+        console.log(`[Time scope: "${timeScope.expression}" = ${describeTimeScope(timeScope)}]`);
+      }
+      
+      // Search a wide candidate set, then keep the best after reranking against the message
+      // Access is recorded once the token budget has decided what is injected
+      const retrieval = await retrieveMemories(plan.queries, {
+        userId: session.userId,
+        timeScope,
+        input,
+        recentContext: session.conversationCache,
+        trackAccess: false
+      }, retrievalSettings);
+      relevantMemories = retrieval.memories;
+      session.lastRetrieval = { input, queries: plan.queries, ...retrieval };
+      
+      const memoryStatus = getMemoryStatus();
+      if (!memoryStatus.available) {
+        memoryUnavailable = true;
+        session.lastRetrieval.unavailable = memoryStatus.reason;
+        showDegradedBanner(memoryStatus);
+      } else if (relevantMemories.length > 0) {
+        console.log(`Found ${relevantMemories.length} relevant memories (reranked ${retrieval.candidates.length} candidates with ${retrieval.reranker}):`);
+        relevantMemories.forEach((memory, idx) => {
+          console.log(`  ${idx + 1}. ${memory.stale ? '[stale plan] ' : ''}${memory.narrative} (${formatRetrievalScores(memory, plan.queries.length)})`);
+        });
+      } else {
+        console.log('No relevant memories found.');
+      }
+      if (memoryStatus.available && memoryDegraded) {
+        memoryDegraded = false;
+        console.log('[Memory is available again]');
+      }
+    }
     
-    // Add current user input
-    messages.push({
-      role: 'user',
-      content: input
-    });
+    // Fit system prompt, memories, summary and recent turns into the token budget
+    const prompt = renderPrompt('chat', { today: formatDate(new Date()) });
+    const { messages, usage } = buildContext({
+      systemPrompt: prompt.sections.system
+        + (memoryUnavailable ? ` ${prompt.sections.memory_unavailable}` : ''),
+      memories: relevantMemories.map(m => (m.stale
+        ? `${m.narrative} (past plan: its date ${m.metadata.event_date} has passed, it may be outdated)`
+        : m.narrative)),
+      summaryParts: session.summarySegments.map(segment => segment.text),
+      recentMessages: session.conversationCache,
+      input
+    }, contextSettings);
+    session.lastContextUsage = usage;
+    if (session.lastRetrieval.memories) {
+      // Memories are dropped lowest ranked first, so these are the top ones
+      session.lastRetrieval.injected = usage.memories.included;
+      await markMemoriesAccessed(relevantMemories.slice(0, usage.memories.included), { userId: session.userId });
+    }
+    console.log(`[Context] ${formatUsage(usage)}`);
     
     // Get AI response
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const reply = await createChatCompletion({
+      task: 'chat',
       messages: messages,
-      max_tokens: 1000,
-      temperature: 0.7
+      max_tokens: getConfig('chat.maxTokens'),
+      temperature: getConfig('chat.temperature')
     });
-    
-    const reply = response.choices[0].message.content;
+
     console.log(`\nAI: ${reply}\n`);
     
     // Update conversation cache
-    conversationCache.push(
+    session.conversationCache.push(
       { role: 'user', content: input },
       { role: 'assistant', content: reply }
     );
+    session.lastMessageAt = Date.now();
+    saveState();
     
-    // Check if cache needs summarization
-    if (conversationCache.length >= CACHE_LIMIT) {
-      console.log('[Cache limit reached, summarizing conversation...]');
-      
-      const newSummary = await summarizeConversation(conversationCache);
-      
-      // Update the rolling summary (merge with previous if exists)
-      if (currentSummary) {
-        currentSummary = `${currentSummary}\n\n${newSummary}`;
-      } else {
-        currentSummary = newSummary;
-      }
-      
-      // Reset cache with combined summary as context
-      conversationCache.length = 0;
-      conversationCache.push({
-        role: 'user',
-        content: `Previous conversation context: ${currentSummary}`
-      });
-      
-      console.log('[Conversation summarized and cache reset]\n');
+    // The reply is given; a failure from here on only delays summarizing
+    try {
+      await summarizeFullCache(session, contextSettings);
+    } catch (error) {
+      console.error('Summarizing the conversation failed:', error.message);
+      console.error('Your message was answered; the conversation is kept and will be summarized after your next message.');
     }
     
   } catch (error) {
     console.error('Error in chat:', error.message);
     if (error.status === 401) {
       console.error('Authentication failed. Please check your OPENAI_API_KEY in .env file');
+    } else if (error.code === 'insufficient_quota') {
+      console.error('API quota exhausted. Check your plan and billing details.');
     } else if (error.status === 429) {
-      console.error('Rate limit exceeded. Please try again later.');
+      console.error(`Rate limit exceeded after ${resilienceSettings.llmMaxRetries} retries. Please try again in a minute.`);
+    } else if (error.code === 'ETIMEDOUT') {
+      console.error(`The model did not answer within ${resilienceSettings.llmTimeoutMs}ms (LLM_TIMEOUT_MS). Please try again.`);
     }
+    console.error('Your message was not answered; the conversation so far is kept.');
+  } finally {
+    session.chatting = false;
+    scheduleIdleProcessing();
   }
 }
 
@@ -304,12 +1191,14 @@ async function processInput(input) {
   }
   
   // Handle commands
-  switch (trimmedInput.toLowerCase()) {
+  const argumentCommand = matchArgumentCommand(trimmedInput);
+  // Commands without arguments may also be typed with a slash ("/help")
+  const bareCommand = trimmedInput.toLowerCase().replace(/^\//, '');
+  const needsArgument = ARGUMENT_COMMANDS.some(command => command.required && command.name === bareCommand);
+  switch (argumentCommand ? argumentCommand.name : (needsArgument ? null : bareCommand)) {
     case 'exit':
     case 'quit':
-      console.log('Goodbye!');
-      rl.close();
-      process.exit(0);
+      await shutdown();
       break;
       
     case 'help':
@@ -328,7 +1217,52 @@ async function processInput(input) {
       break;
       
     case 'memories':
-      await showMemories();
+      await showMemories(argumentCommand ? argumentCommand.args[0] : '');
+      rl.prompt();
+      break;
+      
+    case 'search':
+      await showSearch(argumentCommand.args[0]);
+      rl.prompt();
+      break;
+      
+    case 'context':
+      showContextUsage();
+      rl.prompt();
+      break;
+      
+    case 'retrieval':
+      showRetrieval();
+      rl.prompt();
+      break;
+      
+    case 'why':
+      showWhy();
+      rl.prompt();
+      break;
+      
+    case 'source':
+      await runMemoryCommand('source', () => showSource(argumentCommand.args[0]));
+      rl.prompt();
+      break;
+      
+    case 'health':
+      showHealth();
+      rl.prompt();
+      break;
+      
+    case 'validate':
+      await showValidation();
+      rl.prompt();
+      break;
+      
+    case 'config':
+      configCommand(argumentCommand ? argumentCommand.args[0] : '');
+      rl.prompt();
+      break;
+      
+    case 'prompts':
+      showPrompts(Boolean(argumentCommand));
       rl.prompt();
       break;
       
@@ -337,19 +1271,35 @@ async function processInput(input) {
       rl.prompt();
       break;
       
+    case 'history':
+      await runMemoryCommand('history', () => showHistory(argumentCommand.args[0]));
+      rl.prompt();
+      break;
+      
+    case 'user':
+      switchUser(argumentCommand.args[0]);
+      rl.prompt();
+      break;
+      
+    case 'forget':
+      await runMemoryCommand('forget', () => forgetMemory(argumentCommand.args[0]));
+      rl.prompt();
+      break;
+      
+    case 'edit':
+      await runMemoryCommand('edit', () => editMemory(argumentCommand.args[0]));
+      rl.prompt();
+      break;
+      
+    case 'forget-matching':
+      await runMemoryCommand('forget-matching', () => forgetMatching(argumentCommand.args[0]));
+      rl.prompt();
+      break;
+      
     case 'clear':
-      console.log('\n⚠️  This will delete ALL memories from the vector database.');
-      console.log('Type "confirm" to proceed or anything else to cancel:');
-      rl.question('', async (confirmation) => {
-        if (confirmation.trim().toLowerCase() === 'confirm') {
-          const deleted = await clearAllMemories();
-          console.log(`\n✓ Database cleared. ${deleted} memories deleted.\n`);
-        } else {
-          console.log('\nCancelled. No memories were deleted.\n');
-        }
-        rl.prompt();
-      });
-      return; // Don't prompt twice
+      await runMemoryCommand('clear', clearMemories);
+      rl.prompt();
+      break;
       
     default:
       // Regular chat input
@@ -367,32 +1317,183 @@ async function main() {
   console.log('  AI Memory with Vector Database');
   console.log('====================================\n');
   
+  // Config file and command line flags, on top of the environment
+  const configErrors = loadConfig({ argv: process.argv.slice(2) });
+  if (configErrors.length > 0) {
+    console.error('Error: invalid configuration');
+    configErrors.forEach(error => console.error(`  - ${error}`));
+    console.error('See .env.example for reference\n');
+    process.exit(1);
+  }
+  activeSession = getSession(getConfig('session.user') || DEFAULT_USER_ID);
+  if (getConfigPath()) {
+    console.log(`Using config file ${getConfigPath()}\n`);
+  }
+  
+  let provider;
+  try {
+    provider = getProvider();
+    // A broken template should stop the app now, not the first chat turn
+    loadPrompts();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('See .env.example for reference\n');
+    process.exit(1);
+  }
+  
   // Check for API key
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_key_here') {
+  const apiKey = getConfig('llm.openaiApiKey');
+  if (provider.requiresApiKey && (!apiKey || apiKey === 'your_key_here')) {
     console.error('Error: OPENAI_API_KEY not configured');
     console.error('Please create a .env file with your OpenAI API key');
+    console.error('Or set LLM_PROVIDER=stub to run offline');
     console.error('See .env.example for reference\n');
     process.exit(1);
   }
   
+  if (provider.name !== 'openai') {
+    console.log(`Using ${provider.name} provider\n`);
+  }
+  
+  console.log(`Automatic memory processing: ${describePolicy(getProcessingPolicy())}`);
   console.log('Type "help" for available commands\n');
   
+  if (activeSession.userId !== DEFAULT_USER_ID) {
+    console.log(`Active user: ${activeSession.userId}\n`);
+  }
+  
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: '> '
+  });
+  
+  await offerResume();
+  
+  rl.setPrompt(getPromptText());
   rl.prompt();
   
   rl.on('line', async (line) => {
     await processInput(line);
   });
   
+  rl.on('SIGINT', () => {
+    shutdown();
+  });
+  
   rl.on('close', () => {
+    shutdown();
+  });
+}
+
+/**
+ * Offer to resume the session saved by a previous run.
+ * A declined session is flushed into the vector store instead of being lost.
+ */
+async function offerResume() {
+  const state = loadSessionState();
+  if (!state) {
+    return;
+  }
+  
+  restoreState(state);
+  
+  const pending = [...sessions.values()].filter(hasUnprocessedContent);
+  if (pending.length === 0) {
+    restoreState({ activeUser: getConfig('session.user') || DEFAULT_USER_ID, sessions: {} });
+    return;
+  }
+  
+  console.log(`Found a previous session saved at ${state.savedAt} (${pending.length} user(s) with unprocessed conversation).`);
+  const answer = await ask('Resume it? (y/n) ');
+  
+  if (answer.toLowerCase().startsWith('y')) {
+    console.log(`\n✓ Session resumed. Active user: ${activeSession.userId}\n`);
+    return;
+  }
+  
+  console.log('\nSaving the previous conversation to memory before starting fresh...');
+  await flushSessions({ reason: 'resume_declined', detail: 'previous session not resumed' });
+  
+  // Conversation that could not be processed (model or store down) is kept
+  const unprocessed = [...sessions.values()].filter(hasUnprocessedContent);
+  restoreState({
+    activeUser: getConfig('session.user') || DEFAULT_USER_ID,
+    sessions: Object.fromEntries(unprocessed.map(session => [session.userId, session]))
+  });
+  saveState();
+  if (unprocessed.length > 0) {
+    console.log(`\n⚠️  Could not save the conversation of ${unprocessed.map(session => session.userId).join(', ')} to memory; it is kept and will be processed later.\n`);
+  }
+}
+
+/**
+ * Process every session that still has unprocessed conversation
+ * @param {Object} trigger - { reason, detail } recorded in the log
+ */
+async function flushSessions(trigger) {
+  for (const session of sessions.values()) {
+    if (hasUnprocessedContent(session)) {
+      await autoProcess(session, trigger);
+    }
+  }
+}
+
+/**
+ * Flush unprocessed conversation into the vector store, save state and quit
+ */
+async function shutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  
+  if (idleTimer) {
+    clearTimeout(idleTimer);
+  }
+  
+  try {
+    // Not tied to AUTO_PROCESS: the conversation is kept unless
+    // AUTO_PROCESS_ON_EXIT=false opts out of it
+    if (getProcessingPolicy().onExit) {
+      await flushSessions({ reason: 'exit', detail: 'application exit' });
+    }
+  } finally {
+    // Anything that could not be processed is kept for the next start
+    saveState();
     console.log('\nGoodbye!');
+    if (rl) {
+      rl.close();
+    }
     process.exit(0);
-  });
+  }
 }
 
-// Handle errors
-process.on('unhandledRejection', (error) => {
-  console.error('Unhandled error:', error.message);
-});
+module.exports = {
+  matchArgumentCommand,
+  getSession,
+  switchUser,
+  handleChat,
+  processSummaries,
+};
 
-// Start the application
-main();
+// Start the application when run directly (tests load the module instead)
+if (require.main === module) {
+  // Handle errors
+  process.on('unhandledRejection', (error) => {
+    console.error('Unhandled error:', error.message);
+  });
+  
+  // Keep the session on a crash
+  process.on('uncaughtException', (error) => {
+    console.error('Fatal error:', error.message);
+    saveState();
+    process.exit(1);
+  });
+  
+  process.on('SIGTERM', () => {
+    shutdown();
+  });
+  
+  main();
+}
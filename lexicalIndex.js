@@ -0,0 +1,191 @@
+/**
+ * BM25 keyword index over memory narratives. Vector search is good at
+ * paraphrases but weak at exact names and numbers ("Luna", "$30,000");
+ * the lexical scores are fused with vector similarity in searchMemories.
+ */
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Collection size assumed at least when weighting terms, so a word found
+// in one of only a few memories still counts as rare
+const MIN_IDF_DOCUMENTS = 10;
+
+// Words too common to say anything about a memory
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so',
+  'tell', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this',
+  'to', 'user', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Words that match fine but make poor topics
+const WEAK_KEYWORDS = new Set([
+  'one', 'two', 'three', 'four', 'five', 'first', 'second', 'named', 'called',
+  'several', 'many', 'some', 'more', 'most', 'very', 'really', 'recently',
+  'currently', 'new', 'like', 'get', 'got', 'make', 'made', 'want', 'wants',
+  'every', 'next', 'last', 'day', 'week', 'month', 'year', 'today', 'getting',
+  'going', 'mentioned', 'shared', 'asked', 'said', 'discussed', 'interested'
+]);
+
+/**
+ * Reduce a word to the form stored in the index: numbers keep their digits
+ * only ("$30,000" and "30000" match), possessives and plurals are folded
+ * ("Sarah's" -> "sarah", "cats" -> "cat", but "Paris" stays)
+ * @param {string} term - Lowercased word
+ * @returns {string} - Index term
+ */
+function normalizeTerm(term) {
+  if (/^[0-9.,]+$/.test(term)) {
+    return term.replace(/,/g, '');
+  }
+  const word = term.replace(/'s$/, '');
+  if (word.length > 3 && word.endsWith('s') && !/(ss|is|us)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Split a text into index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+  const matches = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.,'][a-z0-9]+)*/g) || [];
+  return matches
+    .filter(term => !STOP_WORDS.has(term))
+    .map(normalizeTerm)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Build a BM25 index over a set of documents. Documents can be added or
+ * removed afterwards, so a batch of writes does not rebuild it each time.
+ * @param {Array} documents - Documents {id, text}
+ * @returns {Object} - Index with search(query, limit), keywords(text, limit), add(id, text), remove(id) and size
+ */
+function createLexicalIndex(documents) {
+  const entries = new Map();
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  /**
+   * Index a document, replacing the one with the same id
+   * @param {string} id - Document id
+   * @param {string} text - Document text
+   */
+  function add(id, text) {
+    remove(id);
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+    entries.set(id, { id, length: terms.length, frequencies });
+    totalLength += terms.length;
+  }
+
+  /**
+   * Drop a document from the index
+   * @param {string} id - Document id
+   */
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+      return;
+    }
+    entry.frequencies.forEach((_, term) => {
+      const n = documentFrequency.get(term) - 1;
+      if (n > 0) {
+        documentFrequency.set(term, n);
+      } else {
+        documentFrequency.delete(term);
+      }
+    });
+    entries.delete(id);
+    totalLength -= entry.length;
+  }
+
+  documents.forEach(({ id, text }) => add(id, text));
+
+  /**
+   * Inverse document frequency of a term (BM25+ variant, never negative)
+   * @param {string} term - Term
+   * @returns {number}
+   */
+  function idf(term) {
+    const n = documentFrequency.get(term) || 0;
+    const total = Math.max(entries.size, MIN_IDF_DOCUMENTS);
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    add,
+    remove,
+
+    /**
+     * Keywords of a text by TF-IDF against the indexed documents
+     * @param {string} text - Text to describe
+     * @param {number} limit - Maximum number of keywords
+     * @returns {Array<string>} - Keywords, most distinctive first
+     */
+    keywords(text, limit = 5) {
+      const terms = tokenize(text)
+        .filter(term => term.length > 2 && !/^[0-9.]+$/.test(term) && !WEAK_KEYWORDS.has(term));
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+      // Map keeps first-occurrence order, which breaks ties
+      return [...frequencies.entries()]
+        .map(([term, tf]) => ({ term, score: (tf / terms.length) * idf(term) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(keyword => keyword.term);
+    },
+
+    /**
+     * Score the documents against a query
+     * @param {string} query - Query text
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} - Matches {id, score}, best first; documents sharing no term are left out
+     */
+    search(query, limit = 10) {
+      const queryTerms = [...new Set(tokenize(query))];
+      if (queryTerms.length === 0 || entries.size === 0) {
+        return [];
+      }
+      const averageLength = totalLength / entries.size;
+
+      return [...entries.values()]
+        .map(entry => {
+          let score = 0;
+          queryTerms.forEach(term => {
+            const tf = entry.frequencies.get(term);
+            if (!tf) {
+              return;
+            }
+            const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / (averageLength || 1));
+            score += idf(term) * (tf * (BM25_K1 + 1)) / norm;
+          });
+          return { id: entry.id, score };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  tokenize,
+  createLexicalIndex,
+};
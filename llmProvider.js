@@ -0,0 +1,380 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { callWithPolicy, getResilienceSettings } = require('./resilience');
+const { getConfig } = require('./config');
+
+// Which model tier each task runs on
+const TASK_TIERS = {
+  chat: 'chat',
+  summarize: 'chat',
+  extract: 'chat',
+  reformulate: 'fast',
+  rerank: 'fast'
+};
+
+const STUB_EMBEDDING_DIMENSIONS = 1536;
+
+let activeProvider = null;
+
+/**
+ * Resolve the model name for a task
+ * @param {string} task - Task name (chat, summarize, extract, reformulate, rerank)
+ * @returns {string} - Model name
+ */
+function getModelForTask(task) {
+  const tier = TASK_TIERS[task] || 'chat';
+  if (tier === 'fast') {
+    return getConfig('llm.fastModel');
+  }
+  return getConfig('llm.chatModel');
+}
+
+/**
+ * Resolve the embedding model name
+ * @returns {string} - Embedding model name
+ */
+function getEmbeddingModel() {
+  return getConfig('llm.embeddingModel');
+}
+
+/**
+ * Create a provider backed by the OpenAI API or an OpenAI-compatible endpoint
+ * @param {Object} options - { name, apiKey, baseURL, client }
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(options = {}) {
+  const client = options.client || new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL
+  });
+
+  return {
+    name: options.name || 'openai',
+    requiresApiKey: options.requiresApiKey !== false,
+
+    async chat({ task, messages, temperature, max_tokens, response_format, signal }) {
+      // Retries and timeouts are handled by resilience.js
+      const response = await client.chat.completions.create({
+        model: getModelForTask(task),
+        messages,
+        temperature,
+        max_tokens,
+        ...(response_format ? { response_format } : {})
+      }, { signal, maxRetries: 0 });
+
+      return response.choices[0].message.content;
+    },
+
+    async embed(texts, options = {}) {
+      // Retries and rate limits are handled by embeddings.js
+      const response = await client.embeddings.create({
+        model: getEmbeddingModel(),
+        input: texts
+      }, { signal: options.signal, maxRetries: 0 });
+
+      // Keep the order of the input even if the endpoint does not
+      return [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Deterministic embedding: hashes each word into a fixed-size vector.
+ * Texts sharing words end up close together, which is enough for offline runs.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} - Normalized embedding vector
+ */
+function generateHashEmbedding(text, dimensions = STUB_EMBEDDING_DIMENSIONS) {
+  const embedding = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}$]+/gu) || [];
+
+  for (const word of words) {
+    const hash = crypto.createHash('md5').update(word).digest();
+    const index = hash.readUInt32LE(0) % dimensions;
+    const sign = hash[4] & 1 ? 1 : -1;
+    embedding[index] += sign;
+  }
+
+  // Normalize
+  const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude === 0) {
+    embedding[0] = 1;
+    return embedding;
+  }
+  return embedding.map(val => val / magnitude);
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Sentences
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?]+[.!?]+/g) || [text])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Default stub replies, one per task. They only look at the request,
+ * so the same input always produces the same output.
+ */
+const STUB_RESPONDERS = {
+  chat(messages) {
+    const input = messages[messages.length - 1].content;
+    const memoryMessage = messages.find(msg => msg.role === 'system' && msg.content.startsWith('Relevant memories'));
+    const memoryNote = memoryMessage
+      ? ` I remember ${memoryMessage.content.split(' | ').length} related thing(s) about you.`
+      : '';
+    return `(stub) You said: "${input}".${memoryNote}`;
+  },
+
+  reformulate(messages) {
+    // Always looks memories up, with the input as the only query
+    const prompt = messages[messages.length - 1].content;
+    const match = prompt.match(/User input: "([\s\S]*?)"\n/);
+    return JSON.stringify({ needs_memory: true, queries: [match ? match[1] : prompt] });
+  },
+
+  rerank(messages) {
+    // Rates every memory the same, so the retrieval order is kept
+    const prompt = messages[messages.length - 1].content;
+    const count = (prompt.match(/^Memory \d+: /gm) || []).length;
+    return JSON.stringify({ scores: new Array(count).fill(5) });
+  },
+
+  summarize(messages) {
+    const text = messages[messages.length - 1].content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && line !== 'summary:')
+      .join(' ');
+    return text.length > 600 ? `${text.slice(0, 597)}...` : text;
+  },
+
+  extract(messages) {
+    // Retries append feedback; the summaries are in the first user message
+    const prompt = messages.find(msg => msg.role === 'user').content;
+    const section = prompt.split('Summaries:\n')[1] || prompt;
+    const body = section.split('\n\nExtract the key facts')[0];
+    const sentences = body
+      .split('\n')
+      .filter(line => !/^Summary \d+:$/.test(line.trim()))
+      .flatMap(line => splitSentences(line));
+
+    // Two sentences per memory; capitalized words inside a sentence are entities
+    const memories = [];
+    for (let i = 0; i < sentences.length; i += 2) {
+      const pair = sentences.slice(i, i + 2);
+      const narrative = pair.join(' ');
+      const entities = pair
+        .flatMap(sentence => sentence.split(/\s+/).slice(1))
+        .map(word => word.replace(/[^A-Za-z0-9'-]/g, ''))
+        .filter(word => /^[A-Z][a-z]/.test(word) && word !== 'User');
+      memories.push({ narrative, category: 'event', entities: [...new Set(entities)], confidence: 0.5 });
+    }
+    return JSON.stringify({ memories });
+  },
+
+  merge(messages) {
+    const prompt = messages[messages.length - 1].content;
+    const match = prompt.match(/^Existing memory: ([\s\S]*)\n\nNew information: ([\s\S]*)$/);
+    if (!match) {
+      return prompt;
+    }
+    // Keep whichever version carries more detail
+    return match[2].length > match[1].length ? match[2] : match[1];
+  },
+
+  compact(messages) {
+    // Keep the first sentence of every summary
+    return messages[messages.length - 1].content
+      .split('\n\n')
+      .map(summary => splitSentences(summary)[0] || '')
+      .filter(sentence => sentence.length > 0)
+      .join(' ');
+  },
+
+  contradiction() {
+    // Never reports conflicts; script a reply to exercise supersession
+    return '{"contradicted": []}';
+  }
+};
+
+/**
+ * Create a deterministic provider that needs no network or API key.
+ * Scripted replies are consumed first (per task, then in order);
+ * when none are left the built-in responder for the task is used.
+ * @param {Object} options - { replies, script, dimensions }
+ * @returns {Object} - Provider
+ */
+function createStubProvider(options = {}) {
+  const dimensions = options.dimensions || STUB_EMBEDDING_DIMENSIONS;
+  const queue = [...(options.replies || [])];
+  const scripted = {};
+
+  for (const [task, replies] of Object.entries(options.script || {})) {
+    scripted[task] = [...replies];
+  }
+
+  return {
+    name: 'stub',
+    requiresApiKey: false,
+    calls: [],
+
+    /**
+     * Queue a reply. A function reply is called with the request,
+     * an Error reply is thrown.
+     * @param {string|Function|Error} reply - Reply to return
+     * @param {string} task - Only use this reply for the given task
+     */
+    queueReply(reply, task) {
+      if (task) {
+        (scripted[task] = scripted[task] || []).push(reply);
+      } else {
+        queue.push(reply);
+      }
+    },
+
+    async chat(request) {
+      this.calls.push(request);
+      const { task = 'chat', messages } = request;
+
+      let reply;
+      if (scripted[task] && scripted[task].length > 0) {
+        reply = scripted[task].shift();
+      } else if (queue.length > 0) {
+        reply = queue.shift();
+      } else {
+        const responder = STUB_RESPONDERS[task] || STUB_RESPONDERS.chat;
+        reply = responder(messages);
+      }
+
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return typeof reply === 'function' ? reply(request) : reply;
+    },
+
+    async embed(texts) {
+      return texts.map(text => generateHashEmbedding(text, dimensions));
+    }
+  };
+}
+
+/**
+ * Build the provider selected by LLM_PROVIDER (openai, openai-compatible, stub)
+ * @returns {Object} - Provider
+ */
+function createProviderFromConfig() {
+  const providerName = getConfig('llm.provider');
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: getConfig('llm.openaiApiKey')
+      });
+
+    case 'openai-compatible':
+    case 'local': {
+      const baseURL = getConfig('llm.baseUrl');
+      if (!baseURL) {
+        throw new Error('LLM_BASE_URL must be set for the openai-compatible provider');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: getConfig('llm.apiKey') || getConfig('llm.openaiApiKey') || 'not-needed',
+        baseURL,
+        requiresApiKey: false
+      });
+    }
+
+    case 'stub': {
+      let script = {};
+      const scriptPath = getConfig('llm.stubScript');
+      if (scriptPath) {
+        script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      }
+      return createStubProvider({ script });
+    }
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected openai, openai-compatible or stub)`);
+  }
+}
+
+/**
+ * Get the active provider, creating it from the configuration on first use
+ * @returns {Object} - Provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromConfig();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (used by tests and scripts)
+ * @param {Object|null} provider - Provider, or null to rebuild from the configuration
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Run a chat completion on the active provider, with the shared timeout
+ * and retry policy (LLM_TIMEOUT_MS, LLM_MAX_RETRIES)
+ * @param {Object} request - { task, messages, temperature, max_tokens, response_format }
+ * @returns {Promise<string>} - Reply text
+ */
+async function createChatCompletion(request) {
+  const settings = getResilienceSettings();
+  return callWithPolicy(signal => getProvider().chat({ ...request, signal }), {
+    label: `${request.task || 'chat'} completion`,
+    timeoutMs: settings.llmTimeoutMs,
+    retries: settings.llmMaxRetries,
+    baseMs: settings.retryBaseMs
+  });
+}
+
+/**
+ * Generate embeddings for several texts (one request, no retries; see embeddings.js)
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - { signal: AbortSignal to cancel the request }
+ * @returns {Promise<number[][]>} - One embedding per text
+ */
+async function createEmbeddings(texts, options = {}) {
+  if (texts.length === 0) {
+    return [];
+  }
+  return getProvider().embed(texts, options);
+}
+
+/**
+ * Generate an embedding for one text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function createEmbedding(text) {
+  const [embedding] = await createEmbeddings([text]);
+  return embedding;
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createOpenAIProvider,
+  createStubProvider,
+  createChatCompletion,
+  createEmbeddings,
+  createEmbedding,
+  generateHashEmbedding,
+  getModelForTask,
+  getEmbeddingModel,
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Embedded vector store that keeps each collection in a JSON file on disk.
+ * Collections expose the subset of the Chroma collection API used by vectorDB.js
+ * (add, update, get, query, count, delete), so both backends are interchangeable.
+ */
+
+/**
+ * Cosine distance between two vectors (0 = same direction, 2 = opposite)
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Cosine distance
+ */
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) {
+    return 1;
+  }
+  return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Check a single metadata value against a Chroma-style operator expression
+ * @param {*} value - Metadata value
+ * @param {*} condition - Literal value or { $op: operand }
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return value === operand;
+      case '$ne': return value !== operand;
+      case '$gt': return value !== undefined && value > operand;
+      case '$gte': return value !== undefined && value >= operand;
+      case '$lt': return value !== undefined && value < operand;
+      case '$lte': return value !== undefined && value <= operand;
+      case '$in': return operand.includes(value);
+      case '$nin': return !operand.includes(value);
+      default:
+        throw new Error(`Unsupported where operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check metadata against a Chroma-style where clause
+ * @param {Object} metadata - Record metadata
+ * @param {Object} where - Where clause ({ key: value }, { key: { $op } }, $and, $or)
+ * @returns {boolean}
+ */
+function matchesWhere(metadata, where) {
+  if (!where || Object.keys(where).length === 0) {
+    return true;
+  }
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(clause => matchesWhere(metadata, clause));
+    }
+    if (key === '$or') {
+      return condition.some(clause => matchesWhere(metadata, clause));
+    }
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+/**
+ * Create a collection backed by a JSON file
+ * @param {string} name - Collection name
+ * @param {string} filePath - File the collection is persisted to
+ * @param {Object} metadata - Collection metadata
+ * @returns {Object} - Collection
+ */
+function createLocalCollection(name, filePath, metadata = {}) {
+  let records = [];
+
+  if (fs.existsSync(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    records = data.records || [];
+    metadata = data.metadata || metadata;
+  }
+
+  // Distances are always cosine here
+  metadata = { ...metadata, 'hnsw:space': 'cosine' };
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  function save() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ name, metadata, records }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function findRecords({ ids, where } = {}) {
+    let matches = records;
+    if (ids) {
+      const idSet = new Set(ids);
+      matches = matches.filter(record => idSet.has(record.id));
+    }
+    return matches.filter(record => matchesWhere(record.metadata, where));
+  }
+
+  return {
+    name,
+    metadata,
+
+    async add({ ids, embeddings, documents, metadatas }) {
+      const existing = new Set(records.map(record => record.id));
+      ids.forEach((id, idx) => {
+        if (existing.has(id)) {
+          throw new Error(`Record with id ${id} already exists`);
+        }
+        records.push({
+          id,
+          embedding: embeddings[idx],
+          document: documents ? documents[idx] : null,
+          metadata: (metadatas && metadatas[idx]) || {}
+        });
+      });
+      save();
+    },
+
+    async update({ ids, embeddings, documents, metadatas }) {
+      ids.forEach((id, idx) => {
+        const record = records.find(r => r.id === id);
+        if (!record) {
+          return;
+        }
+        if (embeddings) {
+          record.embedding = embeddings[idx];
+        }
+        if (documents) {
+          record.document = documents[idx];
+        }
+        if (metadatas) {
+          // Merged like Chroma does: a null value removes the key
+          const metadata = { ...record.metadata, ...metadatas[idx] };
+          record.metadata = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null));
+        }
+      });
+      save();
+    },
+
+    async get({ ids, where, limit, offset = 0, include } = {}) {
+      let matches = findRecords({ ids, where }).slice(offset);
+      if (limit !== undefined) {
+        matches = matches.slice(0, limit);
+      }
+      return {
+        ids: matches.map(record => record.id),
+        documents: matches.map(record => record.document),
+        metadatas: matches.map(record => record.metadata),
+        embeddings: include && include.includes('embeddings')
+          ? matches.map(record => record.embedding)
+          : null
+      };
+    },
+
+    async query({ queryEmbeddings, nResults = 10, where, include }) {
+      const candidates = findRecords({ where });
+      const result = { ids: [], documents: [], metadatas: [], distances: [], embeddings: null };
+      const withEmbeddings = include && include.includes('embeddings');
+      if (withEmbeddings) {
+        result.embeddings = [];
+      }
+
+      for (const queryEmbedding of queryEmbeddings) {
+        const ranked = candidates
+          .map(record => ({ record, distance: cosineDistance(queryEmbedding, record.embedding) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, nResults);
+
+        result.ids.push(ranked.map(item => item.record.id));
+        result.documents.push(ranked.map(item => item.record.document));
+        result.metadatas.push(ranked.map(item => item.record.metadata));
+        result.distances.push(ranked.map(item => item.distance));
+        if (withEmbeddings) {
+          result.embeddings.push(ranked.map(item => item.record.embedding));
+        }
+      }
+
+      return result;
+    },
+
+    async count() {
+      return records.length;
+    },
+
+    async delete({ ids, where } = {}) {
+      const toDelete = new Set(findRecords({ ids, where }).map(record => record.id));
+      records = records.filter(record => !toDelete.has(record.id));
+      save();
+      return [...toDelete];
+    }
+  };
+}
+
+/**
+ * Create the local store backend
+ * @param {Object} options - { path: directory holding the collection files }
+ * @returns {Object} - Backend with getCollection(name, metadata)
+ */
+function createLocalStore(options = {}) {
+  const storePath = options.path || getConfig('store.localPath');
+  const collections = new Map();
+
+  return {
+    name: 'local',
+
+    async getCollection(name, metadata = {}) {
+      if (!collections.has(name)) {
+        fs.mkdirSync(storePath, { recursive: true });
+        const filePath = path.join(storePath, `${name}.json`);
+        collections.set(name, createLocalCollection(name, filePath, metadata));
+        console.log(`[VectorDB] Local store initialized at ${filePath}`);
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = {
+  createLocalStore,
+  cosineDistance,
+  matchesWhere,
+};
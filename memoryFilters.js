@@ -0,0 +1,196 @@
+const { tokenize } = require('./lexicalIndex');
+const { resolveTimeExpression } = require('./temporal');
+
+/**
+ * Metadata filters for memory search and listing.
+ * Chroma metadata values are scalars and `where` cannot look inside a
+ * string, so every topic and entity is also stored as a boolean flag
+ * (topic_cooking: true, entity_new_york: true) and the creation and event
+ * times as numbers (timestamp_ms, event_date_ms, event_end_ms) that range
+ * operators work on.
+ */
+
+const FILTER_OPTIONS = ['topic', 'entity', 'source', 'since', 'until', 'when', 'prompt', 'model'];
+
+/**
+ * Turn a topic or entity name into a metadata key suffix
+ * @param {string} value - Name
+ * @returns {string} - Slug, e.g. "New York" -> "new_york"
+ */
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Metadata flags for a memory's topics
+ * @param {Array<string>} topics - Topic keywords
+ * @returns {Object} - { topic_<slug>: true, ... }
+ */
+function topicFlags(topics) {
+  return Object.fromEntries(topics.map(topic => [`topic_${slugify(topic)}`, true]));
+}
+
+/**
+ * Metadata flags for a memory's entities
+ * @param {Array<string>} names - Entity names
+ * @returns {Object} - { entity_<slug>: true, ... }
+ */
+function entityFlags(names) {
+  return Object.fromEntries(names.map(name => [`entity_${slugify(name)}`, true]));
+}
+
+/**
+ * Parse a date filter; a bare date covers the whole day
+ * @param {string|number} value - ISO date or date-time, or time in ms
+ * @param {boolean} endOfDay - Use the end of a bare date (for "until")
+ * @returns {number} - Time in ms
+ */
+function parseFilterDate(value, endOfDay) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or an ISO date-time)`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+/**
+ * Build a Chroma `where` clause from search filters.
+ * since / until filter on when the memory was stored; when, eventFrom and
+ * eventTo keep memories whose event date overlaps the range.
+ * prompt keeps memories extracted or merged by a template version (extract@2).
+ * @param {Object} filters - { topic, entity, source, since, until, when: time expression, eventFrom, eventTo: ms, prompt, model }
+ * @returns {Object|null} - Where clause, or null when there is nothing to filter on
+ */
+function buildWhere(filters = {}) {
+  const clauses = [];
+
+  if (filters.topic) {
+    // Topics are stored in their indexed form ("cats" -> "cat")
+    const topic = tokenize(filters.topic)[0] || filters.topic;
+    clauses.push({ [`topic_${slugify(topic)}`]: { $eq: true } });
+  }
+  if (filters.entity) {
+    clauses.push({ [`entity_${slugify(filters.entity)}`]: { $eq: true } });
+  }
+  if (filters.source) {
+    clauses.push({ source: { $eq: filters.source } });
+  }
+  if (filters.prompt) {
+    clauses.push({ $or: [{ prompt_version: { $eq: filters.prompt } }, { merge_prompt_version: { $eq: filters.prompt } }] });
+  }
+  if (filters.model) {
+    clauses.push({ $or: [{ model: { $eq: filters.model } }, { merge_model: { $eq: filters.model } }] });
+  }
+  if (filters.since) {
+    clauses.push({ timestamp_ms: { $gte: parseFilterDate(filters.since, false) } });
+  }
+  if (filters.until) {
+    clauses.push({ timestamp_ms: { $lte: parseFilterDate(filters.until, true) } });
+  }
+
+  let { eventFrom, eventTo } = filters;
+  if (filters.when) {
+    const range = resolveTimeExpression(filters.when, { prefer: 'nearest' })
+      || resolveTimeExpression(`in ${filters.when}`, { prefer: 'nearest' });
+    if (!range) {
+      throw new Error(`Cannot understand the date "${filters.when}" (try "June", "next month", "2027-03-01")`);
+    }
+    eventFrom = range.start.getTime();
+    eventTo = range.end.getTime();
+  }
+  if (eventTo !== undefined) {
+    clauses.push({ event_date_ms: { $lte: eventTo } });
+  }
+  if (eventFrom !== undefined) {
+    clauses.push({ event_end_ms: { $gte: eventFrom } });
+  }
+
+  if (clauses.length === 0) {
+    return null;
+  }
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Filters for a question's time scope (see temporal.parseTimeScope)
+ * @param {Object|null} scope - { field: 'stored' | 'event', start, end }
+ * @returns {Object} - Filters for buildWhere
+ */
+function timeScopeFilters(scope) {
+  if (!scope) {
+    return {};
+  }
+  if (scope.field === 'stored') {
+    return { since: scope.start.getTime(), until: scope.end.getTime() };
+  }
+  return { eventFrom: scope.start.getTime(), eventTo: scope.end.getTime() };
+}
+
+/**
+ * Split command arguments into free text and --option filters
+ * @param {string} text - e.g. "trip plans --topic travel --since 2024-01-01"
+ * @returns {Object} - { text, filters }
+ */
+function parseFilterArgs(text = '') {
+  const filters = {};
+  const words = [];
+  const tokens = text.trim().split(/\s+/).filter(token => token.length > 0);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const option = tokens[i].match(/^--([a-z]+)$/i);
+    if (!option) {
+      words.push(tokens[i]);
+      continue;
+    }
+
+    const name = option[1].toLowerCase();
+    if (!FILTER_OPTIONS.includes(name)) {
+      throw new Error(`Unknown filter --${name} (use ${FILTER_OPTIONS.map(o => `--${o}`).join(', ')})`);
+    }
+
+    // Values run until the next option, so "--entity New York" works
+    const value = [];
+    while (i + 1 < tokens.length && !tokens[i + 1].startsWith('--')) {
+      value.push(tokens[++i]);
+    }
+    if (value.length === 0) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    filters[name] = value.join(' ');
+  }
+
+  // Fail early on bad dates
+  buildWhere(filters);
+
+  return { text: words.join(' '), filters };
+}
+
+/**
+ * Describe filters in one line
+ * @param {Object} filters - { topic, entity, source, since, until, prompt, model }
+ * @returns {string}
+ */
+function describeFilters(filters = {}) {
+  return Object.entries(filters)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(', ');
+}
+
+module.exports = {
+  slugify,
+  topicFlags,
+  entityFlags,
+  buildWhere,
+  timeScopeFilters,
+  parseFilterArgs,
+  describeFilters,
+};
@@ -1,16 +1,76 @@
-require('dotenv').config();
-const OpenAI = require('openai');
+const { createChatCompletion, getModelForTask, getProvider } = require('./llmProvider');
+const { estimateImportance } = require('./memoryScoring');
+const { MEMORY_CATEGORIES, ENTITY_TYPES, parseJsonReply, validateExtraction } = require('./memorySchema');
+const { entityFlags } = require('./memoryFilters');
+const { resolveTimeExpression, describeRange, formatDate, toEventMetadata } = require('./temporal');
+const { getConfig } = require('./config');
+const { getPrompt, renderPrompt } = require('./promptTemplates');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Extraction requests made before giving up on a valid reply
+const EXTRACTION_MAX_ATTEMPTS = 3;
 
 /**
- * Process conversation summaries into narrative chunks
+ * Which prompt and model produce a task's output, for memory metadata
+ * @param {string} name - Prompt template name
+ * @param {string} task - Model task (defaults to the template name)
+ * @returns {Object} - { prompt_version, prompt_hash, model, provider }
+ */
+function getPromptProvenance(name, task = name) {
+  const prompt = getPrompt(name);
+  return {
+    prompt_version: prompt.id,
+    prompt_hash: prompt.hash,
+    model: getModelForTask(task),
+    provider: getProvider().name
+  };
+}
+
+/**
+ * Resolve the date a memory refers to. The model's time expression is tried
+ * first, then the narrative itself. A relative expression left in the
+ * narrative gets the absolute date added ("next spring (spring 2027)").
+ * @param {string} narrative - Extracted narrative
+ * @param {string} category - Memory category; plans look forward, events back
+ * @param {string|null} timeExpression - Time phrase reported by the model
+ * @param {Date} referenceDate - When the conversation took place
+ * @returns {Object} - { narrative, eventDate: resolved range or null }
+ */
+function resolveEventDate(narrative, category, timeExpression, referenceDate) {
+  const prefer = { plan: 'future', event: 'past' }[category] || 'nearest';
+  const options = { now: referenceDate, prefer };
+  const eventDate = (timeExpression && resolveTimeExpression(timeExpression, options))
+    || resolveTimeExpression(narrative, options);
+
+  if (!eventDate) {
+    return { narrative, eventDate: null };
+  }
+
+  const position = narrative.toLowerCase().indexOf(eventDate.expression.toLowerCase());
+  const isRelative = !/\d{4}/.test(eventDate.expression);
+  if (position === -1 || !isRelative) {
+    return { narrative, eventDate };
+  }
+
+  const end = position + eventDate.expression.length;
+  return {
+    narrative: `${narrative.slice(0, end)} (${describeRange(eventDate)})${narrative.slice(end)}`,
+    eventDate
+  };
+}
+
+/**
+ * Process conversation summaries into narrative chunks.
+ * The model replies with JSON; invalid replies are sent back with the
+ * validation errors, and after the last attempt only the valid memories are kept.
+ * Relative dates ("next spring") are resolved against the reference date
+ * into event date metadata.
+ * Each chunk lists the summaries it came from (summaryIndexes, as reported
+ * by the model; all of them when it did not say).
  * @param {Array<string>} summaries - Array of conversation summaries
- * @returns {Promise<Array>} - Array of chunk objects with narrative and metadata
+ * @param {Object} options - { referenceDate: when the conversation took place (default now) }
+ * @returns {Promise<Array>} - Array of chunk objects { narrative, metadata, summaryIndexes }
  */
-async function processConversations(summaries) {
+async function processConversations(summaries, options = {}) {
   try {
     if (!summaries || summaries.length === 0) {
       console.log('[MemoryProcessor] No summaries to process');
@@ -19,94 +79,96 @@ async function processConversations(summaries) {
 
     console.log(`[MemoryProcessor] Processing ${summaries.length} summaries...`);
 
+    const referenceDate = options.referenceDate || new Date();
+    const today = `${formatDate(referenceDate)} (${referenceDate.toLocaleDateString('en-US', { weekday: 'long' })})`;
+
     // Combine all summaries into one text
     const combinedSummaries = summaries.map((s, idx) => `Summary ${idx + 1}:\n${s}`).join('\n\n');
 
-    // Create prompt for GPT-4o
-    const prompt = `Extract important facts and information from these conversation summaries. Think like long-term human memory - what would someone remember weeks later?
-
-CRITICAL RULES:
-1. Each chunk must be SELF-CONTAINED and make sense on its own
-2. Focus on FACTS and ATTRIBUTES, not conversation flow
-3. Extract WHO, WHAT, WHERE, WHEN - not "discussed" or "shifted to"
-4. Combine related information into one chunk
-5. Keep chunks 2-4 sentences, focused on one topic
-6. Separate unrelated topics with | character
-
-What to extract:
-- Personal information (name, job, location, preferences, goals)
-- Specific facts and details (numbers, dates, names)
-- Skills, knowledge, or capabilities demonstrated
-- Preferences, likes/dislikes, constraints
-- Plans, goals, or future intentions
-
-BAD (conversation flow): "User asked about Roman history. Conversation shifted to programming."
-GOOD (facts only): "User is interested in Python and web development."
-
-BAD (fragmented): "User moved to Tokyo. | User speaks Portuguese. | User misses Brazilian food."
-GOOD (self-contained): "User is Brazilian (speaks Portuguese), recently moved to Tokyo for work, and is looking for Brazilian food there while learning Japanese."
-
-BAD (too detailed): "Assistant asked about first emperor of Rome, user correctly answered Augustus, demonstrating knowledge of Roman history."
-GOOD (high-level): "User has knowledge of Roman history."
-
-BAD (incomplete context): "They miss Brazilian food and want to find it in Tokyo."
-GOOD (complete context): "User recently moved to Tokyo and misses Brazilian food from home."
-
-Summaries:
-${combinedSummaries}
-
-Extract the key facts as self-contained chunks, separated by |.`;
-
-    // Get AI response
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a long-term memory system. Extract and consolidate important facts from conversations. Each memory chunk should be self-contained (readable independently), focus on facts not conversation flow, and capture what someone would remember long-term. Combine related information. Output only memory chunks separated by |.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 2500
+    // Create extraction prompt
+    const prompt = renderPrompt('extract', {
+      today,
+      nextYear: referenceDate.getFullYear() + 1,
+      lastMonth: new Date(referenceDate.getFullYear(), referenceDate.getMonth() - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      summaries: combinedSummaries,
+      categories: MEMORY_CATEGORIES.join('|'),
+      entityTypes: ENTITY_TYPES.join('|')
     });
+    const provenance = getPromptProvenance('extract');
+    const messages = [...prompt.messages];
 
-    const narrativeText = response.choices[0].message.content.trim();
-    console.log('[MemoryProcessor] Generated narratives:', narrativeText);
-
-    // Parse response into chunks
-    const chunkTexts = narrativeText
-      .split('|')
-      .map(chunk => chunk.trim())
-      .filter(chunk => chunk.length > 0)
-      .filter(chunk => {
-        // Remove chunks that are too short or too long
-        const wordCount = chunk.split(/\s+/).length;
-        return wordCount >= 10 && wordCount <= 200;
+    let extraction = { memories: [], errors: [] };
+    for (let attempt = 1; attempt <= EXTRACTION_MAX_ATTEMPTS; attempt++) {
+      // Get AI response
+      const response = await createChatCompletion({
+        task: 'extract',
+        messages,
+        temperature: getConfig('extraction.temperature'),
+        max_tokens: getConfig('extraction.maxTokens'),
+        response_format: { type: 'json_object' }
       });
 
-    // Create chunk objects with metadata
-    const chunks = chunkTexts.map(narrative => {
-      // Extract basic metadata
+      console.log('[MemoryProcessor] Generated memories:', response.trim());
+
+      try {
+        extraction = validateExtraction(parseJsonReply(response));
+      } catch (error) {
+        extraction = { memories: [], errors: [error.message] };
+      }
+
+      if (extraction.errors.length === 0) {
+        break;
+      }
+
+      console.error(`[MemoryProcessor] Invalid extraction (attempt ${attempt}/${EXTRACTION_MAX_ATTEMPTS}): ${extraction.errors.join('; ')}`);
+      if (attempt < EXTRACTION_MAX_ATTEMPTS) {
+        // Show the model its reply and what was wrong with it
+        messages.push(
+          { role: 'assistant', content: response },
+          { role: 'user', content: `Your reply did not match the required JSON shape: ${extraction.errors.join('; ')}. Reply again with only the corrected JSON object.` }
+        );
+      } else if (extraction.memories.length > 0) {
+        console.error(`[MemoryProcessor] Keeping the ${extraction.memories.length} valid memories`);
+      }
+    }
+
+    // Create chunk objects with metadata; topics are added when the
+    // chunk is stored, against the rest of the memories
+    const chunks = extraction.memories.map(({ narrative: extracted, category, entities, confidence, timeExpression, sourceSummaries }) => {
+      const now = new Date();
+      const { narrative, eventDate } = resolveEventDate(extracted, category, timeExpression, referenceDate);
       const metadata = {
-        timestamp: new Date().toISOString(),
+        timestamp: now.toISOString(),
+        timestamp_ms: now.getTime(),
         source: 'conversation_summary',
-        chunk_length: narrative.length
+        chunk_length: narrative.length,
+        category,
+        // Metadata values must be scalars
+        entities: entities.map(entity => entity.name).join(', '),
+        ...entityFlags(entities.map(entity => entity.name)),
+        confidence,
+        importance: estimateImportance(narrative),
+        access_count: 0,
+        ...provenance,
+        ...(eventDate ? toEventMetadata(eventDate) : {})
       };
 
-      // Try to extract topics/keywords (simple approach)
-      const words = narrative.toLowerCase().split(/\s+/);
-      const topics = words.filter(word => word.length > 5).slice(0, 3);
-      if (topics.length > 0) {
-        metadata.topics = topics.join(', ');
-      }
+      // Named entities by kind
+      [['person', 'people'], ['place', 'places'], ['organization', 'organizations']].forEach(([type, field]) => {
+        const names = entities.filter(entity => entity.type === type).map(entity => entity.name);
+        if (names.length > 0) {
+          metadata[field] = names.join(', ');
+        }
+      });
+
+      const summaryIndexes = sourceSummaries
+        .filter(number => number <= summaries.length)
+        .map(number => number - 1);
 
       return {
         narrative,
-        metadata
+        metadata,
+        summaryIndexes: summaryIndexes.length > 0 ? summaryIndexes : summaries.map((summary, idx) => idx)
       };
     });
 
@@ -126,33 +188,20 @@ Extract the key facts as self-contained chunks, separated by |.`;
  */
 async function summarizeConversation(conversationCache) {
   try {
-    // Build conversation text
-    let conversationText = "";
-    for (let msg of conversationCache) {
-      conversationText += msg.content + "\n";
-    }
-    conversationText += "\nsummary:";
+    const prompt = renderPrompt('summarize', {
+      conversation: conversationCache.map(msg => msg.content).join('\n')
+    });
 
     console.log('[MemoryProcessor] Summarizing conversation...');
 
-    // Create summary using GPT-4o
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'Summarize all the context in this following chat conversation concisely.'
-        },
-        {
-          role: 'user',
-          content: conversationText
-        }
-      ],
-      temperature: 0.12,
-      max_tokens: 1000
+    // Create summary
+    const summary = await createChatCompletion({
+      task: 'summarize',
+      messages: prompt.messages,
+      temperature: getConfig('summarization.temperature'),
+      max_tokens: getConfig('summarization.maxTokens')
     });
 
-    const summary = response.choices[0].message.content;
     console.log('[MemoryProcessor] Conversation summarized:', summary);
 
     return summary;
@@ -162,7 +211,103 @@ async function summarizeConversation(conversationCache) {
   }
 }
 
+/**
+ * Re-summarize older summary segments into one tighter digest
+ * @param {Array<string>} summaries - Summary texts, oldest first
+ * @param {number} targetChars - Approximate length of the digest
+ * @returns {Promise<string>} - Digest
+ */
+async function compactSummaries(summaries, targetChars) {
+  try {
+    console.log(`[MemoryProcessor] Compacting ${summaries.length} summaries...`);
+
+    const prompt = renderPrompt('compact', { targetChars, summaries: summaries.join('\n\n') });
+
+    const response = await createChatCompletion({
+      task: 'compact',
+      messages: prompt.messages,
+      temperature: getConfig('summarization.temperature'),
+      max_tokens: Math.ceil(targetChars / 3)
+    });
+
+    return response.trim();
+  } catch (error) {
+    console.error('[MemoryProcessor] Error compacting summaries:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Merge a new chunk into an existing, near-duplicate memory
+ * @param {string} existing - Narrative already stored
+ * @param {string} incoming - New narrative covering the same fact
+ * @returns {Promise<string>} - Consolidated narrative
+ */
+async function mergeNarratives(existing, incoming) {
+  try {
+    const prompt = renderPrompt('merge', { existing, incoming });
+
+    const response = await createChatCompletion({
+      task: 'merge',
+      messages: prompt.messages,
+      temperature: getConfig('merge.temperature'),
+      max_tokens: getConfig('merge.maxTokens')
+    });
+
+    return response.trim() || existing;
+  } catch (error) {
+    console.error('[MemoryProcessor] Error merging memories:', error.message);
+    // Keep the stored memory rather than losing it
+    return existing;
+  }
+}
+
+/**
+ * Find stored memories that a new memory contradicts
+ * (e.g. "User lives in Osaka" contradicts "User lives in Tokyo")
+ * @param {string} narrative - New memory
+ * @param {Array} candidates - Related stored memories {id, narrative}
+ * @returns {Promise<Array<string>>} - Ids of contradicted memories
+ */
+async function detectContradictions(narrative, candidates) {
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  try {
+    const candidateList = candidates
+      .map(memory => `[${memory.id}] ${memory.narrative}`)
+      .join('\n');
+
+    const prompt = renderPrompt('contradiction', { narrative, candidates: candidateList });
+
+    const response = await createChatCompletion({
+      task: 'contradiction',
+      messages: prompt.messages,
+      temperature: getConfig('contradiction.temperature'),
+      max_tokens: getConfig('contradiction.maxTokens'),
+      response_format: { type: 'json_object' }
+    });
+
+    const match = response.match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : {};
+    const knownIds = candidates.map(memory => memory.id);
+
+    // Ignore anything that is not one of the candidates
+    return (parsed.contradicted || []).filter(id => knownIds.includes(id));
+  } catch (error) {
+    console.error('[MemoryProcessor] Error detecting contradictions:', error.message);
+    // Keep every memory when in doubt
+    return [];
+  }
+}
+
 module.exports = {
+  getPromptProvenance,
+  resolveEventDate,
   processConversations,
   summarizeConversation,
+  compactSummaries,
+  mergeNarratives,
+  detectContradictions,
 };
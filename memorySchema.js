@@ -0,0 +1,174 @@
+/**
+ * Schema of extracted memories and the parsing / validation of model replies:
+ *   { "memories": [{ "narrative", "category", "entities": [{ "name", "type" }], "confidence", "time_expression", "summaries" }] }
+ * Small slips (code fences, trailing commas, "preferences" for "preference",
+ * entities as plain names or a comma-separated string) are repaired; anything
+ * else is reported as an error so the extraction can be retried.
+ */
+
+const MEMORY_CATEGORIES = ['profile', 'preference', 'plan', 'skill', 'event'];
+const ENTITY_TYPES = ['person', 'place', 'organization', 'other'];
+
+// Other names models use for the entity types
+const ENTITY_TYPE_ALIASES = {
+  people: 'person',
+  persons: 'person',
+  location: 'place',
+  city: 'place',
+  country: 'place',
+  organisation: 'organization',
+  org: 'organization',
+  company: 'organization'
+};
+
+/**
+ * Parse a JSON reply, repairing common formatting slips
+ * @param {string} text - Model reply
+ * @returns {*} - Parsed value
+ */
+function parseJsonReply(text) {
+  const unfenced = String(text || '')
+    .replace(/^\s*```(?:json)?\s*/i, '')
+    .replace(/\s*```\s*$/, '')
+    .trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    // Fall through to the repairs below
+  }
+
+  // Keep only the outermost object or array, without trailing commas or smart quotes
+  const start = unfenced.search(/[[{]/);
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+  if (start === -1 || end <= start) {
+    throw new Error('reply is not JSON');
+  }
+  const repaired = unfenced
+    .slice(start, end + 1)
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return JSON.parse(repaired);
+  } catch (error) {
+    throw new Error(`reply is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Normalize one entity; plain names and unknown types become type "other"
+ * @param {*} entity - Raw entity
+ * @returns {Object|null} - { name, type }, or null when there is no name
+ */
+function normalizeEntity(entity) {
+  const raw = typeof entity === 'string' ? { name: entity } : entity;
+  if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) {
+    return null;
+  }
+
+  let type = typeof raw.type === 'string' ? raw.type.trim().toLowerCase() : 'other';
+  type = ENTITY_TYPE_ALIASES[type] || type;
+  return {
+    name: raw.name.trim(),
+    type: ENTITY_TYPES.includes(type) ? type : 'other'
+  };
+}
+
+/**
+ * Validate one extracted memory, repairing what can be repaired
+ * @param {*} item - Raw memory from the reply
+ * @param {number} idx - Position in the reply, for error messages
+ * @returns {Object} - { memory, error } with exactly one of them set
+ */
+function validateMemory(item, idx) {
+  const label = `memories[${idx}]`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: `${label} is not an object` };
+  }
+
+  const narrative = typeof item.narrative === 'string' ? item.narrative.trim() : '';
+  if (!narrative) {
+    return { error: `${label}.narrative must be a non-empty string` };
+  }
+
+  let category = typeof item.category === 'string' ? item.category.trim().toLowerCase() : '';
+  if (!MEMORY_CATEGORIES.includes(category) && MEMORY_CATEGORIES.includes(category.replace(/s$/, ''))) {
+    category = category.replace(/s$/, '');
+  }
+  if (!MEMORY_CATEGORIES.includes(category)) {
+    return { error: `${label}.category must be one of ${MEMORY_CATEGORIES.join(', ')} (got ${JSON.stringify(item.category)})` };
+  }
+
+  let entities = item.entities === undefined ? [] : item.entities;
+  if (typeof entities === 'string') {
+    entities = entities.split(',');
+  }
+  if (!Array.isArray(entities)) {
+    return { error: `${label}.entities must be an array of {name, type}` };
+  }
+  // One entry per name
+  const byName = new Map();
+  entities.map(normalizeEntity).filter(Boolean).forEach(entity => {
+    if (!byName.has(entity.name.toLowerCase())) {
+      byName.set(entity.name.toLowerCase(), entity);
+    }
+  });
+  entities = [...byName.values()];
+
+  let confidence = typeof item.confidence === 'string' ? parseFloat(item.confidence) : item.confidence;
+  if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) {
+    // Percentages
+    confidence = confidence / 100;
+  }
+  if (typeof confidence !== 'number' || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+    return { error: `${label}.confidence must be a number between 0 and 1 (got ${JSON.stringify(item.confidence)})` };
+  }
+
+  // Optional: the time phrase the memory refers to, resolved to a date later
+  const timeExpression = typeof item.time_expression === 'string' && item.time_expression.trim()
+    ? item.time_expression.trim()
+    : null;
+
+  // Optional: numbers of the summaries the memory comes from (1-based)
+  const rawSummaries = Array.isArray(item.summaries) ? item.summaries : [item.summaries];
+  const sourceSummaries = [...new Set(rawSummaries
+    .map(value => (typeof value === 'string' ? parseInt(value.replace(/^summary\s*/i, ''), 10) : value))
+    .filter(value => Number.isInteger(value) && value > 0))];
+
+  return { memory: { narrative, category, entities, confidence, timeExpression, sourceSummaries } };
+}
+
+/**
+ * Validate a parsed extraction reply
+ * @param {*} parsed - Parsed reply
+ * @returns {Object} - { memories, errors }: the valid memories and what was wrong with the rest
+ */
+function validateExtraction(parsed) {
+  // A bare array is accepted as the memories list
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.memories;
+  if (!Array.isArray(items)) {
+    return { memories: [], errors: ['reply must be an object with a "memories" array'] };
+  }
+
+  const memories = [];
+  const errors = [];
+  items.forEach((item, idx) => {
+    const { memory, error } = validateMemory(item, idx);
+    if (memory) {
+      memories.push(memory);
+    } else {
+      errors.push(error);
+    }
+  });
+
+  return { memories, errors };
+}
+
+module.exports = {
+  MEMORY_CATEGORIES,
+  ENTITY_TYPES,
+  parseJsonReply,
+  validateExtraction,
+};
@@ -0,0 +1,107 @@
+const { getConfig } = require('./config');
+
+/**
+ * Scores used to rank retrieved memories. The final rank mixes:
+ *   relevance  - fused vector / keyword match with the query
+ *   recency    - exponential decay since the memory was last used or changed
+ *   importance - how much the fact is worth remembering, set at extraction
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Importance of memories stored before importance was recorded
+const DEFAULT_IMPORTANCE = 0.5;
+
+// Signals of facts worth keeping, with the importance they add
+const IMPORTANCE_SIGNALS = [
+  // Identity, relationships and life situation
+  { pattern: /\b(name[ds]?|lives?|living|moved|works?|job|career|born|age|family|married|engaged|wife|husband|partner|fianc[eé]e?|children|kids?|pets?|cats?|dogs?)\b/i, weight: 0.25 },
+  // Preferences and constraints
+  { pattern: /\b(likes?|loves?|prefers?|hates?|dislikes?|favou?rite|allergic|vegetarian|vegan|cannot|can't|never|always)\b/i, weight: 0.2 },
+  // Plans and goals
+  { pattern: /\b(plans?|planning|goals?|wants? to|hopes?|intends?|deadline|next (week|month|year)|wedding|trip)\b/i, weight: 0.15 },
+  // Specific details: numbers, amounts and dates
+  { pattern: /\d/, weight: 0.1 }
+];
+
+/**
+ * Read the ranking weights from the configuration
+ * @returns {Object} - { similarityWeight, recencyWeight, importanceWeight, halfLifeDays }
+ */
+function getRankingSettings() {
+  return {
+    similarityWeight: getConfig('ranking.similarityWeight'),
+    recencyWeight: getConfig('ranking.recencyWeight'),
+    importanceWeight: getConfig('ranking.importanceWeight'),
+    // Days after which the recency score has halved
+    halfLifeDays: getConfig('ranking.halfLifeDays')
+  };
+}
+
+/**
+ * Estimate how important a memory is from its wording
+ * @param {string} narrative - Memory narrative
+ * @returns {number} - Importance in [0, 1]
+ */
+function estimateImportance(narrative) {
+  const score = IMPORTANCE_SIGNALS.reduce(
+    (sum, signal) => sum + (signal.pattern.test(narrative) ? signal.weight : 0),
+    0.2
+  );
+  return Math.round(Math.min(1, score) * 100) / 100;
+}
+
+/**
+ * Importance recorded on a memory
+ * @param {Object} metadata - Memory metadata
+ * @returns {number} - Importance in [0, 1]
+ */
+function getImportance(metadata) {
+  return typeof metadata.importance === 'number' ? metadata.importance : DEFAULT_IMPORTANCE;
+}
+
+/**
+ * Recency of a memory: 1 when just used, halving every halfLifeDays
+ * @param {Object} metadata - Memory metadata
+ * @param {Object} settings - Settings from getRankingSettings
+ * @param {number} now - Current time in ms
+ * @returns {number} - Recency in [0, 1]
+ */
+function recencyScore(metadata, settings = getRankingSettings(), now = Date.now()) {
+  const lastTouched = metadata.last_accessed || metadata.updated_at || metadata.timestamp || metadata.valid_from;
+  const time = lastTouched ? Date.parse(lastTouched) : NaN;
+  if (Number.isNaN(time) || settings.halfLifeDays <= 0) {
+    return 0;
+  }
+  const ageDays = Math.max(0, now - time) / DAY_MS;
+  return Math.pow(0.5, ageDays / settings.halfLifeDays);
+}
+
+/**
+ * Score a memory for ranking
+ * @param {Object} metadata - Memory metadata
+ * @param {number} relevance - Match with the query in [0, 1]
+ * @param {Object} settings - Settings from getRankingSettings
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { relevance, recency, importance, score }
+ */
+function scoreMemory(metadata, relevance, settings = getRankingSettings(), now = Date.now()) {
+  const recency = recencyScore(metadata, settings, now);
+  const importance = getImportance(metadata);
+  return {
+    relevance,
+    recency,
+    importance,
+    score: settings.similarityWeight * relevance
+      + settings.recencyWeight * recency
+      + settings.importanceWeight * importance
+  };
+}
+
+module.exports = {
+  getRankingSettings,
+  estimateImportance,
+  getImportance,
+  recencyScore,
+  scoreMemory,
+};
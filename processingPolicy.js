@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { renderSummary } = require('./summaryCompactor');
+const { getConfig } = require('./config');
+
+/**
+ * Read the automatic memory processing policy from the configuration
+ * @returns {Object} - { enabled, maxSummaries, maxSummaryChars, idleMs, onExit, logPath }
+ */
+function getProcessingPolicy() {
+  return {
+    enabled: getConfig('autoProcess.enabled'),
+    // Process once this many summaries have accumulated (0 = off)
+    maxSummaries: getConfig('autoProcess.maxSummaries'),
+    // Process once the rolling summary is longer than this (0 = off)
+    maxSummaryChars: getConfig('autoProcess.maxSummaryChars'),
+    // Process after this long without a message (0 = off)
+    idleMs: getConfig('autoProcess.idleMinutes') * 60 * 1000,
+    // Process unsaved conversation when the application exits
+    onExit: getConfig('autoProcess.onExit'),
+    logPath: getConfig('autoProcess.logPath')
+  };
+}
+
+/**
+ * Format a duration for log messages
+ * @param {number} ms - Duration in ms
+ * @returns {string} - e.g. "45s" or "10 min"
+ */
+function formatDuration(ms) {
+  if (ms < 60000) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  return `${Math.round(ms / 60000)} min`;
+}
+
+/**
+ * Check whether a session's summary has grown enough to be processed
+ * @param {Object} session - { summaryCount, summarySegments }
+ * @param {Object} policy - Policy from getProcessingPolicy
+ * @returns {Object|null} - { reason, detail } or null if nothing should happen
+ */
+function checkSummaryTriggers(session, policy) {
+  if (!policy.enabled || session.summarySegments.length === 0) {
+    return null;
+  }
+  const summaryChars = renderSummary(session.summarySegments).length;
+
+  if (policy.maxSummaries > 0 && session.summaryCount >= policy.maxSummaries) {
+    return {
+      reason: 'summary_count',
+      detail: `${session.summaryCount} summaries (limit ${policy.maxSummaries})`
+    };
+  }
+
+  if (policy.maxSummaryChars > 0 && summaryChars >= policy.maxSummaryChars) {
+    return {
+      reason: 'summary_size',
+      detail: `${summaryChars} chars (limit ${policy.maxSummaryChars})`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a session has been idle long enough to be processed
+ * @param {Object} session - { lastMessageAt }
+ * @param {Object} policy - Policy from getProcessingPolicy
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - { reason, detail } or null if nothing should happen
+ */
+function checkIdleTrigger(session, policy, now = Date.now()) {
+  if (!policy.enabled || policy.idleMs <= 0 || !session.lastMessageAt) {
+    return null;
+  }
+
+  const idleMs = now - session.lastMessageAt;
+  if (idleMs < policy.idleMs) {
+    return null;
+  }
+
+  return {
+    reason: 'idle',
+    detail: `idle for ${formatDuration(idleMs)} (limit ${formatDuration(policy.idleMs)})`
+  };
+}
+
+/**
+ * Describe the policy in one line
+ * @param {Object} policy - Policy from getProcessingPolicy
+ * @returns {string}
+ */
+function describePolicy(policy) {
+  if (!policy.enabled) {
+    return 'off (use "process")';
+  }
+
+  const triggers = [];
+  if (policy.maxSummaries > 0) {
+    triggers.push(`${policy.maxSummaries} summaries`);
+  }
+  if (policy.maxSummaryChars > 0) {
+    triggers.push(`${policy.maxSummaryChars} summary chars`);
+  }
+  if (policy.idleMs > 0) {
+    triggers.push(`${formatDuration(policy.idleMs)} idle`);
+  }
+  if (policy.onExit) {
+    triggers.push('exit');
+  }
+  return triggers.length > 0 ? `on ${triggers.join(', ')}` : 'no triggers';
+}
+
+/**
+ * Record an automatic processing run in the console and the log file
+ * @param {Object} entry - { userId, reason, detail, result }
+ * @param {Object} policy - Policy from getProcessingPolicy
+ */
+function logAutoProcess(entry, policy) {
+  const record = { time: new Date().toISOString(), ...entry };
+  console.log(`[AutoProcess] ${record.time} user=${entry.userId} reason=${entry.reason} (${entry.detail})`);
+
+  try {
+    fs.appendFileSync(policy.logPath, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    console.error('[AutoProcess] Error writing log:', error.message);
+  }
+}
+
+module.exports = {
+  getProcessingPolicy,
+  checkSummaryTriggers,
+  checkIdleTrigger,
+  describePolicy,
+  logAutoProcess,
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+/**
+ * Prompt templates, one file per prompt in the prompts directory
+ * (PROMPTS_DIR, default ./prompts next to this file):
+ *
+ *   version: 3
+ *   description: What the prompt is for
+ *   variables: input, context
+ *
+ *   --- system
+ *   You are ...
+ *   --- user
+ *   User input: "{{input}}"
+ *
+ * The header declares the version and every {{variable}} the sections use.
+ * Sections named system, user or assistant become chat messages in file
+ * order; other sections are extra text the caller adds where needed.
+ * A template is identified as <name>@<version>, plus a hash of the file so
+ * an edit without a version bump can still be told apart.
+ */
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+const TEMPLATE_EXTENSION = '.txt';
+
+// Parsed templates by name, read on first use
+const templates = new Map();
+
+/**
+ * Directory holding the templates
+ * @returns {string}
+ */
+function getPromptsDir() {
+  return getConfig('prompts.dir') || path.join(__dirname, 'prompts');
+}
+
+/**
+ * Parse a template file
+ * @param {string} name - Template name (file name without extension)
+ * @param {string} text - File content
+ * @param {string} filePath - File path, for error messages
+ * @returns {Object} - { name, version, id, hash, description, variables, sections: [{ name, text }], file }
+ */
+function parseTemplate(name, text, filePath) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const header = {};
+  const sections = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const marker = line.match(/^--- ([a-z_]+)\s*$/);
+    if (marker) {
+      current = { name: marker[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      const field = line.match(/^([a-z]+):\s*(.*)$/);
+      if (!field) {
+        throw new Error(`Invalid prompt template ${filePath}: unexpected header line "${line}"`);
+      }
+      header[field[1]] = field[2].trim();
+    }
+  });
+
+  if (!header.version) {
+    throw new Error(`Invalid prompt template ${filePath}: missing "version:" header`);
+  }
+  if (sections.length === 0) {
+    throw new Error(`Invalid prompt template ${filePath}: no "--- <section>" found`);
+  }
+
+  const variables = (header.variables || '').split(',').map(variable => variable.trim()).filter(Boolean);
+  const parsedSections = sections.map(section => ({
+    name: section.name,
+    // Blank lines around a section are layout, not prompt text
+    text: section.lines.join('\n').replace(/^\n+|\n+$/g, '')
+  }));
+
+  const used = new Set(parsedSections.flatMap(section => [...section.text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])));
+  const undeclared = [...used].filter(variable => !variables.includes(variable));
+  if (undeclared.length > 0) {
+    throw new Error(`Invalid prompt template ${filePath}: {{${undeclared.join('}}, {{')}}} not declared in "variables:"`);
+  }
+  const unused = variables.filter(variable => !used.has(variable));
+  if (unused.length > 0) {
+    throw new Error(`Invalid prompt template ${filePath}: declared variable(s) ${unused.join(', ')} never used`);
+  }
+
+  return {
+    name,
+    version: header.version,
+    id: `${name}@${header.version}`,
+    hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 8),
+    description: header.description || '',
+    variables,
+    sections: parsedSections,
+    file: filePath
+  };
+}
+
+/**
+ * Get a template by name, reading it on first use
+ * @param {string} name - Template name, e.g. extract
+ * @returns {Object} - Parsed template
+ */
+function getPrompt(name) {
+  if (!templates.has(name)) {
+    const filePath = path.join(getPromptsDir(), `${name}${TEMPLATE_EXTENSION}`);
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read prompt template "${name}" (${filePath}): ${error.message}`);
+    }
+    templates.set(name, parseTemplate(name, text, filePath));
+  }
+  return templates.get(name);
+}
+
+/**
+ * Fill a template's variables
+ * @param {string} name - Template name
+ * @param {Object} variables - Value of every declared variable
+ * @returns {Object} - { id, hash, messages: [{ role, content }], sections: { <section>: text } }
+ */
+function renderPrompt(name, variables = {}) {
+  const template = getPrompt(name);
+  const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${template.id} needs a value for ${missing.join(', ')}`);
+  }
+
+  const sections = {};
+  const messages = [];
+  template.sections.forEach(section => {
+    const content = section.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) => String(variables[variable]));
+    sections[section.name] = content;
+    if (MESSAGE_ROLES.includes(section.name)) {
+      messages.push({ role: section.name, content });
+    }
+  });
+
+  return { id: template.id, hash: template.hash, messages, sections };
+}
+
+/**
+ * Read every template in the prompts directory, failing on the first invalid one
+ * @returns {Array<Object>} - Parsed templates, by name
+ */
+function loadPrompts() {
+  const dir = getPromptsDir();
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    throw new Error(`Cannot read the prompts directory ${dir}: ${error.message}`);
+  }
+  return files
+    .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+    .map(file => getPrompt(path.basename(file, TEMPLATE_EXTENSION)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Forget the parsed templates so edited files are read again
+ */
+function reloadPrompts() {
+  templates.clear();
+}
+
+module.exports = {
+  getPrompt,
+  renderPrompt,
+  loadPrompts,
+  reloadPrompts,
+  parseTemplate,
+};
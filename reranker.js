@@ -0,0 +1,183 @@
+const { createChatCompletion } = require('./llmProvider');
+const { tokenize } = require('./lexicalIndex');
+const { parseJsonReply } = require('./memorySchema');
+const { getConfig } = require('./config');
+const { renderPrompt } = require('./promptTemplates');
+
+/**
+ * Second-stage rerankers. Retrieval returns a wide candidate set; a reranker
+ * scores each candidate against the actual user message and recent context
+ * and only the best are injected. A reranker is
+ *   { name, score(query: { input, context }, memories) -> Promise<number[]> }
+ * with one score in [0, 1] per memory.
+ */
+
+// Share of the lexical score that comes from the message itself (the rest from recent context)
+const LEXICAL_INPUT_WEIGHT = 0.8;
+
+let activeReranker = null;
+// Set when the active reranker was replaced, so RERANKER changes no longer apply
+let rerankerOverridden = false;
+
+/**
+ * Share of a term set found in a memory
+ * @param {Set<string>} terms - Query terms
+ * @param {Set<string>} memoryTerms - Memory terms
+ * @returns {number} - Coverage in [0, 1]
+ */
+function coverage(terms, memoryTerms) {
+  if (terms.size === 0) {
+    return 0;
+  }
+  let found = 0;
+  terms.forEach(term => {
+    if (memoryTerms.has(term)) {
+      found++;
+    }
+  });
+  return found / terms.size;
+}
+
+/**
+ * Create a reranker scoring the word overlap between query and memory.
+ * Needs no model call, so it works offline.
+ * @returns {Object} - Reranker
+ */
+function createLexicalReranker() {
+  return {
+    name: 'lexical',
+
+    async score(query, memories) {
+      const inputTerms = new Set(tokenize(query.input));
+      const contextTerms = new Set(tokenize(query.context || '').filter(term => !inputTerms.has(term)));
+
+      return memories.map(memory => {
+        const memoryTerms = new Set(tokenize(memory.narrative));
+        const inputCoverage = coverage(inputTerms, memoryTerms);
+        const contextCoverage = coverage(contextTerms, memoryTerms);
+        if (inputTerms.size === 0) {
+          return contextCoverage;
+        }
+        return LEXICAL_INPUT_WEIGHT * inputCoverage + (1 - LEXICAL_INPUT_WEIGHT) * contextCoverage;
+      });
+    }
+  };
+}
+
+/**
+ * Create a reranker that asks the fast model to rate every candidate.
+ * Falls back to another reranker when the reply cannot be used.
+ * @param {Object} options - { fallback: reranker used on errors (lexical by default) }
+ * @returns {Object} - Reranker
+ */
+function createLLMReranker(options = {}) {
+  const fallback = options.fallback || createLexicalReranker();
+
+  return {
+    name: 'llm',
+
+    async score(query, memories) {
+      if (memories.length === 0) {
+        return [];
+      }
+
+      try {
+        const list = memories
+          .map((memory, idx) => `Memory ${idx + 1}: ${memory.narrative}`)
+          .join('\n');
+
+        const prompt = renderPrompt('rerank', {
+          context: query.context || 'No recent context',
+          input: query.input,
+          memories: list
+        });
+
+        const response = await createChatCompletion({
+          task: 'rerank', // Runs on the cheaper model
+          messages: prompt.messages,
+          max_tokens: 20 + memories.length * 6,
+          temperature: 0,
+          response_format: { type: 'json_object' }
+        });
+
+        const parsed = parseJsonReply(response);
+        const scores = Array.isArray(parsed) ? parsed : parsed && parsed.scores;
+        if (!Array.isArray(scores) || scores.length !== memories.length) {
+          throw new Error(`expected ${memories.length} scores`);
+        }
+        return scores.map(score => {
+          const value = parseFloat(score);
+          return Number.isNaN(value) ? 0 : Math.min(1, Math.max(0, value / 10));
+        });
+      } catch (error) {
+        console.error(`[Reranker] LLM scoring failed (${error.message}), using ${fallback.name} scores`);
+        return fallback.score(query, memories);
+      }
+    }
+  };
+}
+
+/**
+ * Build a reranker by name
+ * @param {string} rerankerName - lexical or llm
+ * @returns {Object} - Reranker
+ */
+function createRerankerByName(rerankerName) {
+  switch (rerankerName) {
+    case 'lexical':
+      return createLexicalReranker();
+
+    case 'llm':
+      return createLLMReranker();
+
+    default:
+      throw new Error(`Unknown RERANKER "${rerankerName}" (expected lexical or llm)`);
+  }
+}
+
+/**
+ * Get the active reranker: the one selected by RERANKER, rebuilt when the
+ * setting changes, unless it was replaced with setReranker
+ * @returns {Object} - Reranker
+ */
+function getReranker() {
+  if (rerankerOverridden) {
+    return activeReranker;
+  }
+  const rerankerName = getConfig('retrieval.reranker');
+  if (!activeReranker || activeReranker.name !== rerankerName) {
+    activeReranker = createRerankerByName(rerankerName);
+  }
+  return activeReranker;
+}
+
+/**
+ * Replace the active reranker (used by tests and scripts)
+ * @param {Object|null} reranker - Reranker, or null to go back to the one selected by RERANKER
+ */
+function setReranker(reranker) {
+  activeReranker = reranker;
+  rerankerOverridden = reranker !== null;
+}
+
+/**
+ * Rerank candidate memories; ties keep the retrieval order
+ * @param {Array} memories - Candidates, best retrieval match first
+ * @param {Object} query - { input: user message, context: recent conversation }
+ * @param {Object} reranker - Reranker to use (the active one by default)
+ * @returns {Promise<Array>} - Candidates with rerankScore and retrievalRank, best first
+ */
+async function rerankMemories(memories, query, reranker = getReranker()) {
+  const scores = await reranker.score(query, memories);
+  return memories
+    .map((memory, idx) => ({ ...memory, rerankScore: scores[idx], retrievalRank: idx + 1 }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank);
+}
+
+module.exports = {
+  createLexicalReranker,
+  createLLMReranker,
+  getReranker,
+  setReranker,
+  rerankMemories,
+};
@@ -0,0 +1,272 @@
+const { getConfig } = require('./config');
+
+/**
+ * Shared failure policy for model and vector store calls:
+ *   - per-call timeouts (the call is aborted through an AbortSignal)
+ *   - bounded retries of transient errors with exponential backoff and jitter,
+ *     waiting what a rate limit response asks for when it says
+ *   - a circuit breaker that fails fast while a dependency is down and lets a
+ *     single trial call through after a cooldown
+ */
+
+// Network errors worth retrying
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET']);
+// Longest wait between retries
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Read the failure policy from the configuration
+ * @returns {Object} - { llmTimeoutMs, llmMaxRetries, retryBaseMs, storeTimeoutMs, storeMaxRetries, breakerThreshold, breakerCooldownMs }
+ */
+function getResilienceSettings() {
+  return {
+    // 0 disables a timeout
+    llmTimeoutMs: getConfig('llm.timeoutMs'),
+    llmMaxRetries: getConfig('llm.maxRetries'),
+    retryBaseMs: getConfig('llm.retryBaseMs'),
+    storeTimeoutMs: getConfig('store.timeoutMs'),
+    storeMaxRetries: getConfig('store.maxRetries'),
+    // Consecutive failures that open the vector store circuit, and how long it stays open
+    breakerThreshold: getConfig('store.breakerThreshold'),
+    breakerCooldownMs: getConfig('store.breakerCooldownMs')
+  };
+}
+
+/**
+ * Read a response header from an API error (plain object or Headers)
+ * @param {Error} error - API error
+ * @param {string} name - Header name
+ * @returns {string|undefined}
+ */
+function getErrorHeader(error, name) {
+  const headers = error.headers;
+  if (!headers) {
+    return undefined;
+  }
+  return typeof headers.get === 'function' ? headers.get(name) || undefined : headers[name];
+}
+
+/**
+ * Check whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.code === 'insufficient_quota' || error.code === 'CIRCUIT_OPEN') {
+    // Waiting a few seconds will not fix these
+    return false;
+  }
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.has(error.code)
+    || /Connection|Timeout/.test(error.name || '')
+    || Boolean(error.cause && TRANSIENT_ERROR_CODES.has(error.cause.code));
+}
+
+/**
+ * Time to wait before a retry: what a rate limit response asks for,
+ * otherwise exponential backoff with jitter
+ * @param {Error} error - Error thrown by the call
+ * @param {number} attempt - Retry number, from 0
+ * @param {number} baseMs - First backoff delay
+ * @returns {number} - Delay in ms
+ */
+function retryDelay(error, attempt, baseMs) {
+  const retryAfterMs = parseFloat(getErrorHeader(error, 'retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) {
+    return Math.min(MAX_RETRY_DELAY_MS, retryAfterMs);
+  }
+  const retryAfter = parseFloat(getErrorHeader(error, 'retry-after'));
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(MAX_RETRY_DELAY_MS, retryAfter * 1000);
+  }
+  const backoff = baseMs * Math.pow(2, attempt);
+  return Math.min(MAX_RETRY_DELAY_MS, backoff + Math.random() * baseMs);
+}
+
+/**
+ * Short description of a failure for log lines
+ * @param {Error} error - Error thrown by the call
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.status === 429) {
+    return 'rate limited';
+  }
+  return error.message;
+}
+
+/**
+ * Run a call with a time limit
+ * @param {Function} fn - Called with an AbortSignal that fires on timeout
+ * @param {number} timeoutMs - Time limit, 0 for none
+ * @param {string} label - What is being called, for the error message
+ * @returns {Promise<*>} - Result of the call
+ */
+async function withTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  if (!timeoutMs) {
+    return fn(controller.signal);
+  }
+
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a call with a timeout per attempt and bounded retries of transient errors
+ * @param {Function} fn - Called with an AbortSignal for each attempt
+ * @param {Object} options - { label, timeoutMs, retries, baseMs, onRetry(error, attempt, delay),
+ *   retryTimeouts: false for writes that are not safe to repeat; a call that timed out
+ *   may still have been applied, so it is not retried (default true) }
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function callWithPolicy(fn, options = {}) {
+  const label = options.label || 'call';
+  const retries = options.retries || 0;
+  const retryTimeouts = options.retryTimeouts !== false;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn, options.timeoutMs, label);
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      if (!retryTimeouts && /Timeout/.test(error.name || '')) {
+        console.log(`[Resilience] ${label} timed out and may have been applied, not retrying`);
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, options.baseMs || 0);
+      console.log(`[Resilience] ${label} failed (${describeError(error)}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Create a circuit breaker. After `threshold` consecutive failures the
+ * circuit opens and calls fail at once with code CIRCUIT_OPEN; after
+ * `cooldownMs` one trial call is let through, which closes the circuit on
+ * success or opens it again on failure.
+ * @param {Object} options - { name, threshold, cooldownMs, isFailure(error): errors that count (transient ones by default) }
+ * @returns {Object} - Breaker with call(fn), getState() and reset()
+ */
+function createCircuitBreaker(options = {}) {
+  const name = options.name || 'dependency';
+  const threshold = options.threshold || 3;
+  const cooldownMs = options.cooldownMs !== undefined ? options.cooldownMs : 30000;
+  const isFailure = options.isFailure || isTransientError;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  function open(error) {
+    state = 'open';
+    openedAt = Date.now();
+    lastError = error;
+    console.error(`[Resilience] ${name} circuit opened after ${failures} failure(s): ${error.message}`);
+  }
+
+  return {
+    name,
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - Async call
+     * @returns {Promise<*>} - Result of the call
+     */
+    async call(fn) {
+      if (state !== 'closed') {
+        const remaining = openedAt + cooldownMs - Date.now();
+        // Only one trial call at a time reaches a dependency that is recovering
+        if (remaining > 0 || trialInFlight) {
+          const error = new Error(`${name} unavailable (circuit open, next try in ${Math.max(0, Math.ceil(remaining / 1000))}s): ${lastError.message}`);
+          error.code = 'CIRCUIT_OPEN';
+          throw error;
+        }
+        state = 'half-open';
+      }
+
+      const trial = state === 'half-open';
+      trialInFlight = trial;
+      try {
+        const result = await fn();
+        if (state !== 'closed') {
+          console.log(`[Resilience] ${name} circuit closed, calls succeed again`);
+        }
+        state = 'closed';
+        failures = 0;
+        lastError = null;
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          failures++;
+          lastError = error;
+          if (trial || failures >= threshold) {
+            open(error);
+          }
+        } else if (trial) {
+          // The dependency answered, so it is back
+          state = 'closed';
+          failures = 0;
+        }
+        throw error;
+      } finally {
+        if (trial) {
+          trialInFlight = false;
+        }
+      }
+    },
+
+    /**
+     * Current state
+     * @returns {Object} - { state: closed | open | half-open, failures, openedAt, lastError }
+     */
+    getState() {
+      return { state, failures, openedAt, lastError: lastError ? lastError.message : null };
+    },
+
+    /**
+     * Close the circuit and forget past failures
+     */
+    reset() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      lastError = null;
+      trialInFlight = false;
+    }
+  };
+}
+
+module.exports = {
+  getResilienceSettings,
+  isTransientError,
+  retryDelay,
+  describeError,
+  withTimeout,
+  callWithPolicy,
+  createCircuitBreaker,
+};
@@ -0,0 +1,186 @@
+const { createChatCompletion } = require('./llmProvider');
+const { searchMemories, markMemoriesAccessed } = require('./vectorDB');
+const { parseJsonReply } = require('./memorySchema');
+const { rerankMemories, getReranker } = require('./reranker');
+const { getConfig } = require('./config');
+const { renderPrompt } = require('./promptTemplates');
+
+/**
+ * Memory retrieval for a chat turn. The input is first classified: small
+ * talk and general questions skip the lookup (no embedding, no search).
+ * Otherwise it is rewritten into a few complementary sub-queries, each is
+ * searched, and their rankings are merged with reciprocal-rank fusion:
+ *   fused(memory) = sum over sub-queries of 1 / (RRF_K + rank)
+ * The top RERANK_CANDIDATES are then reranked against the message itself
+ * (see reranker.js) and only the best are injected.
+ */
+
+// Messages made only of these words never need a lookup
+const SMALL_TALK_WORDS = new Set([
+  'hi', 'hello', 'hey', 'yo', 'hiya', 'thanks', 'thank', 'you', 'thx', 'ty', 'cheers',
+  'ok', 'okay', 'k', 'cool', 'great', 'nice', 'awesome', 'perfect', 'alright', 'sure',
+  'yes', 'yeah', 'yep', 'no', 'nope', 'got', 'it', 'lol', 'haha', 'bye', 'goodbye',
+  'good', 'morning', 'afternoon', 'evening', 'night', 'so', 'much', 'a', 'lot', 'there'
+]);
+
+/**
+ * Read the retrieval settings from the configuration
+ * @returns {Object} - { limit, maxSubQueries, rrfK, candidates, temperature, maxTokens }
+ */
+function getRetrievalSettings() {
+  return {
+    // Memories injected into a chat turn
+    limit: getConfig('retrieval.limit'),
+    maxSubQueries: getConfig('retrieval.maxSubQueries'),
+    // Damps the weight of top ranks so one sub-query cannot dominate
+    rrfK: getConfig('retrieval.rrfK'),
+    // Memories passed to the reranker
+    candidates: getConfig('retrieval.rerankCandidates'),
+    // Sampling of the query planning call
+    temperature: getConfig('reformulation.temperature'),
+    maxTokens: getConfig('reformulation.maxTokens')
+  };
+}
+
+/**
+ * Format the last exchanges for a prompt
+ * @param {Array} recentContext - Recent conversation messages
+ * @returns {string}
+ */
+function formatRecentContext(recentContext = []) {
+  return recentContext
+    .slice(-4) // Last 2 exchanges
+    .map(msg => `${msg.role}: ${msg.content}`)
+    .join('\n');
+}
+
+/**
+ * Check whether a message is only a greeting, thanks or acknowledgement
+ * @param {string} input - User input
+ * @returns {boolean}
+ */
+function isSmallTalk(input) {
+  const words = input.toLowerCase().match(/[a-z']+/g) || [];
+  return words.length > 0 && words.length <= 6 && words.every(word => SMALL_TALK_WORDS.has(word));
+}
+
+/**
+ * Decide whether the input needs memories and write the sub-queries to search
+ * @param {string} input - User input
+ * @param {Array} recentContext - Recent conversation messages
+ * @param {Object} settings - Settings from getRetrievalSettings
+ * @returns {Promise<Object>} - { needsMemory, queries, reason }
+ */
+async function planRetrieval(input, recentContext = [], settings = getRetrievalSettings()) {
+  if (isSmallTalk(input)) {
+    return { needsMemory: false, queries: [], reason: 'small talk' };
+  }
+
+  try {
+    const prompt = renderPrompt('reformulate', {
+      context: formatRecentContext(recentContext) || 'No recent context',
+      input,
+      maxSubQueries: settings.maxSubQueries
+    });
+
+    const response = await createChatCompletion({
+      task: 'reformulate', // Runs on the cheaper model
+      messages: prompt.messages,
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      response_format: { type: 'json_object' }
+    });
+
+    const parsed = parseJsonReply(response);
+    if (parsed.needs_memory === false || parsed.needs_memory === 'false') {
+      return { needsMemory: false, queries: [], reason: 'not about the user or past conversations' };
+    }
+
+    // One entry per distinct query, at most maxSubQueries
+    const seen = new Set();
+    const queries = (Array.isArray(parsed.queries) ? parsed.queries : [])
+      .filter(query => typeof query === 'string' && query.trim())
+      .map(query => query.trim())
+      .filter(query => !seen.has(query.toLowerCase()) && seen.add(query.toLowerCase()))
+      .slice(0, settings.maxSubQueries);
+
+    return { needsMemory: true, queries: queries.length > 0 ? queries : [input], reason: null };
+  } catch (error) {
+    console.error('[Retrieval] Error planning memory lookup:', error.message);
+    // Fallback to searching the original input
+    return { needsMemory: true, queries: [input], reason: null };
+  }
+}
+
+/**
+ * Merge ranked result lists with reciprocal-rank fusion
+ * @param {Array<Array>} rankings - One list of memories per sub-query, best first
+ * @param {number} k - RRF constant
+ * @returns {Array} - Memories with fusedScore and matchedQueries (indexes of the lists they appear in), best first
+ */
+function fuseRankings(rankings, k) {
+  const fused = new Map();
+
+  rankings.forEach((ranking, queryIdx) => {
+    ranking.forEach((memory, rank) => {
+      const entry = fused.get(memory.id);
+      const contribution = 1 / (k + rank + 1);
+      if (!entry) {
+        fused.set(memory.id, { ...memory, fusedScore: contribution, matchedQueries: [queryIdx] });
+        return;
+      }
+      entry.fusedScore += contribution;
+      entry.matchedQueries.push(queryIdx);
+      // Keep the scores from the sub-query that matched the memory best
+      if (memory.score > entry.score) {
+        Object.assign(entry, memory, { fusedScore: entry.fusedScore, matchedQueries: entry.matchedQueries });
+      }
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore || b.score - a.score);
+}
+
+/**
+ * Search every sub-query, fuse the results and rerank the candidates
+ * @param {Array<string>} queries - Sub-queries from planRetrieval
+ * @param {Object} options - { userId, limit, timeScope, input: user message, recentContext: recent messages, reranker: overrides the active one,
+ *   trackAccess: false to leave the access counts of the injected memories alone (e.g. for benchmarks, or when the caller trims them further) }
+ * @param {Object} settings - Settings from getRetrievalSettings
+ * @returns {Promise<Object>} - { memories: the top `limit` to inject, candidates: every reranked candidate, reranker: its name };
+ *   memories are as returned by searchMemories, plus fusedScore, matchedQueries, rerankScore and retrievalRank
+ */
+async function retrieveMemories(queries, options = {}, settings = getRetrievalSettings()) {
+  const limit = options.limit || settings.limit;
+  const reranker = options.reranker || getReranker();
+
+  const rankings = [];
+  for (const query of queries) {
+    rankings.push(await searchMemories(query, settings.candidates, {
+      userId: options.userId,
+      timeScope: options.timeScope,
+      trackAccess: false
+    }));
+  }
+
+  const fused = fuseRankings(rankings, settings.rrfK).slice(0, settings.candidates);
+  const candidates = await rerankMemories(fused, {
+    input: options.input || queries.join(' '),
+    context: formatRecentContext(options.recentContext)
+  }, reranker);
+
+  // Only the memories actually injected count as used
+  const memories = candidates.slice(0, limit);
+  if (options.trackAccess !== false) {
+    await markMemoriesAccessed(memories, { userId: options.userId });
+  }
+  return { memories, candidates, reranker: reranker.name };
+}
+
+module.exports = {
+  getRetrievalSettings,
+  isSmallTalk,
+  planRetrieval,
+  fuseRankings,
+  retrieveMemories,
+};
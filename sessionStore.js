@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const STATE_VERSION = 1;
+
+/**
+ * Path of the session state file
+ * @returns {string} - File path
+ */
+function getStatePath() {
+  return getConfig('session.statePath');
+}
+
+/**
+ * Load the saved session state
+ * @returns {Object|null} - { activeUser, savedAt, sessions } or null if there is none
+ */
+function loadSessionState() {
+  const statePath = getStatePath();
+
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (state.version !== STATE_VERSION) {
+      console.error(`[SessionStore] Ignoring state file with unknown version ${state.version}`);
+      return null;
+    }
+    return state;
+  } catch (error) {
+    console.error('[SessionStore] Error reading session state:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save the session state. Writes synchronously so it also works from exit
+ * and crash handlers, through a temp file so a crash never corrupts it.
+ * @param {Object} state - { activeUser, sessions: { [userId]: { conversationCache, summarySegments, ... } } }
+ */
+function saveSessionState(state) {
+  const statePath = getStatePath();
+  const tmpPath = `${statePath}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      ...state
+    }, null, 2));
+    fs.renameSync(tmpPath, statePath);
+  } catch (error) {
+    console.error('[SessionStore] Error saving session state:', error.message);
+  }
+}
+
+/**
+ * Check whether a saved session holds anything worth resuming
+ * @param {Object} session - { conversationCache, summarySegments }
+ * @returns {boolean}
+ */
+function hasUnprocessedContent(session) {
+  return session.summarySegments.length > 0 || session.conversationCache.length > 0;
+}
+
+module.exports = {
+  loadSessionState,
+  saveSessionState,
+  hasUnprocessedContent,
+};
@@ -0,0 +1,130 @@
+const { compactSummaries } = require('./memoryProcessor');
+const { getConfig } = require('./config');
+const { generateRecordId } = require('./transcriptStore');
+
+/**
+ * The rolling summary is a list of segments, oldest first:
+ *   { id, level, text, sources, transcriptIds, createdAt }
+ * Level 0 segments are summaries of the conversation cache. When the summary
+ * grows past its budget, the oldest segments of the lowest level are
+ * re-summarized into one segment a level up, while the most recent
+ * segments are kept as they are (unless they alone exceed the budget).
+ * transcriptIds are the saved transcripts a segment covers (see transcriptStore).
+ */
+
+/**
+ * Read the compaction settings from the configuration
+ * @returns {Object} - { charBudget, keepRecent }
+ */
+function getCompactionSettings() {
+  return {
+    // Maximum size of the whole rolling summary
+    charBudget: getConfig('summary.charBudget'),
+    // Most recent segments that are never compacted
+    keepRecent: getConfig('summary.keepRecent')
+  };
+}
+
+/**
+ * Render the segments as one summary text, oldest first
+ * @param {Array} segments - Summary segments
+ * @returns {string} - Summary text
+ */
+function renderSummary(segments) {
+  return segments.map(segment => segment.text).join('\n\n');
+}
+
+/**
+ * Create a level 0 segment from a fresh conversation summary
+ * @param {string} text - Summary text
+ * @param {Array<string>} transcriptIds - Transcript of the summarized conversation, if saved
+ * @returns {Object} - Segment
+ */
+function createSegment(text, transcriptIds = []) {
+  return {
+    id: generateRecordId('sum'),
+    level: 0,
+    text,
+    sources: 1,
+    transcriptIds,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Compact the segments until they fit the budget
+ * @param {Array} segments - Summary segments, oldest first
+ * @param {Object} settings - { charBudget, keepRecent }
+ * @returns {Promise<Array>} - Compacted segments
+ */
+async function compactSegments(segments, settings = getCompactionSettings()) {
+  let result = [...segments];
+  let keepRecent = Math.max(1, settings.keepRecent);
+
+  while (renderSummary(result).length > settings.charBudget && result.length > 1) {
+    // Always keep the newest segment, and up to keepRecent of them
+    const recentCount = Math.min(keepRecent, result.length - 1);
+    const older = result.slice(0, result.length - recentCount);
+
+    // Segments of one level are contiguous (higher levels are older),
+    // so the lowest level among the older segments is a single run
+    const level = Math.min(...older.map(segment => segment.level));
+    const start = older.findIndex(segment => segment.level === level);
+    let end = start;
+    while (end < older.length && older[end].level === level) {
+      end++;
+    }
+    const group = older.slice(start, end);
+
+    const groupChars = renderSummary(group).length;
+    const targetChars = Math.max(200, Math.min(Math.floor(groupChars / 2), Math.floor(settings.charBudget / 3)));
+    const digest = await compactSummaries(group.map(segment => segment.text), targetChars);
+
+    const compacted = [
+      ...result.slice(0, start),
+      {
+        id: generateRecordId('sum'),
+        level: level + 1,
+        text: digest,
+        sources: group.reduce((sum, segment) => sum + segment.sources, 0),
+        transcriptIds: group.flatMap(segment => segment.transcriptIds || []),
+        createdAt: new Date().toISOString()
+      },
+      ...result.slice(end)
+    ];
+
+    // When the older segments cannot get any smaller, give up recent detail
+    // one segment at a time; stop once only the newest one is left
+    if (renderSummary(compacted).length >= renderSummary(result).length) {
+      if (keepRecent <= 1) {
+        break;
+      }
+      keepRecent--;
+      continue;
+    }
+
+    console.log(`[SummaryCompactor] Compacted ${group.length} level ${level} segment(s) into a level ${level + 1} digest (${groupChars} -> ${digest.length} chars)`);
+    result = compacted;
+  }
+
+  return result;
+}
+
+/**
+ * Append a fresh summary and compact if the budget is exceeded
+ * @param {Array} segments - Current segments
+ * @param {string} text - New summary text
+ * @param {Array<string>} transcriptIds - Transcript of the summarized conversation, if saved
+ * @returns {Promise<Array>} - Updated segments
+ */
+async function addSummarySegment(segments, text, transcriptIds = []) {
+  return compactSegments([...segments, createSegment(text, transcriptIds)]);
+}
+
+module.exports = {
+  getCompactionSettings,
+  renderSummary,
+  createSegment,
+  compactSegments,
+  addSummarySegment,
+};
@@ -0,0 +1,472 @@
+/**
+ * Resolution of time expressions ("next spring", "last week", "in June",
+ * "3 days ago") into absolute date ranges, relative to a reference date.
+ * Ranges are in local time and inclusive: { start, end } are Dates, end
+ * being the last millisecond of the range.
+ *
+ * Bare months, seasons and weekdays have no direction on their own, so
+ * callers say which occurrence they prefer: 'future' (plans, "coming up"),
+ * 'past' (things told or done) or 'nearest'.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+// First month of each season (northern hemisphere); winter starts in December
+const SEASON_START_MONTH = { spring: 2, summer: 5, autumn: 8, fall: 8, winter: 11 };
+const SEASON_PATTERN = '(spring|summer|autumn|fall|winter)';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3 };
+const NUMBER_PATTERN = '(\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a couple of|a few)';
+
+/**
+ * Start of the day of a date
+ * @param {Date} date - Any time in the day
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Range covering whole days
+ * @param {Date} first - First day
+ * @param {number} days - Number of days
+ * @returns {Object} - { start, end }
+ */
+function dayRange(first, days = 1) {
+  const start = startOfDay(first);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+  return { start, end: new Date(end.getTime() - 1) };
+}
+
+/**
+ * Range covering whole months
+ * @param {number} year - Year of the first month
+ * @param {number} month - First month (0-11, may overflow)
+ * @param {number} months - Number of months
+ * @returns {Object} - { start, end }
+ */
+function monthRange(year, month, months = 1) {
+  const start = new Date(year, month, 1);
+  const end = new Date(year, month + months, 1);
+  return { start, end: new Date(end.getTime() - 1) };
+}
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Monday of the week containing a date
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+function startOfWeek(date) {
+  return addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Parse a number written as digits or words
+ * @param {string} text - e.g. "3", "two", "a couple of"
+ * @returns {number}
+ */
+function parseCount(text) {
+  const word = text.toLowerCase().replace(/^a (couple|few) of$/, '$1');
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+}
+
+/**
+ * Month index of a month name or abbreviation
+ * @param {string} name - e.g. "June", "Sept"
+ * @returns {number} - 0-11
+ */
+function monthIndex(name) {
+  const prefix = name.toLowerCase().slice(0, 3);
+  return MONTHS.findIndex(month => month.startsWith(prefix));
+}
+
+/**
+ * Pick which occurrence of a recurring range (a month, season or weekday) is meant
+ * @param {Function} rangeAt - Returns the occurrence for an offset (0 = the one in the current period)
+ * @param {Date} now - Reference date
+ * @param {string} prefer - 'future', 'past' or 'nearest'
+ * @returns {Object} - { start, end }
+ */
+function pickOccurrence(rangeAt, now, prefer) {
+  const current = rangeAt(0);
+  if (now >= current.start && now <= current.end) {
+    return current;
+  }
+
+  const upcoming = current.start > now ? current : rangeAt(1);
+  const previous = current.end < now ? current : rangeAt(-1);
+
+  if (prefer === 'future') {
+    return upcoming;
+  }
+  if (prefer === 'past') {
+    return previous;
+  }
+  return upcoming.start - now <= now - previous.end ? upcoming : previous;
+}
+
+/**
+ * Range of a season in a given year (winter runs December to February)
+ * @param {string} season - Season name
+ * @param {number} year - Year the season starts in
+ * @returns {Object} - { start, end }
+ */
+function seasonRange(season, year) {
+  return monthRange(year, SEASON_START_MONTH[season.toLowerCase()], 3);
+}
+
+/**
+ * Year of the season occurrence that contains or follows a date's season
+ * ("this winter" in January is the winter that started in December)
+ * @param {string} season - Season name
+ * @param {Date} now - Reference date
+ * @returns {number}
+ */
+function currentSeasonYear(season, now) {
+  const startMonth = SEASON_START_MONTH[season.toLowerCase()];
+  const year = now.getFullYear();
+  return startMonth === 11 && now.getMonth() < 2 ? year - 1 : year;
+}
+
+// Matchers, most specific first. Each returns { start, end, precision } or null.
+const MATCHERS = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/i,
+    resolve: match => ({ ...dayRange(new Date(+match[1], +match[2] - 1, +match[3])), precision: 'day' })
+  },
+  {
+    pattern: /\b(today|tonight|this morning|this afternoon|this evening)\b/i,
+    resolve: (match, now) => ({ ...dayRange(now), precision: 'day' })
+  },
+  {
+    pattern: /\byesterday\b/i,
+    resolve: (match, now) => ({ ...dayRange(addDays(now, -1)), precision: 'day' })
+  },
+  {
+    pattern: /\btomorrow\b/i,
+    resolve: (match, now) => ({ ...dayRange(addDays(now, 1)), precision: 'day' })
+  },
+  {
+    pattern: new RegExp(`\\bin ${NUMBER_PATTERN} (day|week|month|year)s?\\b`, 'i'),
+    resolve: (match, now) => offsetRange(now, parseCount(match[1]), match[2])
+  },
+  {
+    pattern: new RegExp(`\\b${NUMBER_PATTERN} (day|week|month|year)s? ago\\b`, 'i'),
+    resolve: (match, now) => offsetRange(now, -parseCount(match[1]), match[2])
+  },
+  {
+    pattern: /\b(this|next|last|past) (week|weekend|month|year)\b/i,
+    resolve: (match, now) => periodRange(now, match[1].toLowerCase(), match[2].toLowerCase())
+  },
+  {
+    pattern: new RegExp(`\\b(this|next|last|past) ${SEASON_PATTERN}\\b`, 'i'),
+    resolve: (match, now) => {
+      const season = match[2];
+      const thisYear = currentSeasonYear(season, now);
+      const which = match[1].toLowerCase();
+      let year = thisYear;
+      if (which === 'next') {
+        year = seasonRange(season, thisYear).start > now ? thisYear : thisYear + 1;
+      } else if (which === 'last' || which === 'past') {
+        year = seasonRange(season, thisYear).end < now ? thisYear : thisYear - 1;
+      }
+      return { ...seasonRange(season, year), precision: 'season' };
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(this|next|last) ${WEEKDAY_PATTERN}\\b`, 'i'),
+    resolve: (match, now) => {
+      const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+      const which = match[1].toLowerCase();
+      if (which === 'this') {
+        return { ...dayRange(addDays(startOfWeek(now), (target + 6) % 7)), precision: 'day' };
+      }
+      const step = which === 'next' ? 1 : -1;
+      let day = addDays(startOfDay(now), step);
+      while (day.getDay() !== target) {
+        day = addDays(day, step);
+      }
+      return { ...dayRange(day), precision: 'day' };
+    }
+  },
+  {
+    // "June 12", "June 12th, 2027"
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?\\b`, 'i'),
+    resolve: (match, now, prefer) => dayOfMonth(now, prefer, monthIndex(match[1]), +match[2], match[3])
+  },
+  {
+    // "12 June", "12th of June 2027"
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? ${MONTH_PATTERN}\\b(?:,? (\\d{4}))?`, 'i'),
+    resolve: (match, now, prefer) => dayOfMonth(now, prefer, monthIndex(match[2]), +match[1], match[3])
+  },
+  {
+    // "June 2027"
+    pattern: new RegExp(`\\b${MONTH_PATTERN} (\\d{4})\\b`, 'i'),
+    resolve: match => ({ ...monthRange(+match[2], monthIndex(match[1])), precision: 'month' })
+  },
+  {
+    // "in June", "since March"; a bare month needs a preposition ("may" is usually a verb)
+    pattern: new RegExp(`\\b(?:in|on|since|until|by|during|of|early|late|mid|before|after) ${MONTH_PATTERN}\\b`, 'i'),
+    resolve: (match, now, prefer) => {
+      const month = monthIndex(match[1]);
+      const range = pickOccurrence(offset => monthRange(now.getFullYear() + offset, month), now, prefer);
+      return { ...range, precision: 'month' };
+    }
+  },
+  {
+    // "in spring", "this summer" is handled above
+    pattern: new RegExp(`\\b(?:in|during|by|until|since) (?:the )?${SEASON_PATTERN}\\b`, 'i'),
+    resolve: (match, now, prefer) => {
+      const thisYear = currentSeasonYear(match[1], now);
+      const range = pickOccurrence(offset => seasonRange(match[1], thisYear + offset), now, prefer);
+      return { ...range, precision: 'season' };
+    }
+  },
+  {
+    pattern: /\b(?:in|during|since|until|by) ((?:19|20)\d{2})\b/i,
+    resolve: match => ({ ...monthRange(+match[1], 0, 12), precision: 'year' })
+  },
+  {
+    // "on Friday"
+    pattern: new RegExp(`\\bon ${WEEKDAY_PATTERN}\\b`, 'i'),
+    resolve: (match, now, prefer) => {
+      const target = WEEKDAYS.indexOf(match[1].toLowerCase());
+      const range = pickOccurrence(offset => {
+        return dayRange(addDays(startOfWeek(now), (target + 6) % 7 + offset * 7));
+      }, now, prefer);
+      return { ...range, precision: 'day' };
+    }
+  }
+];
+
+/**
+ * Range a given distance away ("in 3 weeks", "2 months ago")
+ * @param {Date} now - Reference date
+ * @param {number} count - Units to move (negative = past)
+ * @param {string} unit - day, week, month or year
+ * @returns {Object} - { start, end, precision }
+ */
+function offsetRange(now, count, unit) {
+  switch (unit.toLowerCase()) {
+    case 'day':
+      return { ...dayRange(addDays(now, count)), precision: 'day' };
+    case 'week':
+      return { ...dayRange(startOfWeek(addDays(now, count * 7)), 7), precision: 'week' };
+    case 'month':
+      return { ...monthRange(now.getFullYear(), now.getMonth() + count), precision: 'month' };
+    default:
+      return { ...monthRange(now.getFullYear() + count, 0, 12), precision: 'year' };
+  }
+}
+
+/**
+ * Range of this / next / last week, weekend, month or year.
+ * "past" means the period up to now ("in the past week").
+ * @param {Date} now - Reference date
+ * @param {string} which - this, next, last or past
+ * @param {string} period - week, weekend, month or year
+ * @returns {Object} - { start, end, precision }
+ */
+function periodRange(now, which, period) {
+  const step = { this: 0, next: 1, last: -1, past: -1 }[which];
+
+  if (which === 'past') {
+    const days = { week: 7, weekend: 7, month: 30, year: 365 }[period];
+    return { start: startOfDay(addDays(now, -days)), end: new Date(dayRange(now).end), precision: period === 'weekend' ? 'week' : period };
+  }
+
+  switch (period) {
+    case 'week':
+      return { ...dayRange(addDays(startOfWeek(now), step * 7), 7), precision: 'week' };
+    case 'weekend':
+      return { ...dayRange(addDays(startOfWeek(now), step * 7 + 5), 2), precision: 'day' };
+    case 'month':
+      return { ...monthRange(now.getFullYear(), now.getMonth() + step), precision: 'month' };
+    default:
+      return { ...monthRange(now.getFullYear() + step, 0, 12), precision: 'year' };
+  }
+}
+
+/**
+ * Range of a day of a month, choosing the year when none is given
+ * @param {Date} now - Reference date
+ * @param {string} prefer - 'future', 'past' or 'nearest'
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @param {string} year - Year as written, if any
+ * @returns {Object|null} - { start, end, precision }
+ */
+function dayOfMonth(now, prefer, month, day, year) {
+  if (day < 1 || day > 31) {
+    return null;
+  }
+  if (year) {
+    return { ...dayRange(new Date(+year, month, day)), precision: 'day' };
+  }
+  const range = pickOccurrence(offset => dayRange(new Date(now.getFullYear() + offset, month, day)), now, prefer);
+  return { ...range, precision: 'day' };
+}
+
+/**
+ * Find the first time expression in a text and resolve it
+ * @param {string} text - Text to scan
+ * @param {Object} options - { now: reference Date, prefer: 'future' | 'past' | 'nearest' }
+ * @returns {Object|null} - { expression, start, end, precision } or null if there is none
+ */
+function resolveTimeExpression(text, options = {}) {
+  const now = options.now || new Date();
+  const prefer = options.prefer || 'nearest';
+
+  const candidates = [];
+  MATCHERS.forEach(matcher => {
+    const match = String(text || '').match(matcher.pattern);
+    const range = match && matcher.resolve(match, now, prefer);
+    if (range) {
+      candidates.push({ index: match.index, expression: match[0], ...range });
+    }
+  });
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Earliest expression wins; of overlapping ones the longest
+  // ("on June 12th" over "on June"), then the more specific matcher
+  const first = candidates.reduce((a, b) => (b.index < a.index ? b : a));
+  const best = candidates
+    .filter(candidate => candidate.index < first.index + first.expression.length)
+    .reduce((a, b) => (b.index + b.expression.length > a.index + a.expression.length ? b : a));
+
+  const { index, ...resolved } = best;
+  return resolved;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Describe a resolved range in words, e.g. "spring 2027", "2027-06-12"
+ * @param {Object} range - { start, end, precision }
+ * @returns {string}
+ */
+function describeRange(range) {
+  const monthName = date => MONTHS[date.getMonth()].replace(/^./, c => c.toUpperCase());
+  switch (range.precision) {
+    case 'day':
+      return range.end - range.start < DAY_MS
+        ? formatDate(range.start)
+        : `${formatDate(range.start)} to ${formatDate(range.end)}`;
+    case 'month':
+      return `${monthName(range.start)} ${range.start.getFullYear()}`;
+    case 'season': {
+      const season = Object.keys(SEASON_START_MONTH).find(name => SEASON_START_MONTH[name] === range.start.getMonth());
+      return `${season} ${range.start.getFullYear()}`;
+    }
+    case 'year':
+      return String(range.start.getFullYear());
+    default:
+      return `${formatDate(range.start)} to ${formatDate(range.end)}`;
+  }
+}
+
+/**
+ * Event date metadata for a resolved range
+ * @param {Object} range - { expression, start, end, precision }
+ * @returns {Object} - { event_date, event_date_ms, event_end_ms, event_precision, time_expression }
+ */
+function toEventMetadata(range) {
+  return {
+    event_date: formatDate(range.start),
+    event_date_ms: range.start.getTime(),
+    event_end_ms: range.end.getTime(),
+    event_precision: range.precision,
+    time_expression: range.expression
+  };
+}
+
+/**
+ * Check whether a memory is a plan whose date has passed
+ * @param {Object} metadata - Memory metadata
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isStalePlan(metadata, now = Date.now()) {
+  return Boolean(metadata)
+    && metadata.category === 'plan'
+    && typeof metadata.event_end_ms === 'number'
+    && metadata.event_end_ms < now;
+}
+
+// Questions about what the user said, as opposed to when things happen
+// ("what did I tell you", not "can you tell me")
+const TOLD_PATTERN = /\b(i|we)\s+(\w+\s+)?(tell|told|say|said|mention(ed)?|talk(ed)?|discuss(ed)?|ask(ed)?|share(d)?|chat(ted)?)\b/i;
+// Questions about the user's own events; only these are limited to the time
+// they name, so "what should I cook today" still finds undated memories
+const EVENT_RECALL_PATTERN = /\b(did (i|we)|do (i|we) have|am i doing|are we doing|have i got|(my|user'?s) (plans?|schedule|calendar|agenda|trips?|events?|appointments?)|happened|happening|going on|coming up|upcoming|planned|scheduled)\b/i;
+// Questions about things that already happened
+const PAST_PATTERN = /\b(did|was|were|went|happened|had|last|ago|yesterday)\b/i;
+const UPCOMING_PATTERN = /\b(coming up|upcoming|planned|scheduled|ahead)\b/i;
+// Window used for "what's coming up" without a date
+const UPCOMING_DAYS = 90;
+
+/**
+ * Work out the time scope of a date-recall question.
+ * "What did I tell you last week" scopes by when memories were stored;
+ * "what's coming up in June" scopes by the date of the event itself.
+ * A time word in any other message ("what should I cook today") is no
+ * scope: the scope filters out every memory without a date in the range.
+ * @param {string} query - Question or search query
+ * @param {Date} now - Reference date
+ * @returns {Object|null} - { field: 'stored' | 'event', expression, start, end, precision } or null
+ */
+function parseTimeScope(query, now = new Date()) {
+  const told = TOLD_PATTERN.test(query);
+  if (!told && !EVENT_RECALL_PATTERN.test(query)) {
+    return null;
+  }
+  const prefer = told || PAST_PATTERN.test(query) ? 'past' : 'future';
+  const range = resolveTimeExpression(query, { now, prefer });
+
+  if (range) {
+    return { field: told ? 'stored' : 'event', ...range };
+  }
+  if (UPCOMING_PATTERN.test(query)) {
+    return {
+      field: 'event',
+      expression: query.match(UPCOMING_PATTERN)[0],
+      start: now,
+      end: new Date(dayRange(addDays(now, UPCOMING_DAYS)).end),
+      precision: 'day'
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  resolveTimeExpression,
+  parseTimeScope,
+  describeRange,
+  formatDate,
+  toEventMetadata,
+  isStalePlan,
+};
@@ -5,8 +5,11 @@
 
 require('dotenv').config();
 const readline = require('readline');
+const { getProvider } = require('./llmProvider');
 const { processConversations } = require('./memoryProcessor');
 const { storeMemories, clearAllMemories } = require('./vectorDB');
+const { validateChunks, formatValidationReport } = require('./chunkValidator');
+const { getConfig } = require('./config');
 
 // Sample summary to test with
 // This simulates the rolling summary after multiple conversation cycles
@@ -61,6 +64,13 @@ async function testChunking() {
     const wordCounts = chunks.map(c => c.narrative.split(/\s+/).length);
     console.log(`\n   Word counts: ${wordCounts.join(', ')}`);
     
+    const categories = chunks.map(c => c.metadata.category);
+    console.log(`   Categories: ${categories.join(', ')}`);
+    
+    // Check the chunks against the rules in the extraction prompt
+    const validation = validateChunks(chunks, { summaries: [testSummary] });
+    console.log(`\n${formatValidationReport(validation).replace(/^/gm, '   ')}`);
+    
     console.log('\n💡 Tip: Edit the testSummary variable above to test different inputs\n');
     
     // Ask if user wants to store in database
@@ -104,9 +114,11 @@ async function testChunking() {
 }
 
 // Check for API key
-if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_key_here') {
+const apiKey = getConfig('llm.openaiApiKey');
+if (getProvider().requiresApiKey && (!apiKey || apiKey === 'your_key_here')) {
   console.error('❌ Error: OPENAI_API_KEY not configured');
-  console.error('Please create a .env file with your OpenAI API key\n');
+  console.error('Please create a .env file with your OpenAI API key');
+  console.error('Or set LLM_PROVIDER=stub to run offline\n');
   process.exit(1);
 }
 
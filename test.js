@@ -3,6 +3,15 @@
  * Simulates the entire flow without using OpenAI credits
  */
 
+const os = require('os');
+const path = require('path');
+
+// Run offline by default: stub embeddings and a throwaway local store
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'stub';
+process.env.VECTOR_STORE = process.env.VECTOR_STORE || 'local';
+process.env.LOCAL_STORE_PATH = process.env.LOCAL_STORE_PATH || path.join(os.tmpdir(), 'vector-memory-test');
+process.env.EMBEDDING_CACHE_PATH = process.env.EMBEDDING_CACHE_PATH || path.join(os.tmpdir(), 'vector-memory-test', 'embedding_cache.jsonl');
+
 const { storeMemories, searchMemories, getAllMemories, clearAllMemories } = require('./vectorDB');
 
 // Mock data
@@ -177,7 +186,11 @@ async function runTest() {
 // Run the test
 console.log('🚀 Memory System Automated Test Suite');
 console.log('📌 This test runs WITHOUT using OpenAI API');
-console.log('📌 Make sure ChromaDB is running on localhost:8000\n');
+if (process.env.VECTOR_STORE === 'chroma') {
+  console.log('📌 Make sure ChromaDB is running on localhost:8000\n');
+} else {
+  console.log(`📌 Using local vector store at ${process.env.LOCAL_STORE_PATH}\n`);
+}
 
 setTimeout(() => {
   runTest().then(() => {
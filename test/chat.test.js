@@ -0,0 +1,226 @@
+const { useFakes, apiError, connectionError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchArgumentCommand, getSession, switchUser, handleChat, processSummaries } = require('../index');
+const { storeMemories, getAllMemories } = require('../vectorDB');
+const { createSegment } = require('../summaryCompactor');
+const { getMemorySources } = require('../transcriptStore');
+
+let users = 0;
+
+// Each test chats as its own user, so sessions and memories start empty
+function freshSession() {
+  const userId = `tester${++users}`;
+  switchUser(userId);
+  return getSession(userId);
+}
+
+function chunk(narrative) {
+  return { narrative, metadata: { source: 'conversation_summary', category: 'profile', access_count: 0 } };
+}
+
+test('handleChat sends system prompt, memories, summary, recent turns and input in order', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  await storeMemories([chunk('User has a dog named Rex.'), chunk('User is allergic to peanuts.')], { userId: session.userId });
+  session.summarySegments = [createSegment('User said they moved to Porto last year.')];
+  session.conversationCache.push(
+    { role: 'user', content: 'I adopted a puppy' },
+    { role: 'assistant', content: 'Congratulations!' }
+  );
+  openai.reply('chat', 'Rex is a great name.');
+
+  await handleChat('Tell me about my dog Rex');
+
+  const [request] = openai.requestsFor('chat');
+  const roles = request.messages.map(message => message.role);
+  assert.deepEqual(roles, ['system', 'system', 'system', 'user', 'assistant', 'user']);
+  assert.match(request.messages[0].content, /^You are a helpful AI assistant\./);
+  assert.doesNotMatch(request.messages[0].content, /unavailable/);
+  assert.equal(request.messages[1].content, 'Relevant memories from past conversations: User has a dog named Rex.');
+  assert.equal(request.messages[2].content, 'Previous conversation context: User said they moved to Porto last year.');
+  assert.equal(request.messages[3].content, 'I adopted a puppy');
+  assert.equal(request.messages[5].content, 'Tell me about my dog Rex');
+
+  assert.deepEqual(session.conversationCache.slice(-2), [
+    { role: 'user', content: 'Tell me about my dog Rex' },
+    { role: 'assistant', content: 'Rex is a great name.' }
+  ]);
+  assert.deepEqual(session.lastRetrieval.queries, ['Tell me about my dog Rex']);
+  assert.equal(session.lastContextUsage.memories.included, 1);
+  assert.equal(session.lastRetrieval.injected, 1);
+});
+
+test('handleChat records access only for the memories that fit in the prompt', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  const details = 'He chews shoes, chases cats and sleeps on the sofa all afternoon. '.repeat(40);
+  await storeMemories([chunk('User has a dog named Rex.'), chunk(`User's dog Rex is a beagle. ${details}`)], { userId: session.userId });
+  openai.reply('chat', 'Rex sounds lovely.');
+
+  await handleChat('Tell me about my dog Rex');
+
+  assert.equal(session.lastRetrieval.memories.length, 2);
+  assert.equal(session.lastRetrieval.injected, 1);
+  const memories = await getAllMemories({ userId: session.userId });
+  const counts = Object.fromEntries(memories.map(memory => [memory.narrative.slice(0, 20), memory.metadata.access_count]));
+  assert.deepEqual(counts, { 'User has a dog named': 1, "User's dog Rex is a ": 0 });
+});
+
+test('handleChat skips the memory lookup for small talk', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+
+  await handleChat('thanks!');
+
+  assert.equal(openai.requestsFor('reformulate').length, 0);
+  assert.deepEqual(openai.embeddingRequests, []);
+  const [request] = openai.requestsFor('chat');
+  assert.deepEqual(request.messages.map(message => message.role), ['system', 'user']);
+  assert.equal(session.lastRetrieval.skipped, 'small talk');
+  assert.equal(session.conversationCache.length, 2);
+});
+
+test('handleChat summarizes the conversation when the cache is full', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  for (let i = 0; i < 3; i++) {
+    session.conversationCache.push(
+      { role: 'user', content: `Question ${i}` },
+      { role: 'assistant', content: `Answer ${i}` }
+    );
+  }
+  openai.reply('summarize', 'User asked three questions.');
+
+  await handleChat('thanks');
+
+  assert.equal(session.conversationCache.length, 0);
+  assert.deepEqual(session.summarySegments.map(segment => segment.text), ['User asked three questions.']);
+  assert.equal(session.summaryCount, 1);
+  const [summarize] = openai.requestsFor('summarize');
+  assert.match(summarize.messages[1].content, /^Question 0\nAnswer 0\n[\s\S]*\nthanks\nFake reply\n\nsummary:$/);
+
+  // The summarized conversation is saved for tracing memories back to it
+  const [segment] = session.summarySegments;
+  const { transcripts } = getMemorySources(session.userId, { transcript_ids: segment.transcriptIds.join(',') });
+  assert.equal(transcripts.length, 1);
+  assert.deepEqual(transcripts[0].messages.slice(-2), [{ role: 'user', content: 'thanks' }, { role: 'assistant', content: 'Fake reply' }]);
+});
+
+test('handleChat keeps an answered conversation when summarizing it fails', async (t) => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  for (let i = 0; i < 3; i++) {
+    session.conversationCache.push(
+      { role: 'user', content: `Question ${i}` },
+      { role: 'assistant', content: `Answer ${i}` }
+    );
+  }
+  openai.reply('summarize', apiError(400, 'Bad request'));
+  const errors = t.mock.method(console, 'error', () => {});
+
+  await handleChat('thanks');
+
+  assert.deepEqual(session.conversationCache.slice(-2), [{ role: 'user', content: 'thanks' }, { role: 'assistant', content: 'Fake reply' }]);
+  assert.deepEqual(session.summarySegments, []);
+  const output = errors.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(output, /Summarizing the conversation failed/);
+  assert.doesNotMatch(output, /not answered/);
+});
+
+test('handleChat answers without memories while the store is down', async () => {
+  const { openai, chroma } = useFakes();
+  const session = freshSession();
+  chroma.failure = connectionError();
+
+  await handleChat('Where did I say I live?');
+
+  const [request] = openai.requestsFor('chat');
+  assert.match(request.messages[0].content, /memory of past conversations is unavailable/);
+  assert.deepEqual(request.messages.map(message => message.role), ['system', 'user']);
+  assert.equal(session.conversationCache.length, 2);
+});
+
+test('handleChat keeps the conversation when the model fails', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  session.conversationCache.push({ role: 'user', content: 'hello' }, { role: 'assistant', content: 'Hi!' });
+  openai.reply('chat', apiError(400, 'Bad request'));
+
+  await handleChat('What is the weather like on Mars?');
+
+  assert.equal(session.conversationCache.length, 2);
+  assert.equal(session.chatting, false);
+});
+
+test('processSummaries stores the conversation as memories and clears it', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  session.summarySegments = [createSegment('User has a dog named Rex.')];
+  session.summaryCount = 1;
+  session.conversationCache.push({ role: 'user', content: 'I am allergic to peanuts' }, { role: 'assistant', content: 'Noted.' });
+  openai.reply('summarize', 'User is allergic to peanuts.');
+  openai.reply('extract', JSON.stringify({
+    memories: [
+      { narrative: 'User has a dog named Rex.', category: 'profile', entities: [{ name: 'Rex', type: 'other' }], confidence: 0.9, summaries: [1] },
+      { narrative: 'User is allergic to peanuts.', category: 'profile', entities: [], confidence: 0.95, summaries: [2] }
+    ]
+  }));
+
+  const result = await processSummaries(session);
+
+  assert.deepEqual(result, { chunks: 2, new: 2, updated: 0, skipped: 0 });
+  const [extract] = openai.requestsFor('extract');
+  assert.match(extract.messages[1].content, /Summary 1:\nUser has a dog named Rex\.\n\nSummary 2:\nUser is allergic to peanuts\./);
+  const memories = await getAllMemories({ userId: session.userId });
+  assert.deepEqual(memories.map(memory => memory.narrative).sort(), ['User has a dog named Rex.', 'User is allergic to peanuts.']);
+  // Checked against the chunk quality rules before storing
+  assert.deepEqual(memories.map(memory => memory.metadata.quality_score), [1, 1]);
+
+  // Each memory links to the summary it came from and, through it, to what was said
+  const allergy = memories.find(memory => memory.narrative.includes('peanuts'));
+  const sources = getMemorySources(session.userId, allergy.metadata);
+  assert.deepEqual(sources.summaries.map(summary => summary.text), ['User is allergic to peanuts.']);
+  assert.deepEqual(sources.transcripts.map(transcript => transcript.messages), [[
+    { role: 'user', content: 'I am allergic to peanuts' },
+    { role: 'assistant', content: 'Noted.' }
+  ]]);
+  const dog = memories.find(memory => memory.narrative.includes('Rex'));
+  assert.deepEqual(getMemorySources(session.userId, dog.metadata).summaries.map(summary => summary.text), ['User has a dog named Rex.']);
+  assert.deepEqual(session.summarySegments, []);
+  assert.equal(session.summaryCount, 0);
+  assert.equal(session.conversationCache.length, 0);
+});
+
+test('processSummaries keeps the conversation when processing fails', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+  session.summarySegments = [createSegment('User has a dog named Rex.')];
+  openai.reply('extract', apiError(401, 'Incorrect API key provided'));
+
+  assert.equal(await processSummaries(session), null);
+  assert.equal(session.summarySegments.length, 1);
+  assert.equal(session.processing, false);
+  assert.deepEqual(await getAllMemories({ userId: session.userId }), []);
+});
+
+test('processSummaries does nothing without a conversation', async () => {
+  const { openai } = useFakes();
+  const session = freshSession();
+
+  assert.equal(await processSummaries(session), null);
+  assert.equal(openai.requests.length, 0);
+});
+
+test('sentences that start with a command word stay chat', () => {
+  ['forget it', 'search engines are slow', 'history 101', 'user interface', 'edit my essay', 'source of truth', 'config files are confusing', 'config set up was hard']
+    .forEach(input => assert.equal(matchArgumentCommand(input), null, input));
+
+  assert.deepEqual(matchArgumentCommand('forget chunk_1792407046216_aa63ec'), { name: 'forget', args: ['chunk_1792407046216_aa63ec'] });
+  assert.deepEqual(matchArgumentCommand('search trip --entity Greece'), { name: 'search', args: ['trip --entity Greece'] });
+  assert.deepEqual(matchArgumentCommand('config set retrieval.limit 5'), { name: 'config', args: ['set retrieval.limit 5'] });
+  assert.deepEqual(matchArgumentCommand('config retrieval'), { name: 'config', args: ['retrieval'] });
+  // A slash makes it a command whatever follows
+  assert.deepEqual(matchArgumentCommand('/search engines are slow'), { name: 'search', args: ['engines are slow'] });
+  assert.deepEqual(matchArgumentCommand('/user interface'), { name: 'user', args: ['interface'] });
+});
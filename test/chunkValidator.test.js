@@ -0,0 +1,90 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getValidationSettings, validateChunks, checkCoverage, formatValidationReport } = require('../chunkValidator');
+
+const SETTINGS = { mode: 'warn', maxSentences: 4, minWords: 4, duplicateSimilarity: 0.8, minCoverage: 0.6 };
+
+function rulesOf(narrative) {
+  const [result] = validateChunks([{ narrative }], {}, SETTINGS).results;
+  return result.issues.map(issue => issue.rule);
+}
+
+test('a self-contained fact passes with a full score', () => {
+  const report = validateChunks([
+    { narrative: 'User is allergic to peanuts.' },
+    { narrative: 'User is Brazilian, recently moved to Tokyo for work, and is learning Japanese. User misses Brazilian food.' }
+  ], {}, SETTINGS);
+
+  assert.equal(report.flagged, 0);
+  assert.equal(report.score, 1);
+  assert.deepEqual(report.results.map(result => result.score), [1, 1]);
+});
+
+test('conversation flow is flagged', () => {
+  assert.deepEqual(rulesOf('User asked about Roman history. Conversation shifted to programming.'), ['flow']);
+  assert.deepEqual(rulesOf('User and the assistant discussed Python web frameworks.'), ['flow']);
+  assert.deepEqual(rulesOf('The conversation covered the Nile and the Amazon.'), ['flow']);
+});
+
+test('a chunk opening with a pronoun is flagged', () => {
+  assert.deepEqual(rulesOf('They miss Brazilian food and want to find it in Tokyo.'), ['pronoun']);
+  assert.deepEqual(rulesOf('Theodore is the name of the user\'s brother.'), []);
+});
+
+test('length is checked in sentences and words', () => {
+  assert.deepEqual(rulesOf('User runs. User swims. User cycles. User climbs. User rows.'), ['length']);
+  assert.deepEqual(rulesOf('Likes tea.'), ['length']);
+  // Decimal points and amounts do not end a sentence
+  assert.deepEqual(rulesOf('User has a budget of $30,000.50 for the wedding. User invites 80 guests.'), []);
+});
+
+test('a repeated fact is flagged as a duplicate of the earlier chunk', () => {
+  const report = validateChunks([
+    { narrative: 'User has two cats named Luna and Felix.' },
+    { narrative: 'User is allergic to peanuts.' },
+    { id: 'chunk_3', narrative: 'User has two cats, named Felix and Luna.' }
+  ], {}, SETTINGS);
+
+  assert.deepEqual(report.results[2].issues, [{ rule: 'duplicate', message: 'same fact as chunk 1' }]);
+  assert.equal(report.results[2].score, 0.75);
+  assert.equal(report.results[2].id, 'chunk_3');
+  assert.equal(report.flagged, 1);
+});
+
+test('coverage counts the names and numbers of the summaries kept in the chunks', () => {
+  const coverage = checkCoverage(
+    ['User is Sarah, a software engineer in Seattle.', 'Sarah has two cats.'],
+    ['User introduced themselves as Sarah, an engineer from Seattle. She has cats named Luna and Felix and has coded for 15 years.']
+  );
+
+  assert.equal(coverage.total, 5);
+  assert.deepEqual(coverage.missing, ['Luna', 'Felix', '15']);
+  assert.equal(coverage.score, 0.4);
+  assert.equal(checkCoverage(['User likes tea.'], ['user likes tea']), null);
+});
+
+test('formatValidationReport lists the issues and low coverage', () => {
+  const report = validateChunks([
+    { narrative: 'User is allergic to peanuts.' },
+    { narrative: 'They talked about Lisbon.' }
+  ], { summaries: ['User lives in Lisbon with Ana.'] }, SETTINGS);
+
+  const text = formatValidationReport(report, SETTINGS);
+
+  assert.match(text, /^Chunk quality: 1\/2 chunks pass, mean score 0\.75/);
+  assert.match(text, /2\. They talked about Lisbon\.\n {5}- flow: .*"talked about"/);
+  assert.match(text, /- pronoun: starts with "They"/);
+  assert.match(text, /Coverage: 50% of 2 names and numbers in the summaries \(below 60%\)\n {2}Missing: Ana/);
+});
+
+test('getValidationSettings rejects an unknown mode', () => {
+  const previous = process.env.CHUNK_VALIDATION;
+  process.env.CHUNK_VALIDATION = 'strict';
+  try {
+    assert.throws(() => getValidationSettings(), /Unknown CHUNK_VALIDATION "strict"/);
+  } finally {
+    process.env.CHUNK_VALIDATION = previous;
+  }
+  assert.equal(getValidationSettings().mode, 'warn');
+});
@@ -0,0 +1,150 @@
+const { TEST_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getConfig, setConfig, resetConfig, loadConfig, validateConfig, describeConfig, getConfigPath, parseConfigArgs } = require('../config');
+const { getRetrievalSettings } = require('../retrieval');
+const { getReranker } = require('../reranker');
+
+function writeConfig(name, content) {
+  const filePath = path.join(TEST_DIR, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+// Run with an environment variable set, restoring it afterwards
+function withEnv(name, value, fn) {
+  const previous = process.env[name];
+  process.env[name] = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = previous;
+    }
+  }
+}
+
+test.afterEach(() => {
+  loadConfig({ argv: [] });
+  resetConfig('retrieval.limit');
+  resetConfig('retrieval.reranker');
+});
+
+test('defaults apply without a file, variable or flag', () => {
+  assert.equal(getConfig('llm.chatModel'), 'gpt-4o');
+  assert.equal(getConfig('retrieval.limit'), 3);
+  assert.equal(getConfig('store.collection'), 'memories');
+  assert.equal(getConfig('cache.tokenLimit'), null);
+  assert.equal(getConfigPath(), null);
+});
+
+test('the file is overridden by the environment, which is overridden by flags and runtime changes', () => {
+  const file = writeConfig('precedence.json', { retrieval: { limit: 4 }, llm: { chatModel: 'file-model' }, 'chat.temperature': 0.2 });
+
+  assert.deepEqual(loadConfig({ argv: ['--config', file] }), []);
+  assert.equal(getConfig('retrieval.limit'), 4);
+  assert.equal(getConfig('chat.temperature'), 0.2);
+
+  withEnv('RETRIEVAL_LIMIT', '5', () => {
+    assert.equal(getConfig('retrieval.limit'), 5);
+    assert.equal(getConfig('llm.chatModel'), 'file-model');
+
+    loadConfig({ argv: ['--config', file, '--retrieval.limit', '6', '--llm.chatModel=flag-model'] });
+    assert.equal(getConfig('retrieval.limit'), 6);
+    assert.equal(getConfig('llm.chatModel'), 'flag-model');
+
+    setConfig('retrieval.limit', '7');
+    assert.equal(getConfig('retrieval.limit'), 7);
+    assert.equal(getRetrievalSettings().limit, 7);
+    assert.equal(resetConfig('retrieval.limit'), 6);
+  });
+});
+
+test('values are checked against their type and bounds', () => {
+  assert.equal(withEnv('AUTO_PROCESS_ON_EXIT', 'no', () => getConfig('autoProcess.onExit')), false);
+  assert.throws(() => withEnv('RETRIEVAL_LIMIT', 'three', () => getConfig('retrieval.limit')), /Invalid RETRIEVAL_LIMIT "three" \(expected a whole number\)/);
+  assert.throws(() => withEnv('DEDUP_SKIP_SIMILARITY', '1.5', () => getConfig('dedup.skipSimilarity')), /at most 1/);
+  assert.throws(() => withEnv('VECTOR_STORE', 'redis', () => getConfig('store.backend')), /Unknown VECTOR_STORE "redis" \(expected chroma or local\)/);
+  assert.throws(() => withEnv('MEMORY_COLLECTION', 'my memories', () => getConfig('store.collection')), /Invalid MEMORY_COLLECTION/);
+  // An empty variable counts as unset, except where empty means something
+  assert.equal(withEnv('LLM_CHAT_MODEL', '', () => getConfig('llm.chatModel')), 'gpt-4o');
+  assert.equal(getConfig('embedding.cachePath'), '');
+});
+
+test('loadConfig reports every problem at startup', () => {
+  const file = writeConfig('broken.json', { retrieval: { limit: 0, typo: 1 }, dedup: { skipSimilarity: 0.8, mergeSimilarity: 0.9 } });
+
+  const errors = loadConfig({ argv: ['--config', file] });
+
+  assert.deepEqual(errors, [
+    `Unknown setting retrieval.typo in ${file}`,
+    `Invalid retrieval.limit "0" (at least 1) in ${file}`,
+    'dedup.mergeSimilarity must not be above dedup.skipSimilarity'
+  ]);
+  assert.match(loadConfig({ argv: ['--config', writeConfig('syntax.json', '{ "retrieval": ')] })[0], /^Cannot read config file .*syntax\.json/);
+  assert.deepEqual(loadConfig({ argv: ['--retrival.limit', '2'] }), ['Unknown setting --retrival.limit (type "config" in the app for the list)']);
+  assert.deepEqual(loadConfig({ argv: [] }), []);
+  assert.deepEqual(validateConfig(), []);
+});
+
+test('the app reports a broken config file instead of crashing', () => {
+  const file = writeConfig('startup.json', '{ "retrieval": ');
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, MEMORY_CONFIG: file, LLM_PROVIDER: 'stub' },
+    input: '',
+    encoding: 'utf8',
+    timeout: 20000
+  });
+
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Error: invalid configuration\n {2}- Cannot read config file .*startup\.json/);
+  assert.doesNotMatch(result.stderr, /at .*config\.js:\d+/);
+});
+
+test('parseConfigArgs reads --key value and --key=value', () => {
+  const { file, values } = parseConfigArgs(['--config', 'app.json', '--retrieval.limit=5', '--llm.chatModel', 'gpt-4o-mini']);
+
+  assert.equal(file, 'app.json');
+  assert.deepEqual([...values], [['retrieval.limit', '5'], ['llm.chatModel', 'gpt-4o-mini']]);
+  assert.throws(() => parseConfigArgs(['--retrieval.limit']), /Missing value for --retrieval\.limit/);
+  assert.throws(() => parseConfigArgs(['limit=5']), /Unexpected argument "limit=5"/);
+});
+
+test('setConfig only changes runtime settings and keeps the rules between settings', () => {
+  assert.throws(() => setConfig('store.backend', 'local'), /store\.backend cannot be changed while running; set VECTOR_STORE/);
+  assert.throws(() => setConfig('retrieval.limit', '-1'), /Invalid retrieval\.limit "-1" \(at least 1\)/);
+  assert.throws(() => setConfig('dedup.mergeSimilarity', '0.99'), /must not be above dedup\.skipSimilarity/);
+  assert.equal(getConfig('dedup.mergeSimilarity'), 0.85);
+  assert.throws(() => setConfig('no.such', '1'), /Unknown setting "no\.such"/);
+
+  assert.deepEqual(setConfig('retrieval.limit', '5'), { previous: 3, value: 5 });
+});
+
+test('changing the reranker takes effect on the next lookup', () => {
+  assert.equal(getReranker().name, 'lexical');
+  setConfig('retrieval.reranker', 'LLM');
+  assert.equal(getReranker().name, 'llm');
+});
+
+test('describeConfig lists every setting with its source and masks secrets', () => {
+  setConfig('retrieval.limit', '5');
+  const rows = new Map(describeConfig().map(row => [row.key, row]));
+
+  assert.deepEqual(rows.get('retrieval.limit'), {
+    key: 'retrieval.limit',
+    env: 'RETRIEVAL_LIMIT',
+    value: 5,
+    source: 'runtime',
+    runtime: true,
+    description: 'Memories injected into a chat turn'
+  });
+  assert.equal(rows.get('llm.openaiApiKey').value, '********');
+  assert.equal(rows.get('llm.openaiApiKey').source, 'env');
+  assert.equal(rows.get('llm.chatModel').source, 'default');
+});
@@ -0,0 +1,92 @@
+const { useFakes, TEST_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadDataset, buildVariants, scoreQuery, runEvaluation, formatReport } = require('../evaluateRetrieval');
+
+const DATASET = {
+  memories: [
+    { id: 'dog', narrative: 'User has a dog named Rex.' },
+    { id: 'allergy', narrative: 'User is allergic to peanuts.' },
+    { id: 'job', narrative: 'User works as a nurse in Lisbon.' }
+  ],
+  queries: [
+    { query: 'dog named Rex', expected: ['dog'] },
+    { query: 'peanuts allergy nurse', expected: ['allergy', 'job'] },
+    { query: 'quantum chromodynamics', expected: [] }
+  ]
+};
+
+function writeDataset(name, dataset) {
+  const filePath = path.join(TEST_DIR, name);
+  fs.writeFileSync(filePath, JSON.stringify(dataset));
+  return filePath;
+}
+
+test('scoreQuery computes recall at each cutoff and the reciprocal rank', () => {
+  assert.deepEqual(scoreQuery(['a', 'b'], ['c', 'a', 'd', 'b'], [1, 3, 5]), {
+    recall: { 1: 0, 3: 0.5, 5: 1 },
+    reciprocalRank: 0.5,
+    passed: true
+  });
+  assert.deepEqual(scoreQuery(['a'], ['c'], [1, 3]), { recall: { 1: 0, 3: 0 }, reciprocalRank: 0, passed: false });
+  assert.deepEqual(scoreQuery([], [], [1]), { recall: null, reciprocalRank: null, passed: true });
+  assert.equal(scoreQuery([], ['a'], [1]).passed, false);
+});
+
+test('loadDataset accepts the bundled dataset and rejects broken labels', () => {
+  const bundled = loadDataset();
+  assert.ok(bundled.memories.length > 0 && bundled.queries.length > 0);
+
+  assert.throws(() => loadDataset(writeDataset('unknown.json', {
+    memories: [{ id: 'a', narrative: 'A' }],
+    queries: [{ query: 'q', expected: ['b'] }]
+  })), /queries\[0\] expects unknown memories: b/);
+  assert.throws(() => loadDataset(writeDataset('repeated.json', {
+    memories: [{ id: 'a', narrative: 'A' }, { id: 'a', narrative: 'B' }],
+    queries: []
+  })), /repeats the id "a"/);
+  assert.throws(() => loadDataset(writeDataset('shape.json', { memories: [] })), /"memories" and "queries" arrays/);
+});
+
+test('buildVariants combines planning and rerankers', () => {
+  assert.deepEqual(buildVariants({ reformulate: [true, false], rerankers: ['lexical'] }).map(variant => variant.name), [
+    'reformulate=on reranker=lexical',
+    'reformulate=off reranker=lexical'
+  ]);
+});
+
+test('runEvaluation reports recall, MRR, negatives and failures per variant', async () => {
+  const { openai } = useFakes();
+  // The planner drops the second query's nurse half, so that variant misses "job"
+  openai.reply('reformulate', '{"needs_memory": true, "queries": ["dog named Rex"]}');
+  openai.reply('reformulate', '{"needs_memory": true, "queries": ["peanuts allergy"]}');
+  openai.reply('reformulate', '{"needs_memory": false, "queries": []}');
+
+  const report = await runEvaluation(DATASET, {
+    ks: [3, 1],
+    variants: buildVariants({ reformulate: [true, false], rerankers: ['lexical'] })
+  });
+
+  assert.deepEqual(report.ks, [1, 3]);
+  const [planned, raw] = report.variants;
+  assert.equal(openai.requestsFor('reformulate').length, 3);
+
+  assert.deepEqual(raw.recall, { 1: 0.75, 3: 1 });
+  assert.equal(raw.mrr, 1);
+  assert.deepEqual(raw.negatives, { passed: 1, total: 1 });
+  assert.deepEqual(raw.failures, []);
+
+  assert.deepEqual(planned.recall, { 1: 0.75, 3: 0.75 });
+  assert.deepEqual(planned.negatives, { passed: 1, total: 1 });
+  assert.equal(planned.cases[2].skipped, 'not about the user or past conversations');
+  assert.deepEqual(planned.failures.map(item => item.query), ['peanuts allergy nurse']);
+  assert.deepEqual(planned.failures[0].subQueries, ['peanuts allergy']);
+
+  const text = formatReport(report);
+  assert.match(text, /Variant\s+R@1\s+R@3\s+MRR\s+Negatives\s+Failed/);
+  assert.match(text, /reformulate=off reranker=lexical\s+0\.750\s+1\.000\s+1\.000\s+1\/1\s+0/);
+  assert.match(text, /Failed cases \(reformulate=on reranker=lexical\):\n {2}"peanuts allergy nurse"\n {4}expected: {2}allergy, job\n {4}retrieved: allergy/);
+  assert.doesNotThrow(() => JSON.parse(JSON.stringify(report)));
+});
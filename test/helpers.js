@@ -0,0 +1,343 @@
+/**
+ * Shared setup for the offline test suite: throwaway settings and
+ * in-process fakes of the OpenAI and Chroma clients.
+ * Require this before any module under test, so the settings apply.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-memory-test-'));
+
+// Offline, fast-failing and isolated from a developer's .env and config file
+Object.assign(process.env, {
+  MEMORY_CONFIG: '',
+  PROMPTS_DIR: '',
+  LLM_PROVIDER: 'openai',
+  OPENAI_API_KEY: 'test-key',
+  VECTOR_STORE: 'chroma',
+  CHROMA_PATH: 'http://127.0.0.1:9',
+  EMBEDDING_CACHE_PATH: '',
+  SESSION_STATE_PATH: path.join(TEST_DIR, 'session_state.json'),
+  TRANSCRIPT_DIR: path.join(TEST_DIR, 'transcripts'),
+  AUTO_PROCESS: 'false',
+  AUTO_PROCESS_LOG: path.join(TEST_DIR, 'auto-process.log'),
+  RERANKER: 'lexical',
+  CHUNK_VALIDATION: 'warn',
+  LLM_TIMEOUT_MS: '2000',
+  RETRY_BASE_MS: '1',
+  EMBEDDING_RETRY_BASE_MS: '1',
+  BREAKER_FAILURE_THRESHOLD: '2',
+  BREAKER_COOLDOWN_MS: '60000'
+});
+
+delete process.env.MEMORY_USER;
+
+process.on('exit', () => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { createOpenAIProvider, setProvider, generateHashEmbedding } = require('../llmProvider');
+const { createChromaStore } = require('../chromaStore');
+const { setBackend } = require('../vectorDB');
+const { resetEmbeddingCache } = require('../embeddings');
+const { cosineDistance, matchesWhere } = require('../localStore');
+
+const EMBEDDING_DIMENSIONS = 1536;
+
+// System prompt fragments that tell the fake which task a request is for
+const TASK_MARKERS = [
+  ['reformulate', 'look up its memories'],
+  ['rerank', 'judge which stored memories'],
+  ['extract', 'Extract and consolidate'],
+  ['merge', 'Merge two memory chunks'],
+  ['contradiction', 'no longer true'],
+  ['summarize', 'Summarize all the context'],
+  ['compact', 'Condense these conversation summaries']
+];
+
+// Replies used when a test has not queued one
+const DEFAULT_REPLIES = {
+  reformulate(params) {
+    const match = params.messages[1].content.match(/User input: "([\s\S]*?)"\n/);
+    return JSON.stringify({ needs_memory: true, queries: [match[1]] });
+  },
+  rerank(params) {
+    const count = (params.messages[1].content.match(/^Memory \d+: /gm) || []).length;
+    return JSON.stringify({ scores: new Array(count).fill(5) });
+  },
+  extract: () => '{"memories": []}',
+  merge(params) {
+    return params.messages[1].content.split('New information: ')[1];
+  },
+  contradiction: () => '{"contradicted": []}',
+  summarize(params) {
+    return `Summary: ${params.messages[1].content.replace(/\s+/g, ' ').slice(0, 120)}`;
+  },
+  compact(params) {
+    return params.messages[1].content.slice(0, 200);
+  },
+  chat: () => 'Fake reply'
+};
+
+/**
+ * Which task a chat request is for
+ * @param {Object} params - Chat completion params
+ * @returns {string} - Task name
+ */
+function detectTask(params) {
+  const system = params.messages[0].role === 'system' ? params.messages[0].content : '';
+  const marker = TASK_MARKERS.find(([, fragment]) => system.includes(fragment));
+  return marker ? marker[0] : 'chat';
+}
+
+/**
+ * Create a fake OpenAI client. Every request is recorded; replies queued
+ * per task with reply(task, value) are used first (an Error is thrown, a
+ * function is called with the request), then the defaults above.
+ * Embeddings are hash embeddings unless set with setEmbedding(text, vector).
+ * @returns {Object} - Client for createOpenAIProvider({ client })
+ */
+function createFakeOpenAI() {
+  const queued = {};
+  const vectors = new Map();
+
+  const client = {
+    requests: [],
+    embeddingRequests: [],
+
+    setEmbedding(text, vector) {
+      vectors.set(text, vector);
+    },
+
+    reply(task, value) {
+      (queued[task] = queued[task] || []).push(value);
+    },
+
+    requestsFor(task) {
+      return client.requests.filter(request => request.task === task).map(request => request.params);
+    },
+
+    chat: {
+      completions: {
+        async create(params) {
+          const task = detectTask(params);
+          client.requests.push({ task, params });
+          const queuedReply = queued[task] && queued[task].length > 0 ? queued[task].shift() : DEFAULT_REPLIES[task];
+          if (queuedReply instanceof Error) {
+            throw queuedReply;
+          }
+          const value = typeof queuedReply === 'function' ? queuedReply(params) : queuedReply;
+          return { choices: [{ message: { content: value } }] };
+        }
+      }
+    },
+
+    embeddings: {
+      async create(params) {
+        client.embeddingRequests.push(params.input);
+        // Out of order, as the API allows
+        const data = params.input.map((text, index) => ({ index, embedding: vectors.get(text) || generateHashEmbedding(text) }));
+        return { data: data.reverse() };
+      }
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Create an in-memory fake of a Chroma collection. Like Chroma it rejects
+ * non-scalar metadata, more than one key at the top of a where clause and
+ * more results than stored records.
+ * @param {string} name - Collection name
+ * @param {Object} metadata - Collection metadata
+ * @param {Object} client - Owning fake client (its `failure` is thrown by every call)
+ * @returns {Object} - Collection
+ */
+function createFakeCollection(name, metadata, client) {
+  const records = new Map();
+
+  function check() {
+    if (client.failure) {
+      throw client.failure;
+    }
+  }
+
+  // An update may send null to remove a key
+  function checkMetadata(values, allowNull = false) {
+    Object.entries(values || {}).forEach(([key, value]) => {
+      if ((value === null && !allowNull) || (value !== null && typeof value === 'object')) {
+        throw new Error(`Expected metadata value for "${key}" to be a string, number or boolean`);
+      }
+    });
+  }
+
+  function checkWhere(where) {
+    if (where && Object.keys(where).length !== 1) {
+      throw new Error(`Expected where to have exactly one operator, got ${JSON.stringify(where)}`);
+    }
+  }
+
+  function select({ ids, where } = {}) {
+    checkWhere(where);
+    return [...records.values()]
+      .filter(record => !ids || ids.includes(record.id))
+      .filter(record => matchesWhere(record.metadata, where));
+  }
+
+  function shape(list, include = ['documents', 'metadatas']) {
+    return {
+      ids: list.map(record => record.id),
+      documents: include.includes('documents') ? list.map(record => record.document) : null,
+      metadatas: include.includes('metadatas') ? list.map(record => record.metadata) : null,
+      embeddings: include.includes('embeddings') ? list.map(record => record.embedding) : null
+    };
+  }
+
+  return {
+    name,
+    metadata,
+
+    async add({ ids, embeddings, documents, metadatas }) {
+      check();
+      ids.forEach((id, idx) => {
+        checkMetadata(metadatas && metadatas[idx]);
+        records.set(id, { id, embedding: embeddings[idx], document: documents[idx], metadata: { ...metadatas[idx] } });
+      });
+    },
+
+    async update({ ids, embeddings, documents, metadatas }) {
+      check();
+      ids.forEach((id, idx) => {
+        const record = records.get(id);
+        if (!record) {
+          return;
+        }
+        if (embeddings) {
+          record.embedding = embeddings[idx];
+        }
+        if (documents) {
+          record.document = documents[idx];
+        }
+        if (metadatas) {
+          checkMetadata(metadatas[idx], true);
+          const metadata = { ...record.metadata, ...metadatas[idx] };
+          record.metadata = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null));
+        }
+      });
+    },
+
+    async get({ ids, where, limit, include } = {}) {
+      check();
+      const list = select({ ids, where });
+      return shape(limit !== undefined ? list.slice(0, limit) : list, include);
+    },
+
+    async query({ queryEmbeddings, nResults = 10, where }) {
+      check();
+      if (nResults > records.size) {
+        throw new Error(`Number of requested results ${nResults} is greater than number of elements in index ${records.size}`);
+      }
+      const ranked = select({ where })
+        .map(record => ({ record, distance: cosineDistance(queryEmbeddings[0], record.embedding) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, nResults);
+      return {
+        ids: [ranked.map(item => item.record.id)],
+        documents: [ranked.map(item => item.record.document)],
+        metadatas: [ranked.map(item => item.record.metadata)],
+        distances: [ranked.map(item => item.distance)]
+      };
+    },
+
+    async count() {
+      check();
+      return records.size;
+    },
+
+    async delete({ ids, where } = {}) {
+      check();
+      select({ ids, where }).forEach(record => records.delete(record.id));
+    }
+  };
+}
+
+/**
+ * Create a fake ChromaClient. Set `failure` to an error to simulate an outage.
+ * @returns {Object} - Client for createChromaStore({ client })
+ */
+function createFakeChroma() {
+  const client = {
+    collections: new Map(),
+    failure: null,
+
+    async getOrCreateCollection({ name, metadata }) {
+      if (client.failure) {
+        throw client.failure;
+      }
+      if (!client.collections.has(name)) {
+        client.collections.set(name, createFakeCollection(name, metadata, client));
+      }
+      return client.collections.get(name);
+    }
+  };
+  return client;
+}
+
+/**
+ * Point the modules under test at fresh fakes
+ * @returns {Object} - { openai, chroma }: the fake clients
+ */
+function useFakes() {
+  const openai = createFakeOpenAI();
+  const chroma = createFakeChroma();
+  setProvider(createOpenAIProvider({ client: openai }));
+  setBackend(createChromaStore({ client: chroma }));
+  resetEmbeddingCache();
+  return { openai, chroma };
+}
+
+/**
+ * Unit vector at a given cosine similarity to the first axis
+ * (axisVector(1) is the first axis itself)
+ * @param {number} similarity - Cosine similarity to axisVector(1)
+ * @returns {number[]}
+ */
+function axisVector(similarity) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  vector[0] = similarity;
+  vector[1] = Math.sqrt(1 - similarity * similarity);
+  return vector;
+}
+
+/**
+ * A connection error as the Chroma client reports it
+ * @returns {Error}
+ */
+function connectionError() {
+  const error = new Error('Failed to connect to chromadb');
+  error.name = 'ChromaConnectionError';
+  return error;
+}
+
+/**
+ * An API error as the OpenAI client reports it
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function apiError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  TEST_DIR,
+  useFakes,
+  axisVector,
+  connectionError,
+  apiError,
+};
@@ -0,0 +1,218 @@
+const { useFakes } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setConfig, resetConfig } = require('../config');
+const {
+  processConversations,
+  summarizeConversation,
+  compactSummaries,
+  mergeNarratives,
+  detectContradictions
+} = require('../memoryProcessor');
+
+function memory(narrative, extra = {}) {
+  return { narrative, category: 'profile', entities: [], confidence: 0.9, time_expression: null, ...extra };
+}
+
+test('processConversations turns a valid reply into chunks with metadata', async () => {
+  const { openai } = useFakes();
+  openai.reply('extract', JSON.stringify({
+    memories: [
+      memory('User is a nurse who lives in Lisbon with their sister Ana.', {
+        entities: [{ name: 'Lisbon', type: 'place' }, { name: 'Ana', type: 'person' }],
+        confidence: 0.8
+      }),
+      memory('User prefers tea over coffee.', { category: 'preference' })
+    ]
+  }));
+
+  const chunks = await processConversations(['User said they are a nurse in Lisbon and live with Ana. They like tea.']);
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].narrative, 'User is a nurse who lives in Lisbon with their sister Ana.');
+  assert.equal(chunks[0].metadata.category, 'profile');
+  assert.equal(chunks[0].metadata.source, 'conversation_summary');
+  assert.equal(chunks[0].metadata.entities, 'Lisbon, Ana');
+  assert.equal(chunks[0].metadata.entity_lisbon, true);
+  assert.equal(chunks[0].metadata.places, 'Lisbon');
+  assert.equal(chunks[0].metadata.people, 'Ana');
+  assert.equal(chunks[0].metadata.confidence, 0.8);
+  assert.equal(chunks[0].metadata.chunk_length, chunks[0].narrative.length);
+  assert.equal(chunks[1].metadata.category, 'preference');
+  // Which prompt and model made the memory
+  assert.equal(chunks[0].metadata.prompt_version, 'extract@2');
+  assert.match(chunks[0].metadata.prompt_hash, /^[0-9a-f]{8}$/);
+  assert.equal(chunks[0].metadata.model, 'gpt-4o');
+  assert.equal(chunks[0].metadata.provider, 'openai');
+  // Metadata values must be scalars for Chroma
+  chunks.forEach(chunk => Object.values(chunk.metadata).forEach(value => {
+    assert.ok(value === null || typeof value !== 'object');
+  }));
+
+  const [request] = openai.requestsFor('extract');
+  assert.match(request.messages[1].content, /Summary 1:\nUser said they are a nurse/);
+  assert.deepEqual(request.response_format, { type: 'json_object' });
+});
+
+test('processConversations repairs fenced replies and common slips', async () => {
+  const { openai } = useFakes();
+  openai.reply('extract', '```json\n{"memories": [{"narrative": "User has two cats.", "category": "Profiles", "entities": "Milo, Luna", "confidence": "85",},]}\n```');
+
+  const chunks = await processConversations(['User has two cats, Milo and Luna.']);
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].metadata.category, 'profile');
+  assert.equal(chunks[0].metadata.entities, 'Milo, Luna');
+  assert.equal(chunks[0].metadata.confidence, 0.85);
+  assert.equal(openai.requestsFor('extract').length, 1);
+});
+
+test('processConversations retries an invalid reply with the validation errors', async () => {
+  const { openai } = useFakes();
+  openai.reply('extract', 'Here are the memories: none');
+  openai.reply('extract', JSON.stringify({ memories: [memory('User is learning Japanese.', { category: 'skill' })] }));
+
+  const chunks = await processConversations(['User is learning Japanese.']);
+
+  assert.deepEqual(chunks.map(chunk => chunk.narrative), ['User is learning Japanese.']);
+  const requests = openai.requestsFor('extract');
+  assert.equal(requests.length, 2);
+  const feedback = requests[1].messages;
+  assert.equal(feedback[feedback.length - 2].role, 'assistant');
+  assert.equal(feedback[feedback.length - 2].content, 'Here are the memories: none');
+  assert.match(feedback[feedback.length - 1].content, /did not match the required JSON shape: reply is not JSON/);
+});
+
+test('processConversations keeps the valid memories after the last attempt', async () => {
+  const { openai } = useFakes();
+  const reply = JSON.stringify({
+    memories: [
+      memory('User runs marathons.'),
+      memory('User owns a boat.', { category: 'hobby' })
+    ]
+  });
+  openai.reply('extract', reply);
+  openai.reply('extract', reply);
+  openai.reply('extract', reply);
+
+  const chunks = await processConversations(['User runs marathons and owns a boat.']);
+
+  assert.equal(openai.requestsFor('extract').length, 3);
+  assert.deepEqual(chunks.map(chunk => chunk.narrative), ['User runs marathons.']);
+});
+
+test('processConversations resolves relative dates against the reference date', async () => {
+  const { openai } = useFakes();
+  openai.reply('extract', JSON.stringify({
+    memories: [memory('User plans to visit Kyoto next month.', { category: 'plan', time_expression: 'next month' })]
+  }));
+
+  const chunks = await processConversations(['User plans to visit Kyoto next month.'], {
+    referenceDate: new Date(2026, 2, 10)
+  });
+
+  assert.equal(chunks[0].metadata.event_date, '2026-04-01');
+  assert.equal(chunks[0].metadata.time_expression, 'next month');
+  assert.equal(chunks[0].metadata.event_date_ms, new Date(2026, 3, 1).getTime());
+  assert.ok(chunks[0].metadata.event_end_ms > chunks[0].metadata.event_date_ms);
+  assert.match(chunks[0].narrative, /^User plans to visit Kyoto next month \(.+\)\.$/);
+  assert.match(openai.requestsFor('extract')[0].messages[1].content, /took place on 2026-03-10 \(Tuesday\)/);
+});
+
+test('processConversations returns nothing for no summaries without calling the model', async () => {
+  const { openai } = useFakes();
+
+  assert.deepEqual(await processConversations([]), []);
+  assert.equal(openai.requests.length, 0);
+});
+
+test('processConversations rethrows model errors', async () => {
+  const { openai } = useFakes();
+  const error = new Error('Incorrect API key provided');
+  error.status = 401;
+  openai.reply('extract', error);
+
+  await assert.rejects(processConversations(['User likes jazz.']), /Incorrect API key/);
+});
+
+test('summarizeConversation sends the conversation and returns the summary', async () => {
+  const { openai } = useFakes();
+  openai.reply('summarize', 'User talked about their trip to Peru.');
+
+  const summary = await summarizeConversation([
+    { role: 'user', content: 'I just got back from Peru' },
+    { role: 'assistant', content: 'How was it?' }
+  ]);
+
+  assert.equal(summary, 'User talked about their trip to Peru.');
+  const [request] = openai.requestsFor('summarize');
+  assert.equal(request.messages[1].content, 'I just got back from Peru\nHow was it?\n\nsummary:');
+});
+
+test('summarizeConversation rethrows model errors', async () => {
+  const { openai } = useFakes();
+  const error = new Error('Bad request');
+  error.status = 400;
+  openai.reply('summarize', error);
+
+  await assert.rejects(summarizeConversation([{ role: 'user', content: 'hi' }]), /Bad request/);
+});
+
+test('compactSummaries returns the trimmed digest', async () => {
+  const { openai } = useFakes();
+  openai.reply('compact', '  User lives in Lisbon.  ');
+
+  assert.equal(await compactSummaries(['User moved.', 'User lives in Lisbon.'], 300), 'User lives in Lisbon.');
+  assert.match(openai.requestsFor('compact')[0].messages[0].content, /at most 300 characters/);
+});
+
+test('mergeNarratives keeps the stored memory when the model fails', async () => {
+  const { openai } = useFakes();
+  openai.reply('merge', 'User lives in Lisbon and works as a nurse.');
+  const error = new Error('Bad request');
+  error.status = 400;
+  openai.reply('merge', error);
+  openai.reply('merge', '   ');
+
+  assert.equal(await mergeNarratives('User lives in Lisbon.', 'User is a nurse.'), 'User lives in Lisbon and works as a nurse.');
+  assert.equal(await mergeNarratives('User lives in Lisbon.', 'User is a nurse.'), 'User lives in Lisbon.');
+  assert.equal(await mergeNarratives('User lives in Lisbon.', 'User is a nurse.'), 'User lives in Lisbon.');
+  assert.equal(openai.requestsFor('merge')[0].temperature, 0.2);
+  assert.equal(openai.requestsFor('merge')[0].max_tokens, 500);
+});
+
+test('merge and contradiction sampling come from the configuration', async () => {
+  const { openai } = useFakes();
+  openai.reply('merge', 'User lives in Lisbon and works as a nurse.');
+  openai.reply('contradiction', '{"contradicted": []}');
+  setConfig('merge.temperature', '0.5');
+  setConfig('merge.maxTokens', '800');
+  setConfig('contradiction.temperature', '0.1');
+  setConfig('contradiction.maxTokens', '120');
+  try {
+    await mergeNarratives('User lives in Lisbon.', 'User is a nurse.');
+    await detectContradictions('User lives in Osaka.', [{ id: 'a', narrative: 'User lives in Tokyo.' }]);
+  } finally {
+    ['merge.temperature', 'merge.maxTokens', 'contradiction.temperature', 'contradiction.maxTokens'].forEach(key => resetConfig(key));
+  }
+
+  const [merge] = openai.requestsFor('merge');
+  const [contradiction] = openai.requestsFor('contradiction');
+  assert.deepEqual([merge.temperature, merge.max_tokens], [0.5, 800]);
+  assert.deepEqual([contradiction.temperature, contradiction.max_tokens], [0.1, 120]);
+});
+
+test('detectContradictions returns only known ids and nothing on errors', async () => {
+  const { openai } = useFakes();
+  const candidates = [
+    { id: 'a', narrative: 'User lives in Tokyo.' },
+    { id: 'b', narrative: 'User likes sushi.' }
+  ];
+  openai.reply('contradiction', '{"contradicted": ["a", "made-up"]}');
+  openai.reply('contradiction', 'not json');
+
+  assert.deepEqual(await detectContradictions('User lives in Osaka.', candidates), ['a']);
+  assert.deepEqual(await detectContradictions('User lives in Osaka.', candidates), []);
+  assert.deepEqual(await detectContradictions('User lives in Osaka.', []), []);
+  assert.equal(openai.requestsFor('contradiction').length, 2);
+});
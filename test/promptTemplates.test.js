@@ -0,0 +1,80 @@
+const { TEST_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getPrompt, renderPrompt, loadPrompts, reloadPrompts, parseTemplate } = require('../promptTemplates');
+
+const TEMPLATE = `version: 2
+description: Greeting
+variables: name, place
+
+--- system
+You greet people.
+
+--- user
+Say hello to {{name}} from {{ place }}.
+
+--- note
+Only used for {{name}}.
+`;
+
+// Run with a prompts directory, restoring the bundled one afterwards
+function withPromptsDir(dir, fn) {
+  process.env.PROMPTS_DIR = dir;
+  reloadPrompts();
+  try {
+    return fn();
+  } finally {
+    process.env.PROMPTS_DIR = '';
+    reloadPrompts();
+  }
+}
+
+test('parseTemplate reads the header and sections', () => {
+  const template = parseTemplate('greet', TEMPLATE, 'greet.txt');
+
+  assert.equal(template.id, 'greet@2');
+  assert.equal(template.description, 'Greeting');
+  assert.deepEqual(template.variables, ['name', 'place']);
+  assert.deepEqual(template.sections.map(section => section.name), ['system', 'user', 'note']);
+  assert.equal(template.sections[1].text, 'Say hello to {{name}} from {{ place }}.');
+  assert.match(template.hash, /^[0-9a-f]{8}$/);
+  assert.notEqual(parseTemplate('greet', TEMPLATE.replace('greet people', 'welcome people'), 'greet.txt').hash, template.hash);
+});
+
+test('parseTemplate rejects undeclared, unused and missing parts', () => {
+  assert.throws(() => parseTemplate('greet', TEMPLATE.replace('variables: name, place', 'variables: name'), 'greet.txt'),
+    /greet\.txt: \{\{place\}\} not declared in "variables:"/);
+  assert.throws(() => parseTemplate('greet', TEMPLATE.replace('name, place', 'name, place, age'), 'greet.txt'),
+    /declared variable\(s\) age never used/);
+  assert.throws(() => parseTemplate('greet', TEMPLATE.replace('version: 2\n', ''), 'greet.txt'), /missing "version:" header/);
+  assert.throws(() => parseTemplate('greet', 'version: 1\n', 'greet.txt'), /no "--- <section>" found/);
+  assert.throws(() => parseTemplate('greet', `Hello\n${TEMPLATE}`, 'greet.txt'), /unexpected header line "Hello"/);
+});
+
+test('renderPrompt fills variables into messages and extra sections', () => {
+  fs.mkdirSync(path.join(TEST_DIR, 'prompts'), { recursive: true });
+  fs.writeFileSync(path.join(TEST_DIR, 'prompts', 'greet.txt'), TEMPLATE);
+
+  withPromptsDir(path.join(TEST_DIR, 'prompts'), () => {
+    const prompt = renderPrompt('greet', { name: 'Ana {{place}}', place: 'Lisbon' });
+
+    assert.equal(prompt.id, 'greet@2');
+    assert.deepEqual(prompt.messages, [
+      { role: 'system', content: 'You greet people.' },
+      // Values are inserted as they are, not filled in again
+      { role: 'user', content: 'Say hello to Ana {{place}} from Lisbon.' }
+    ]);
+    assert.equal(prompt.sections.note, 'Only used for Ana {{place}}.');
+    assert.throws(() => renderPrompt('greet', { name: 'Ana' }), /Prompt greet@2 needs a value for place/);
+    assert.throws(() => getPrompt('missing'), /Cannot read prompt template "missing"/);
+    assert.deepEqual(loadPrompts().map(template => template.id), ['greet@2']);
+  });
+});
+
+test('the bundled templates are valid', () => {
+  const names = loadPrompts().map(template => template.name);
+
+  assert.deepEqual(names, ['chat', 'compact', 'contradiction', 'extract', 'merge', 'reformulate', 'rerank', 'summarize']);
+});
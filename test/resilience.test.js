@@ -0,0 +1,29 @@
+const { connectionError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker } = require('../resilience');
+
+test('a recovering circuit lets a single trial call through', async () => {
+  const breaker = createCircuitBreaker({ name: 'Store', threshold: 1, cooldownMs: 0 });
+  await assert.rejects(breaker.call(async () => { throw connectionError(); }), /Failed to connect/);
+  assert.equal(breaker.getState().state, 'open');
+
+  let release;
+  let calls = 0;
+  const probe = () => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  };
+  const trial = breaker.call(probe);
+  assert.equal(breaker.getState().state, 'half-open');
+
+  // Callers arriving while the trial runs are turned away
+  const rejected = await Promise.allSettled([breaker.call(probe), breaker.call(probe)]);
+  assert.deepEqual(rejected.map(result => result.reason && result.reason.code), ['CIRCUIT_OPEN', 'CIRCUIT_OPEN']);
+  assert.equal(calls, 1);
+
+  release('ok');
+  assert.equal(await trial, 'ok');
+  assert.equal(breaker.getState().state, 'closed');
+  assert.equal(await breaker.call(async () => 'again'), 'again');
+});
@@ -0,0 +1,163 @@
+const { useFakes, apiError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSmallTalk, planRetrieval, fuseRankings, retrieveMemories } = require('../retrieval');
+const { createLexicalReranker, createLLMReranker, rerankMemories } = require('../reranker');
+const { storeMemories, getMemoriesByIds } = require('../vectorDB');
+const { parseTimeScope } = require('../temporal');
+
+const SETTINGS = { maxSubQueries: 3, rrfK: 60, candidates: 20 };
+
+function chunk(narrative) {
+  return { narrative, metadata: { source: 'conversation_summary', category: 'profile', access_count: 0 } };
+}
+
+test('isSmallTalk recognises greetings and acknowledgements only', () => {
+  assert.equal(isSmallTalk('Hi there!'), true);
+  assert.equal(isSmallTalk('ok thanks so much'), true);
+  assert.equal(isSmallTalk('thanks, what was my cat called?'), false);
+  assert.equal(isSmallTalk('...'), false);
+});
+
+test('planRetrieval skips small talk without calling the model', async () => {
+  const { openai } = useFakes();
+
+  const plan = await planRetrieval('Thanks a lot!', [], SETTINGS);
+
+  assert.deepEqual(plan, { needsMemory: false, queries: [], reason: 'small talk' });
+  assert.equal(openai.requests.length, 0);
+});
+
+test('planRetrieval dedupes the sub-queries and caps their number', async () => {
+  const { openai } = useFakes();
+  openai.reply('reformulate', JSON.stringify({
+    needs_memory: true,
+    queries: ['user trip to Japan', 'User trip to Japan ', '', 42, 'travel dates', 'budget', 'hotel']
+  }));
+
+  const plan = await planRetrieval('how long is my trip again?', [
+    { role: 'user', content: 'I am going to Japan' },
+    { role: 'assistant', content: 'Nice!' }
+  ], SETTINGS);
+
+  assert.deepEqual(plan, { needsMemory: true, queries: ['user trip to Japan', 'travel dates', 'budget'], reason: null });
+  const [request] = openai.requestsFor('reformulate');
+  assert.match(request.messages[1].content, /user: I am going to Japan\nassistant: Nice!/);
+});
+
+test('planRetrieval skips the lookup when the model says memory is not needed', async () => {
+  const { openai } = useFakes();
+  openai.reply('reformulate', '{"needs_memory": false, "queries": []}');
+
+  const plan = await planRetrieval('What is the capital of France?', [], SETTINGS);
+
+  assert.equal(plan.needsMemory, false);
+  assert.deepEqual(plan.queries, []);
+  assert.equal(plan.reason, 'not about the user or past conversations');
+});
+
+test('planRetrieval falls back to the original input', async () => {
+  const { openai } = useFakes();
+  openai.reply('reformulate', 'I think you should search for the trip');
+  openai.reply('reformulate', '{"needs_memory": true, "queries": []}');
+  openai.reply('reformulate', apiError(400, 'Bad request'));
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await planRetrieval('when is my trip?', [], SETTINGS), {
+      needsMemory: true,
+      queries: ['when is my trip?'],
+      reason: null
+    });
+  }
+});
+
+test('fuseRankings sums reciprocal ranks across sub-queries', () => {
+  const a = { id: 'a', narrative: 'A', score: 0.5 };
+  const b = { id: 'b', narrative: 'B', score: 0.9 };
+  const c = { id: 'c', narrative: 'C', score: 0.4 };
+
+  const fused = fuseRankings([[a, b], [c, { ...a, score: 0.7 }]], 60);
+
+  assert.deepEqual(fused.map(memory => memory.id), ['a', 'c', 'b']);
+  assert.equal(fused[0].fusedScore, 1 / 61 + 1 / 62);
+  assert.deepEqual(fused[0].matchedQueries, [0, 1]);
+  // Scores come from the sub-query that matched best
+  assert.equal(fused[0].score, 0.7);
+  assert.equal(fused[1].fusedScore, 1 / 61);
+
+  // Same fused score: the better search score wins
+  assert.deepEqual(fuseRankings([[c], [b]], 60).map(memory => memory.id), ['b', 'c']);
+});
+
+test('rerankMemories orders by reranker score and keeps retrieval order on ties', async () => {
+  const memories = [
+    { id: 'a', narrative: 'User likes hiking in the Alps.' },
+    { id: 'b', narrative: 'User has a dog named Rex.' },
+    { id: 'c', narrative: 'User works as a teacher.' }
+  ];
+
+  const ranked = await rerankMemories(memories, { input: 'what is my dog called?', context: '' }, createLexicalReranker());
+
+  assert.deepEqual(ranked.map(memory => memory.id), ['b', 'a', 'c']);
+  assert.deepEqual(ranked.map(memory => memory.retrievalRank), [2, 1, 3]);
+  assert.ok(ranked[0].rerankScore > 0);
+  assert.equal(ranked[1].rerankScore, 0);
+});
+
+test('the LLM reranker scales scores and falls back to lexical scores', async () => {
+  const { openai } = useFakes();
+  const memories = [
+    { id: 'a', narrative: 'User likes hiking.' },
+    { id: 'b', narrative: 'User has a dog named Rex.' }
+  ];
+  const reranker = createLLMReranker();
+  openai.reply('rerank', '{"scores": [2, 15]}');
+  openai.reply('rerank', '{"scores": [7]}');
+
+  assert.deepEqual(await reranker.score({ input: 'my dog' }, memories), [0.2, 1]);
+  const fallback = await reranker.score({ input: 'my dog' }, memories);
+  assert.equal(fallback[0], 0);
+  assert.ok(fallback[1] > 0);
+  assert.deepEqual(await reranker.score({ input: 'my dog' }, []), []);
+  assert.equal(openai.requestsFor('rerank').length, 2);
+});
+
+test('retrieveMemories fuses sub-queries and records access only for injected memories', async () => {
+  useFakes();
+  await storeMemories([
+    chunk('User has a dog named Rex who loves the beach.'),
+    chunk('User is planning a trip to Japan in April.'),
+    chunk('User works as a teacher in Porto.'),
+    chunk('User is allergic to peanuts.')
+  ]);
+
+  const result = await retrieveMemories(['dog named Rex', 'trip to Japan'], {
+    limit: 1,
+    input: 'Can I take Rex on my Japan trip?'
+  }, SETTINGS);
+
+  assert.equal(result.reranker, 'lexical');
+  assert.equal(result.memories.length, 1);
+  const candidateIds = result.candidates.map(memory => memory.id);
+  assert.ok(result.candidates.length >= 2);
+  assert.ok(result.candidates.every(memory => typeof memory.fusedScore === 'number' && typeof memory.rerankScore === 'number'));
+
+  const stored = await getMemoriesByIds(candidateIds);
+  const accessed = stored.filter(memory => memory.metadata.access_count > 0).map(memory => memory.id);
+  assert.deepEqual(accessed, [result.memories[0].id]);
+});
+
+test('a time word outside a date-recall question does not hide undated memories', async () => {
+  useFakes();
+  await storeMemories([chunk('User is allergic to peanuts.')]);
+  const input = 'What should I cook today given my peanut allergy?';
+
+  assert.equal(parseTimeScope(input), null);
+  const result = await retrieveMemories(['peanut allergy cooking'], { timeScope: parseTimeScope(input), input }, SETTINGS);
+  assert.deepEqual(result.memories.map(memory => memory.narrative), ['User is allergic to peanuts.']);
+
+  // Questions about the user's own dates are still scoped
+  assert.equal(parseTimeScope('What did I tell you last week?').field, 'stored');
+  assert.equal(parseTimeScope('Do I have anything on next Friday?').field, 'event');
+  assert.equal(parseTimeScope('Can you tell me a recipe for this weekend?'), null);
+});
@@ -0,0 +1,91 @@
+const { useFakes } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranscript, saveTranscripts, saveSummaries, getMemorySources, forgetSources, deleteTranscripts } = require('../transcriptStore');
+const { createSegment, compactSegments } = require('../summaryCompactor');
+
+test('a memory is traced through its summary to the transcripts', () => {
+  const transcript = createTranscript([
+    { role: 'user', content: 'I moved to Porto', extra: 'dropped' },
+    { role: 'assistant', content: 'How exciting!' }
+  ]);
+  const segment = createSegment('User moved to Porto.', [transcript.id]);
+
+  assert.equal(saveTranscripts('Ana Lima', [transcript]), true);
+  assert.equal(saveSummaries('Ana Lima', [segment]), true);
+
+  const sources = getMemorySources('Ana Lima', { summary_ids: segment.id });
+  assert.deepEqual(sources.summaries.map(summary => [summary.id, summary.text, summary.level]), [[segment.id, 'User moved to Porto.', 0]]);
+  assert.deepEqual(sources.transcripts.map(record => record.messages), [[
+    { role: 'user', content: 'I moved to Porto' },
+    { role: 'assistant', content: 'How exciting!' }
+  ]]);
+  assert.deepEqual(sources.missing, []);
+
+  // Other users have their own file, even with an id that slugs alike
+  assert.deepEqual(getMemorySources('bob', { summary_ids: segment.id }).missing, [segment.id]);
+  assert.deepEqual(getMemorySources('ana.lima', { summary_ids: segment.id }).missing, [segment.id]);
+});
+
+test('unknown ids are reported and deleting removes every record', () => {
+  const transcript = createTranscript([{ role: 'user', content: 'hello' }]);
+  saveTranscripts('carol', [transcript]);
+
+  const sources = getMemorySources('carol', { summary_ids: 'sum_gone', transcript_ids: `${transcript.id},tr_gone` });
+  assert.equal(sources.transcripts.length, 1);
+  assert.deepEqual(sources.missing, ['sum_gone', 'tr_gone']);
+
+  assert.equal(deleteTranscripts('carol'), 1);
+  assert.deepEqual(getMemorySources('carol', { transcript_ids: transcript.id }).transcripts, []);
+  assert.deepEqual(getMemorySources('carol', {}), { summaries: [], transcripts: [], missing: [] });
+});
+
+test('forgetting deletes unshared sources and redacts shared ones', () => {
+  const porto = createTranscript([{ role: 'user', content: 'I moved to Porto and I have a cat' }]);
+  const allergy = createTranscript([{ role: 'user', content: 'I am allergic to peanuts' }]);
+  const shared = createSegment('User moved to Porto and has a cat.', [porto.id]);
+  const own = createSegment('User is allergic to peanuts.', [allergy.id]);
+  saveTranscripts('erin', [porto, allergy]);
+  saveSummaries('erin', [shared, own]);
+
+  const forgotten = [
+    { summary_ids: `${shared.id},${own.id}` },
+    { transcript_ids: allergy.id }
+  ];
+  const kept = [{ summary_ids: shared.id }];
+  assert.deepEqual(forgetSources('erin', forgotten, kept), { deleted: 2, redacted: 2 });
+
+  const sources = getMemorySources('erin', { summary_ids: `${shared.id},${own.id}`, transcript_ids: allergy.id });
+  assert.deepEqual(sources.summaries.map(summary => summary.text), ['[forgotten]']);
+  assert.deepEqual(sources.transcripts.map(record => record.messages), [[{ role: 'user', content: '[forgotten]' }]]);
+  assert.deepEqual(sources.missing, [own.id, allergy.id]);
+
+  // Nothing left to find once the last memory goes
+  assert.deepEqual(forgetSources('erin', kept), { deleted: 2, redacted: 0 });
+  assert.equal(deleteTranscripts('erin'), 0);
+});
+
+test('nothing is saved with SAVE_TRANSCRIPTS=false', () => {
+  process.env.SAVE_TRANSCRIPTS = 'false';
+  try {
+    const transcript = createTranscript([{ role: 'user', content: 'hello' }]);
+    assert.equal(saveTranscripts('dave', [transcript]), false);
+    assert.deepEqual(getMemorySources('dave', { transcript_ids: transcript.id }).missing, [transcript.id]);
+  } finally {
+    delete process.env.SAVE_TRANSCRIPTS;
+  }
+});
+
+test('a compacted digest covers the transcripts of the segments it replaced', async () => {
+  const { openai } = useFakes();
+  openai.reply('compact', 'User lives in Porto and has a cat.');
+  const older = [createSegment('User moved to Porto. '.repeat(20), ['tr_1']), createSegment('User adopted a cat. '.repeat(20), ['tr_2'])];
+  const recent = createSegment('User asked about trains.', ['tr_3']);
+
+  const [digest, kept] = await compactSegments([...older, recent], { charBudget: 400, keepRecent: 1 });
+
+  assert.equal(digest.level, 1);
+  assert.deepEqual(digest.transcriptIds, ['tr_1', 'tr_2']);
+  assert.notEqual(digest.id, older[0].id);
+  assert.equal(kept, recent);
+});
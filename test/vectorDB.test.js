@@ -0,0 +1,436 @@
+const { useFakes, axisVector, connectionError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTimeExpression, toEventMetadata } = require('../temporal');
+const {
+  DEFAULT_USER_ID,
+  initializeStore,
+  setBackend,
+  getCollectionName,
+  searchMemories,
+  markMemoriesAccessed,
+  getMemoryStatus,
+  storeMemories,
+  getAllMemories,
+  clearAllMemories,
+  countDecisions,
+  getMemoriesByIds,
+  getMemoryHistory,
+  deleteMemories,
+  updateMemoryNarrative,
+  isActiveMemory
+} = require('../vectorDB');
+
+function chunk(narrative, metadata = {}) {
+  return {
+    narrative,
+    metadata: { source: 'conversation_summary', category: 'profile', access_count: 0, ...metadata }
+  };
+}
+
+function pause(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('getCollectionName keeps the default collection and gives every other id its own', () => {
+  assert.equal(getCollectionName(), 'memories');
+  assert.equal(getCollectionName(DEFAULT_USER_ID), 'memories');
+  assert.match(getCollectionName('Alice Smith'), /^memories_alice_smith_[0-9a-f]{8}$/);
+
+  // Ids that slug alike, or look like the default user, stay apart
+  const ids = ['Bob.Smith', 'bob_smith', 'bob smith', 'Default', 'DEFAULT', '!!!', '--'];
+  const names = ids.map(id => getCollectionName(id));
+  assert.equal(new Set([...names, 'memories']).size, ids.length + 1);
+  assert.match(getCollectionName('!!!'), /^memories_user_[0-9a-f]{8}$/);
+  names.push(getCollectionName('x'.repeat(200)));
+  names.forEach(name => assert.match(name, /^[a-z0-9][a-z0-9_]{2,62}$/));
+});
+
+test('initializeStore creates one cosine collection per user and reuses it', async () => {
+  const { chroma } = useFakes();
+
+  const first = await initializeStore();
+  const again = await initializeStore();
+  await initializeStore('alice');
+
+  assert.equal(first, again);
+  assert.deepEqual([...chroma.collections.keys()], ['memories', getCollectionName('alice')]);
+  assert.equal(chroma.collections.get('memories').metadata['hnsw:space'], 'cosine');
+});
+
+test('storeMemories adds new memories with their metadata', async () => {
+  const { openai } = useFakes();
+
+  const decisions = await storeMemories([
+    chunk('User lives in Lisbon.', { entities: 'Lisbon', entity_lisbon: true }),
+    chunk('User is allergic to peanuts.')
+  ]);
+
+  assert.deepEqual(decisions.map(decision => decision.action), ['new', 'new']);
+  assert.deepEqual(countDecisions(decisions), { new: 2, updated: 0, skipped: 0 });
+  // Both chunks embedded in one request
+  assert.deepEqual(openai.embeddingRequests, [['User lives in Lisbon.', 'User is allergic to peanuts.']]);
+
+  const [stored] = await getMemoriesByIds([decisions[0].id]);
+  assert.equal(stored.narrative, 'User lives in Lisbon.');
+  assert.equal(stored.metadata.user_id, DEFAULT_USER_ID);
+  assert.equal(stored.metadata.status, 'active');
+  assert.equal(stored.metadata.revision, 1);
+  assert.equal(stored.metadata.dedup_action, 'new');
+  assert.equal(stored.metadata.entity_lisbon, true);
+  assert.equal(typeof stored.metadata.topics, 'string');
+  assert.deepEqual(await storeMemories([]), []);
+});
+
+test('storeMemories skips a chunk it already has', async () => {
+  useFakes();
+  const [first] = await storeMemories([chunk('User lives in Lisbon.')]);
+
+  const [decision] = await storeMemories([chunk('User lives in Lisbon.')]);
+
+  assert.equal(decision.action, 'skipped');
+  assert.equal(decision.matchId, first.id);
+  const memories = await getAllMemories();
+  assert.equal(memories.length, 1);
+  assert.equal(memories[0].metadata.skip_count, 1);
+  assert.equal(memories[0].metadata.dedup_action, 'skipped');
+});
+
+test('storeMemories merges a close chunk into the stored memory', async () => {
+  const { openai } = useFakes();
+  openai.setEmbedding('User lives in Lisbon.', axisVector(1));
+  openai.setEmbedding('User lives in Lisbon with Sam.', axisVector(0.9));
+  const [first] = await storeMemories([chunk('User lives in Lisbon.', { people: 'Ana' })]);
+  openai.reply('merge', 'User lives in Lisbon with their partner Sam.');
+
+  const [decision] = await storeMemories([chunk('User lives in Lisbon with Sam.', { people: 'Sam', prompt_version: 'extract@2', model: 'gpt-4o' })]);
+
+  assert.equal(decision.action, 'updated');
+  assert.equal(decision.id, first.id);
+  assert.ok(Math.abs(decision.similarity - 0.9) < 1e-6);
+  const [merge] = openai.requestsFor('merge');
+  assert.equal(merge.messages[1].content, 'Existing memory: User lives in Lisbon.\n\nNew information: User lives in Lisbon with Sam.');
+
+  const memories = await getAllMemories();
+  assert.equal(memories.length, 1);
+  assert.equal(memories[0].narrative, 'User lives in Lisbon with their partner Sam.');
+  assert.equal(memories[0].metadata.revision, 2);
+  assert.equal(memories[0].metadata.dedup_action, 'updated');
+  // Ana is not in the merged text any more
+  assert.equal(memories[0].metadata.people, 'Sam');
+  // The text now comes from the newer extraction and the merge prompt
+  assert.equal(memories[0].metadata.prompt_version, 'extract@2');
+  assert.equal(memories[0].metadata.merge_prompt_version, 'merge@1');
+  assert.equal(memories[0].metadata.merge_model, 'gpt-4o');
+  assert.deepEqual((await getAllMemories({ filters: { prompt: 'merge@1' } })).map(memory => memory.id), [first.id]);
+});
+
+test('storeMemories reads the collection for its keyword index once per batch', async () => {
+  const { chroma } = useFakes();
+  await storeMemories([chunk('User lives in Lisbon.')]);
+  const collection = chroma.collections.get('memories');
+  const get = collection.get;
+  // Reads of every document, as opposed to the id-only lookups of superseded memories
+  let fullReads = 0;
+  collection.get = (options = {}) => {
+    fullReads += options.limit !== undefined ? 1 : 0;
+    return get.call(collection, options);
+  };
+
+  const decisions = await storeMemories([
+    chunk('User is allergic to peanuts.'),
+    chunk('User plays the cello.'),
+    chunk('User plays chess with the cello teacher.')
+  ]);
+
+  assert.deepEqual(decisions.map(decision => decision.action), ['new', 'new', 'new']);
+  assert.equal(fullReads, 1);
+  // Topics of later chunks are weighed against the earlier ones
+  const [, cello, chess] = await getMemoriesByIds(decisions.map(decision => decision.id));
+  assert.equal(cello.metadata.topics, 'play, cello');
+  assert.equal(chess.metadata.topics, 'chess, teacher, play, cello');
+});
+
+test('storeMemories supersedes contradicted memories and keeps their history', async () => {
+  const { openai } = useFakes();
+  const [old] = await storeMemories([chunk('User lives in Tokyo.')]);
+  await pause(5);
+  openai.reply('contradiction', params => {
+    assert.match(params.messages[1].content, /^New memory: User lives in Osaka\./);
+    return JSON.stringify({ contradicted: [old.id] });
+  });
+
+  const [decision] = await storeMemories([chunk('User lives in Osaka.')]);
+
+  assert.equal(decision.action, 'new');
+  assert.deepEqual(decision.superseded, [old.id]);
+  const [oldMemory, newMemory] = await getMemoriesByIds([old.id, decision.id]);
+  assert.equal(oldMemory.metadata.status, 'superseded');
+  assert.equal(oldMemory.metadata.superseded_by, decision.id);
+  assert.equal(typeof oldMemory.metadata.valid_to, 'string');
+  assert.equal(newMemory.metadata.supersedes, old.id);
+  assert.equal(isActiveMemory(oldMemory.metadata), false);
+  assert.equal(isActiveMemory(newMemory.metadata), true);
+  assert.equal(isActiveMemory(undefined), true);
+
+  assert.deepEqual((await getMemoryHistory(decision.id)).map(memory => memory.id), [old.id, decision.id]);
+  assert.deepEqual((await getMemoryHistory(old.id)).map(memory => memory.id), [old.id, decision.id]);
+
+  const current = await searchMemories('where does the user live', 5, { maxDistance: Infinity });
+  assert.deepEqual(current.map(memory => memory.id), [decision.id]);
+  const all = await searchMemories('where does the user live', 5, { maxDistance: Infinity, includeSuperseded: true });
+  assert.deepEqual(all.map(memory => memory.id).sort(), [old.id, decision.id].sort());
+});
+
+test('a contradicted memory is superseded even when the chunk is close enough to merge', async () => {
+  const { openai } = useFakes();
+  openai.setEmbedding('User lives in Tokyo.', axisVector(1));
+  openai.setEmbedding('User lives in Osaka.', axisVector(0.9));
+  const [old] = await storeMemories([chunk('User lives in Tokyo.')]);
+  openai.reply('contradiction', JSON.stringify({ contradicted: [old.id] }));
+
+  const [decision] = await storeMemories([chunk('User lives in Osaka.')]);
+
+  assert.ok(decision.similarity >= 0.85);
+  assert.equal(decision.action, 'new');
+  assert.deepEqual(decision.superseded, [old.id]);
+  assert.equal(openai.requestsFor('merge').length, 0);
+  const [oldMemory] = await getMemoriesByIds([old.id]);
+  assert.equal(oldMemory.narrative, 'User lives in Tokyo.');
+  assert.equal(oldMemory.metadata.status, 'superseded');
+  assert.deepEqual((await getMemoryHistory(decision.id)).map(memory => memory.narrative), ['User lives in Tokyo.', 'User lives in Osaka.']);
+});
+
+test('storeMemories rethrows store errors', async () => {
+  const { chroma } = useFakes();
+  chroma.failure = new Error('Collection is read-only');
+
+  await assert.rejects(storeMemories([chunk('User lives in Lisbon.')]), /read-only/);
+});
+
+test('getAllMemories returns nothing on a store error unless asked to rethrow it', async () => {
+  const { chroma } = useFakes();
+  await storeMemories([chunk('User lives in Lisbon.')]);
+  chroma.failure = new Error('Collection is read-only');
+
+  assert.deepEqual(await getAllMemories(), []);
+  await assert.rejects(getAllMemories({ strict: true }), /read-only/);
+});
+
+test('searchMemories ranks relevant memories and drops unrelated ones', async () => {
+  useFakes();
+  await storeMemories([
+    chunk('User has a dog named Rex.'),
+    chunk('User is allergic to peanuts.'),
+    chunk('User works as a nurse in Lisbon.')
+  ]);
+
+  const results = await searchMemories('dog Rex', 3);
+
+  assert.deepEqual(results.map(memory => memory.narrative), ['User has a dog named Rex.']);
+  const [best] = results;
+  assert.ok(best.similarity > 0 && best.similarity <= 1);
+  assert.ok(best.lexicalScore > 0);
+  ['relevance', 'recency', 'importance', 'score'].forEach(field => assert.equal(typeof best[field], 'number'));
+  assert.equal(best.stale, false);
+  assert.deepEqual(await searchMemories('quantum chromodynamics', 3), []);
+  assert.equal(getMemoryStatus().available, true);
+});
+
+test('searchMemories records access unless asked not to', async () => {
+  useFakes();
+  await storeMemories([chunk('User has a dog named Rex.')]);
+
+  const [preview] = await searchMemories('dog Rex', 1, { trackAccess: false });
+  assert.equal((await getAllMemories())[0].metadata.access_count, 0);
+  assert.equal(preview.metadata.access_count, 0);
+
+  const [used] = await searchMemories('dog Rex', 1);
+  assert.equal(used.metadata.access_count, 1);
+  const [stored] = await getAllMemories();
+  assert.equal(stored.metadata.access_count, 1);
+  assert.equal(typeof stored.metadata.last_accessed, 'string');
+});
+
+test('searchMemories applies metadata filters', async () => {
+  useFakes();
+  await storeMemories([
+    chunk('User visited Lisbon for a conference.', { entities: 'Lisbon', entity_lisbon: true }),
+    chunk('User visited Porto for a wedding.', { source: 'manual', prompt_version: 'extract@3', model: 'gpt-4o-mini' })
+  ]);
+
+  const byEntity = await searchMemories('user visited', 5, { filters: { entity: 'Lisbon' }, maxDistance: Infinity });
+  assert.deepEqual(byEntity.map(memory => memory.narrative), ['User visited Lisbon for a conference.']);
+
+  const bySource = await searchMemories('user visited', 5, { filters: { source: 'manual' }, maxDistance: Infinity });
+  assert.deepEqual(bySource.map(memory => memory.narrative), ['User visited Porto for a wedding.']);
+
+  const filtered = await getAllMemories({ filters: { source: 'manual' } });
+  assert.deepEqual(filtered.map(memory => memory.narrative), ['User visited Porto for a wedding.']);
+
+  const byPrompt = await getAllMemories({ filters: { prompt: 'extract@3', model: 'gpt-4o-mini' } });
+  assert.deepEqual(byPrompt.map(memory => memory.narrative), ['User visited Porto for a wedding.']);
+  assert.deepEqual(await getAllMemories({ filters: { prompt: 'extract@2' } }), []);
+});
+
+test('memories are kept apart per user', async () => {
+  useFakes();
+  await storeMemories([chunk('User has a dog named Rex.')], { userId: 'alice' });
+
+  assert.deepEqual(await searchMemories('dog Rex', 3), []);
+  assert.equal((await searchMemories('dog Rex', 3, { userId: 'alice' })).length, 1);
+  assert.equal((await getAllMemories()).length, 0);
+  const [memory] = await getAllMemories({ userId: 'alice' });
+  assert.equal(memory.metadata.user_id, 'alice');
+  assert.deepEqual(await getMemoriesByIds([memory.id]), []);
+});
+
+test('markMemoriesAccessed updates the memories it is given', async () => {
+  useFakes();
+  await storeMemories([chunk('User has a dog named Rex.'), chunk('User is allergic to peanuts.')]);
+  const memories = await getAllMemories();
+
+  await markMemoriesAccessed([memories[1]]);
+  await markMemoriesAccessed([]);
+
+  const counts = (await getMemoriesByIds(memories.map(memory => memory.id))).map(memory => memory.metadata.access_count);
+  assert.deepEqual(counts, [0, 1]);
+});
+
+test('updateMemoryNarrative replaces the text and re-embeds it', async () => {
+  useFakes();
+  const [stored] = await storeMemories([chunk('User has a dog named Rex.')]);
+
+  const updated = await updateMemoryNarrative(stored.id, 'User has a cat named Miso.');
+
+  assert.equal(updated.narrative, 'User has a cat named Miso.');
+  assert.equal(updated.metadata.revision, 2);
+  assert.equal(typeof updated.metadata.edited_at, 'string');
+  const [found] = await searchMemories('cat Miso', 1);
+  assert.equal(found.id, stored.id);
+  assert.equal(await updateMemoryNarrative('chunk_missing', 'Anything.'), null);
+});
+
+test('a rewritten narrative gets its topics, entities and event date worked out again', async () => {
+  useFakes();
+  const narrative = 'User flies to Tokyo with Ana on March 10, 2027.';
+  const [stored] = await storeMemories([chunk(narrative, {
+    category: 'plan',
+    entities: 'Tokyo, Ana',
+    entity_tokyo: true,
+    entity_ana: true,
+    places: 'Tokyo',
+    people: 'Ana',
+    ...toEventMetadata(resolveTimeExpression(narrative))
+  })]);
+  assert.equal(stored.action, 'new');
+  const before = (await getMemoriesByIds([stored.id]))[0].metadata;
+  assert.equal(before.topic_tokyo, true);
+
+  const { metadata } = await updateMemoryNarrative(stored.id, 'User flies to Osaka with Ana in June 2027.');
+
+  assert.equal(metadata.topic_tokyo, undefined);
+  assert.equal(metadata.topic_osaka, true);
+  assert.equal(metadata.entities, 'Ana');
+  assert.equal(metadata.entity_tokyo, undefined);
+  assert.equal(metadata.entity_ana, true);
+  assert.equal(metadata.places, undefined);
+  assert.equal(metadata.people, 'Ana');
+  assert.equal(metadata.event_date, '2027-06-01');
+  assert.equal(metadata.event_precision, 'month');
+  assert.deepEqual((await getAllMemories({ filters: { entity: 'Tokyo' } })), []);
+
+  // No date left: the event fields go
+  const undated = await updateMemoryNarrative(stored.id, 'User wants to visit Osaka.');
+  assert.equal(undated.metadata.event_date, undefined);
+  assert.equal(undated.metadata.time_expression, undefined);
+});
+
+test('deleteMemories removes only existing memories and clearAllMemories empties the store', async () => {
+  useFakes();
+  const decisions = await storeMemories([
+    chunk('User has a dog named Rex.'),
+    chunk('User is allergic to peanuts.'),
+    chunk('User works as a nurse in Lisbon.')
+  ]);
+
+  assert.equal(await deleteMemories([decisions[0].id, 'chunk_missing']), 1);
+  assert.equal(await deleteMemories(['chunk_missing']), 0);
+  assert.deepEqual(await searchMemories('dog Rex', 3), []);
+  assert.equal((await getAllMemories()).length, 2);
+
+  assert.equal(await clearAllMemories(), 2);
+  assert.equal(await clearAllMemories(), 0);
+  assert.deepEqual(await getAllMemories(), []);
+});
+
+test('an unavailable store degrades search and opens the circuit', async () => {
+  const { chroma } = useFakes();
+  await storeMemories([chunk('User has a dog named Rex.')]);
+  chroma.failure = connectionError();
+
+  assert.deepEqual(await searchMemories('dog Rex', 3), []);
+  let status = getMemoryStatus();
+  assert.equal(status.available, false);
+  assert.match(status.reason, /Failed to connect/);
+  assert.equal(typeof status.since, 'number');
+  assert.equal(status.circuit, 'closed');
+
+  // Second failure reaches BREAKER_FAILURE_THRESHOLD (2 in the tests)
+  await searchMemories('dog Rex', 3);
+  assert.equal(getMemoryStatus().circuit, 'open');
+
+  // While open, calls fail without reaching the store
+  chroma.failure = null;
+  assert.deepEqual(await searchMemories('dog Rex', 3), []);
+  status = getMemoryStatus();
+  assert.match(status.reason, /circuit open/);
+  assert.deepEqual(await getAllMemories(), []);
+
+  // setBackend closes the circuit and clears the status
+  setBackend(null);
+  assert.deepEqual(getMemoryStatus(), { available: true, reason: null, since: null, circuit: 'closed' });
+});
+
+test('a store write that timed out is not retried, a read is', async () => {
+  const { chroma } = useFakes();
+  await storeMemories([chunk('User has a dog named Rex.')]);
+  const collection = chroma.collections.get('memories');
+  const calls = { add: 0, get: 0 };
+  // Both land after the timeout; only the first get is slow
+  ['add', 'get'].forEach(method => {
+    const original = collection[method];
+    collection[method] = async (...args) => {
+      calls[method]++;
+      if (method === 'add' || calls.get === 1) {
+        await pause(60);
+      }
+      return original.apply(collection, args);
+    };
+  });
+  process.env.VECTOR_STORE_TIMEOUT_MS = '20';
+  try {
+    await assert.rejects(storeMemories([chunk('User is allergic to peanuts.')]), /add on memories timed out after 20ms/);
+    assert.equal(calls.add, 1);
+    // The write still lands: retrying it would have stored the memory twice
+    await pause(60);
+
+    calls.get = 0;
+    assert.equal((await getAllMemories()).length, 2);
+    assert.equal(calls.get, 2);
+  } finally {
+    delete process.env.VECTOR_STORE_TIMEOUT_MS;
+  }
+});
+
+test('memory becomes available again once a search succeeds', async () => {
+  const { chroma } = useFakes();
+  await storeMemories([chunk('User has a dog named Rex.')]);
+  chroma.failure = connectionError();
+  await searchMemories('dog Rex', 3);
+  assert.equal(getMemoryStatus().available, false);
+
+  chroma.failure = null;
+  assert.equal((await searchMemories('dog Rex', 3)).length, 1);
+  assert.deepEqual(getMemoryStatus(), { available: true, reason: null, since: null, circuit: 'closed' });
+});
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getUserKey } = require('./userIds');
+
+/**
+ * Raw conversation transcripts and the summaries written from them, kept so
+ * a memory can be traced back to what was actually said. One JSON lines file
+ * per user in TRANSCRIPT_DIR, holding two kinds of records:
+ *   { type: 'transcript', id: 'tr_...', messages: [{ role, content }], createdAt }
+ *   { type: 'summary', id: 'sum_...', text, level, transcriptIds, createdAt }
+ * A transcript is the conversation cache as it was when it got summarized;
+ * a summary lists the transcripts it covers (several for a compacted digest).
+ * Memories store the ids in summary_ids and transcript_ids.
+ */
+
+// Text left in a record that a forgotten memory shares with other memories
+const FORGOTTEN_TEXT = '[forgotten]';
+
+/**
+ * Read the transcript settings from the configuration
+ * @returns {Object} - { enabled, dir }
+ */
+function getTranscriptSettings() {
+  return {
+    enabled: getConfig('transcripts.enabled'),
+    dir: getConfig('transcripts.dir')
+  };
+}
+
+/**
+ * File holding a user's transcripts
+ * @param {string} userId - User id
+ * @param {Object} settings - Settings from getTranscriptSettings
+ * @returns {string} - File path
+ */
+function getTranscriptPath(userId, settings = getTranscriptSettings()) {
+  return path.join(settings.dir, `${getUserKey(userId)}.jsonl`);
+}
+
+/**
+ * Generate a record id
+ * @param {string} prefix - tr or sum
+ * @returns {string}
+ */
+function generateRecordId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Append records to a user's file
+ * @param {string} userId - User id
+ * @param {Array<Object>} records - Records to append
+ * @returns {boolean} - Whether they were written
+ */
+function appendRecords(userId, records) {
+  const settings = getTranscriptSettings();
+  if (!settings.enabled || records.length === 0) {
+    return false;
+  }
+
+  try {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    fs.appendFileSync(getTranscriptPath(userId, settings), records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    return true;
+  } catch (error) {
+    console.error('[TranscriptStore] Error saving transcripts:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Create a transcript of a conversation cache. It is only written by
+ * saveTranscripts, so the id can be linked before the save succeeds.
+ * @param {Array} messages - Messages { role, content }
+ * @returns {Object} - Transcript record
+ */
+function createTranscript(messages) {
+  return {
+    type: 'transcript',
+    id: generateRecordId('tr'),
+    messages: messages.map(({ role, content }) => ({ role, content })),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Save transcripts of a user
+ * @param {string} userId - User id
+ * @param {Array<Object>} transcripts - Records from createTranscript
+ * @returns {boolean} - Whether they were written
+ */
+function saveTranscripts(userId, transcripts) {
+  return appendRecords(userId, transcripts);
+}
+
+/**
+ * Save the rolling summary segments that memories are extracted from
+ * @param {string} userId - User id
+ * @param {Array<Object>} segments - Segments { id, level, text, transcriptIds, createdAt }
+ * @returns {boolean} - Whether they were written
+ */
+function saveSummaries(userId, segments) {
+  return appendRecords(userId, segments.map(segment => ({
+    type: 'summary',
+    id: segment.id,
+    text: segment.text,
+    level: segment.level,
+    transcriptIds: segment.transcriptIds || [],
+    createdAt: segment.createdAt
+  })));
+}
+
+/**
+ * Read every record of a user
+ * @param {string} userId - User id
+ * @returns {Map<string, Object>} - Records by id
+ */
+function readRecords(userId) {
+  const records = new Map();
+  const filePath = getTranscriptPath(userId);
+  if (!fs.existsSync(filePath)) {
+    return records;
+  }
+
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      records.set(record.id, record);
+    } catch (error) {
+      // A line cut short by a crash; the rest is still readable
+    }
+  });
+  return records;
+}
+
+/**
+ * Split a comma-separated id list from memory metadata
+ * @param {string|undefined} value - e.g. "sum_1, sum_2"
+ * @returns {Array<string>}
+ */
+function splitIds(value) {
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Find the summaries and transcripts a memory came from
+ * @param {string} userId - User id
+ * @param {Object} metadata - Memory metadata (summary_ids, transcript_ids)
+ * @returns {Object} - { summaries, transcripts, missing: ids without a saved record }
+ */
+function getMemorySources(userId, metadata = {}) {
+  const records = readRecords(userId);
+  const summaryIds = splitIds(metadata.summary_ids);
+  const transcriptIds = new Set(splitIds(metadata.transcript_ids));
+  const missing = [];
+
+  const summaries = [];
+  summaryIds.forEach(id => {
+    const summary = records.get(id);
+    if (!summary) {
+      missing.push(id);
+      return;
+    }
+    summaries.push(summary);
+    summary.transcriptIds.forEach(transcriptId => transcriptIds.add(transcriptId));
+  });
+
+  const transcripts = [];
+  transcriptIds.forEach(id => {
+    if (records.has(id)) {
+      transcripts.push(records.get(id));
+    } else {
+      missing.push(id);
+    }
+  });
+
+  return { summaries, transcripts, missing };
+}
+
+/**
+ * Ids of the summaries and transcripts memories came from, including the
+ * transcripts their summaries cover
+ * @param {Map<string, Object>} records - Records by id
+ * @param {Array<Object>} metadatas - Memory metadata (summary_ids, transcript_ids)
+ * @returns {Set<string>}
+ */
+function collectSourceIds(records, metadatas) {
+  const ids = new Set();
+  metadatas.forEach(metadata => {
+    splitIds(metadata.summary_ids).forEach(id => {
+      ids.add(id);
+      const summary = records.get(id);
+      (summary ? summary.transcriptIds : []).forEach(transcriptId => ids.add(transcriptId));
+    });
+    splitIds(metadata.transcript_ids).forEach(id => ids.add(id));
+  });
+  return ids;
+}
+
+/**
+ * Remove the sources of forgotten memories so their text cannot be shown
+ * again. A record no other memory comes from is deleted; a record shared
+ * with a kept memory stays, with its text replaced, so the link still resolves.
+ * @param {string} userId - User id
+ * @param {Array<Object>} forgotten - Metadata of the forgotten memories
+ * @param {Array<Object>} kept - Metadata of every memory that stays
+ * @returns {Object} - { deleted, redacted } record counts
+ */
+function forgetSources(userId, forgotten, kept = []) {
+  const records = readRecords(userId);
+  const forgottenIds = collectSourceIds(records, forgotten);
+  const keptIds = collectSourceIds(records, kept);
+  let deleted = 0;
+  let redacted = 0;
+
+  forgottenIds.forEach(id => {
+    const record = records.get(id);
+    if (!record) {
+      return;
+    }
+    if (!keptIds.has(id)) {
+      records.delete(id);
+      deleted++;
+    } else if (record.type === 'summary') {
+      records.set(id, { ...record, text: FORGOTTEN_TEXT });
+      redacted++;
+    } else {
+      records.set(id, { ...record, messages: record.messages.map(({ role }) => ({ role, content: FORGOTTEN_TEXT })) });
+      redacted++;
+    }
+  });
+
+  if (deleted + redacted > 0) {
+    const filePath = getTranscriptPath(userId);
+    if (records.size === 0) {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      // Rewritten whole, so the old lines do not survive further down the file
+      fs.writeFileSync(filePath, [...records.values()].map(record => `${JSON.stringify(record)}\n`).join(''));
+    }
+  }
+  return { deleted, redacted };
+}
+
+/**
+ * Delete every transcript and summary of a user
+ * @param {string} userId - User id
+ * @returns {number} - Records deleted
+ */
+function deleteTranscripts(userId) {
+  const filePath = getTranscriptPath(userId);
+  const count = readRecords(userId).size;
+  fs.rmSync(filePath, { force: true });
+  return count;
+}
+
+module.exports = {
+  getTranscriptSettings,
+  generateRecordId,
+  createTranscript,
+  saveTranscripts,
+  saveSummaries,
+  getMemorySources,
+  splitIds,
+  forgetSources,
+  deleteTranscripts,
+};
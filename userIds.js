@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * User ids in storage names. An id is free text, so names keep a short
+ * readable slug of it plus a hash of the exact id: "Bob.Smith", "bob_smith"
+ * and "bob smith" slug alike but never share a collection or transcript file,
+ * and "Default" or "!!!" are not mistaken for the default user.
+ */
+
+// User whose memories live in the original, unprefixed collection
+const DEFAULT_USER_ID = 'default';
+
+// Slug characters kept; with the hash and a 40 character collection name
+// this stays under Chroma's 63 character limit
+const SLUG_LENGTH = 12;
+const HASH_LENGTH = 8;
+
+/**
+ * Key naming a user's collection and transcript file
+ * @param {string} userId - User or tenant id
+ * @returns {string} - "default" for the default user, otherwise <slug>_<hash>
+ */
+function getUserKey(userId = DEFAULT_USER_ID) {
+  const id = String(userId);
+  if (id === DEFAULT_USER_ID) {
+    return DEFAULT_USER_ID;
+  }
+
+  const slug = id
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .slice(0, SLUG_LENGTH)
+    .replace(/^_+|_+$/g, '') || 'user';
+  const hash = crypto.createHash('sha256').update(id).digest('hex').slice(0, HASH_LENGTH);
+  return `${slug}_${hash}`;
+}
+
+module.exports = {
+  DEFAULT_USER_ID,
+  getUserKey
+};
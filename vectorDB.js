@@ -1,57 +1,197 @@
 require('dotenv').config();
-const { ChromaClient } = require('chromadb');
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { createChromaStore } = require('./chromaStore');
+const { createLocalStore, cosineDistance, matchesWhere } = require('./localStore');
+const { createLexicalIndex } = require('./lexicalIndex');
+const { getRankingSettings, scoreMemory, getImportance } = require('./memoryScoring');
+const { buildWhere, timeScopeFilters, topicFlags, entityFlags } = require('./memoryFilters');
+const { isStalePlan, toEventMetadata } = require('./temporal');
+const { embedText, embedTexts } = require('./embeddings');
+const { mergeNarratives, detectContradictions, getPromptProvenance, resolveEventDate } = require('./memoryProcessor');
+const { splitIds } = require('./transcriptStore');
+const { getResilienceSettings, callWithPolicy, createCircuitBreaker } = require('./resilience');
+const { getConfig } = require('./config');
+const { DEFAULT_USER_ID, getUserKey } = require('./userIds');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Number of related memories checked for conflicts
+const CONFLICT_CANDIDATES = 5;
+// Candidates fetched from each index per requested result
+const SEARCH_CANDIDATE_FACTOR = 4;
+// Keywords stored as topics on each memory
+const TOPIC_LIMIT = 5;
+// Entity lists and event date fields, rebuilt when a narrative is rewritten
+const ENTITY_FIELDS = ['entities', 'people', 'places', 'organizations'];
+const EVENT_FIELDS = ['event_date', 'event_date_ms', 'event_end_ms', 'event_precision', 'time_expression'];
+// Collection methods that reach the store, guarded by timeout, retries and circuit breaker
+const STORE_METHODS = ['add', 'get', 'query', 'update', 'upsert', 'delete', 'count', 'peek'];
+// Writes that would be applied twice if retried after a timeout that the store
+// had not noticed (an add duplicates, an update built from old metadata overwrites)
+const NON_IDEMPOTENT_METHODS = ['add', 'update'];
 
-let client = null;
-let collection = null;
+let backend = null;
+const collections = new Map();
+// Lexical index per collection, rebuilt after the collection changes
+const lexicalIndexes = new WeakMap();
+// Fails fast while the store is down instead of waiting on every call; created on first use
+let storeBreaker = null;
+// Whether the last search could use memory, for the REPL's degraded-mode banner
+let memoryStatus = { available: true, reason: null, since: null };
 
 /**
- * Initialize Chroma DB client and collection
+ * Create the storage backend selected by VECTOR_STORE (chroma or local)
+ * @returns {Object} - Backend with getCollection(name, metadata)
  */
-async function initializeChroma() {
-  if (!client) {
-    // Initialize ChromaClient - connects to local ChromaDB server
-    // Default: http://localhost:8000
-    const chromaPath = process.env.CHROMA_PATH || 'http://localhost:8000';
-    client = new ChromaClient({
-      path: chromaPath
+function createBackend() {
+  const backendName = getConfig('store.backend');
+
+  switch (backendName) {
+    case 'chroma':
+      return createChromaStore();
+    case 'local':
+      return createLocalStore();
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${backendName}" (expected chroma or local)`);
+  }
+}
+
+/**
+ * Replace the storage backend (used by tests and scripts).
+ * Open collections, the circuit breaker and the memory status are reset.
+ * @param {Object|null} newBackend - Backend with getCollection(name, metadata), or null to rebuild from VECTOR_STORE
+ */
+function setBackend(newBackend) {
+  backend = newBackend;
+  collections.clear();
+  storeBreaker = null;
+  memoryStatus = { available: true, reason: null, since: null };
+}
+
+/**
+ * Name of the collection holding a user's memories.
+ * The default user keeps the configured collection ("memories" by default);
+ * other users get it with their key (slug and hash of the id) as a suffix.
+ * @param {string} userId - User or tenant id
+ * @returns {string} - Collection name
+ */
+function getCollectionName(userId = DEFAULT_USER_ID) {
+  const key = getUserKey(userId);
+  
+  const collectionName = getConfig('store.collection');
+  if (key === DEFAULT_USER_ID) {
+    return collectionName;
+  }
+  return `${collectionName}_${key}`;
+}
+
+/**
+ * The vector store circuit breaker (BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS)
+ * @returns {Object} - Circuit breaker
+ */
+function getStoreBreaker() {
+  if (!storeBreaker) {
+    const settings = getResilienceSettings();
+    storeBreaker = createCircuitBreaker({
+      name: 'Vector store',
+      threshold: settings.breakerThreshold,
+      cooldownMs: settings.breakerCooldownMs
     });
-    
-    try {
-      // Try to get existing collection or create new one
-      collection = await client.getOrCreateCollection({
-        name: 'memories',
-        metadata: { description: 'AI conversation memory chunks' }
+  }
+  return storeBreaker;
+}
+
+/**
+ * Run a vector store call with the store timeout and retries, through the circuit breaker.
+ * The store client takes no AbortSignal, so a call that timed out keeps running.
+ * @param {string} label - What is being called, for log lines
+ * @param {Function} fn - Async call
+ * @param {Object} options - { retryTimeouts: false for writes that must not run twice }
+ * @returns {Promise<*>} - Result of the call
+ */
+async function runStoreCall(label, fn, options = {}) {
+  const settings = getResilienceSettings();
+  return getStoreBreaker().call(() => callWithPolicy(() => fn(), {
+    label,
+    timeoutMs: settings.storeTimeoutMs,
+    retries: settings.storeMaxRetries,
+    baseMs: settings.retryBaseMs,
+    retryTimeouts: options.retryTimeouts
+  }));
+}
+
+/**
+ * Route a collection's store calls through runStoreCall
+ * @param {Object} collection - Backend collection
+ * @param {string} name - Collection name
+ * @returns {Object} - Collection with the same API
+ */
+function guardCollection(collection, name) {
+  return new Proxy(collection, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== 'function' || !STORE_METHODS.includes(prop)) {
+        return value;
+      }
+      return (...args) => runStoreCall(`Vector store ${prop} on ${name}`, () => value.apply(target, args), {
+        retryTimeouts: !NON_IDEMPOTENT_METHODS.includes(prop)
       });
-      console.log('[VectorDB] Chroma initialized successfully');
-    } catch (error) {
-      console.error('[VectorDB] Error initializing Chroma:', error.message);
-      console.error('[VectorDB] Make sure ChromaDB server is running on', chromaPath);
-      console.error('[VectorDB] Run: docker run -p 8000:8000 chromadb/chroma');
-      throw error;
     }
+  });
+}
+
+/**
+ * Initialize the storage backend and a user's memories collection
+ * @param {string} userId - User or tenant id
+ * @returns {Promise<Object>} - Collection
+ */
+async function initializeStore(userId = DEFAULT_USER_ID) {
+  const name = getCollectionName(userId);
+  
+  if (!collections.has(name)) {
+    if (!backend) {
+      backend = createBackend();
+    }
+    const collection = await runStoreCall('Vector store connection', () => backend.getCollection(name, {
+      description: `AI conversation memory chunks for ${userId}`,
+      'hnsw:space': 'cosine'
+    }));
+    collections.set(name, guardCollection(collection, name));
   }
   
-  return collection;
+  return collections.get(name);
 }
 
 /**
- * Generate embedding for a text using OpenAI
+ * Whether memory could be used by the last search
+ * @returns {Object} - { available, reason: why not, since: when it became unavailable (ms), circuit: vector store circuit state }
+ */
+function getMemoryStatus() {
+  return { ...memoryStatus, circuit: getStoreBreaker().getState().state };
+}
+
+/**
+ * Record the outcome of a search for getMemoryStatus
+ * @param {Error|null} error - Error that made the search fail, null on success
+ */
+function setMemoryStatus(error) {
+  if (!error) {
+    memoryStatus = { available: true, reason: null, since: null };
+    return;
+  }
+  memoryStatus = {
+    available: false,
+    reason: error.message,
+    since: memoryStatus.available ? Date.now() : memoryStatus.since
+  };
+}
+
+/**
+ * Generate embedding for a text using the configured provider (cached)
  * @param {string} text - Text to generate embedding for
  * @returns {Promise<number[]>} - Embedding vector
  */
 async function generateEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-    });
-    
-    return response.data[0].embedding;
+    return await embedText(text);
   } catch (error) {
     console.error('[VectorDB] Error generating embedding:', error.message);
     throw error;
@@ -59,90 +199,620 @@ async function generateEmbedding(text) {
 }
 
 /**
- * Search for relevant memories in vector database
+ * Generate embeddings for several texts in batches (cached)
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @returns {Promise<number[][]>} - One embedding per text
+ */
+async function generateEmbeddings(texts) {
+  try {
+    return await embedTexts(texts);
+  } catch (error) {
+    console.error('[VectorDB] Error generating embeddings:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a memory is still current (not replaced by a newer one)
+ * @param {Object} metadata - Memory metadata
+ * @returns {boolean}
+ */
+function isActiveMemory(metadata) {
+  return !metadata || metadata.status !== 'superseded';
+}
+
+/**
+ * Query the collection, leaving out superseded memories unless asked for.
+ * Chroma cannot reliably filter on a key that older memories do not have,
+ * so the query over-fetches by the number of superseded memories instead.
+ * @param {Object} collection - Collection to query
+ * @param {number[]} embedding - Query embedding
+ * @param {number} limit - Maximum number of results
+ * @param {boolean} includeSuperseded - Keep superseded memories
+ * @param {Object|null} where - Metadata filter
+ * @returns {Promise<Array>} - Results {id, narrative, metadata, distance}
+ */
+async function queryMemories(collection, embedding, limit, includeSuperseded = false, where = null) {
+  const count = await collection.count();
+  if (count === 0) {
+    return [];
+  }
+  
+  let extra = 0;
+  if (!includeSuperseded) {
+    const supersededWhere = where ? { $and: [where, { status: 'superseded' }] } : { status: 'superseded' };
+    const superseded = await collection.get({ where: supersededWhere, include: [] });
+    extra = superseded.ids.length;
+  }
+  
+  const results = await collection.query({
+    queryEmbeddings: [embedding],
+    nResults: Math.min(limit + extra, count),
+    ...(where ? { where } : {})
+  });
+  
+  if (!results.documents || !results.documents[0]) {
+    return [];
+  }
+  
+  return results.documents[0]
+    .map((doc, idx) => ({
+      id: results.ids[0][idx],
+      narrative: doc,
+      metadata: results.metadatas[0][idx] || {},
+      distance: results.distances[0][idx]
+    }))
+    .filter(memory => includeSuperseded || isActiveMemory(memory.metadata))
+    .slice(0, limit);
+}
+
+/**
+ * Get the lexical index of a collection, building it on first use
+ * @param {Object} collection - Collection to index
+ * @returns {Promise<Object>} - { index, metadataById }
+ */
+async function getLexicalIndex(collection) {
+  if (!lexicalIndexes.has(collection)) {
+    const count = await collection.count();
+    const results = count > 0
+      ? await collection.get({ limit: count })
+      : { ids: [], documents: [], metadatas: [] };
+    
+    const metadataById = new Map();
+    results.ids.forEach((id, idx) => metadataById.set(id, results.metadatas[idx] || {}));
+    
+    lexicalIndexes.set(collection, {
+      index: createLexicalIndex(results.ids.map((id, idx) => ({ id, text: results.documents[idx] }))),
+      metadataById
+    });
+  }
+  return lexicalIndexes.get(collection);
+}
+
+/**
+ * Drop a collection's lexical index after its memories changed
+ * @param {Object} collection - Changed collection
+ */
+function invalidateLexicalIndex(collection) {
+  lexicalIndexes.delete(collection);
+}
+
+/**
+ * Keyword search over a collection's narratives
+ * @param {Object} collection - Collection to search
+ * @param {string} query - Query text
+ * @param {number} limit - Maximum number of results
+ * @param {boolean} includeSuperseded - Keep superseded memories
+ * @param {Object|null} where - Metadata filter
+ * @returns {Promise<Array>} - Matches {id, score}, best first
+ */
+async function searchLexical(collection, query, limit, includeSuperseded = false, where = null) {
+  const { index, metadataById } = await getLexicalIndex(collection);
+  return index
+    .search(query, index.size)
+    .filter(match => includeSuperseded || isActiveMemory(metadataById.get(match.id)))
+    .filter(match => matchesWhere(metadataById.get(match.id), where))
+    .slice(0, limit);
+}
+
+/**
+ * Record that memories were used, for recency ranking
+ * @param {Object} collection - Collection holding the memories
+ * @param {Array} memories - Memories returned by a search
+ */
+async function recordAccess(collection, memories) {
+  const now = new Date().toISOString();
+  
+  for (const memory of memories) {
+    memory.metadata = {
+      ...memory.metadata,
+      last_accessed: now,
+      access_count: (memory.metadata.access_count || 0) + 1
+    };
+    try {
+      await collection.update({ ids: [memory.id], metadatas: [memory.metadata] });
+    } catch (error) {
+      // Ranking data only: a failed update must not fail the search
+      console.error('[VectorDB] Error recording memory access:', error.message);
+    }
+  }
+}
+
+/**
+ * Search for relevant memories in vector database.
+ * Vector and keyword (BM25) candidates are fused into one score; memories
+ * farther than the distance cutoff are dropped unless they match the query
+ * words strongly, so unrelated queries return nothing.
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
- * @returns {Promise<Array>} - Array of matching memories
+ * @param {Object} options - { userId, includeSuperseded: also return replaced memories, maxDistance: override search.maxDistance,
+ *   trackAccess: false to leave last_accessed / access_count alone (e.g. for previews),
+ *   filters: { topic, entity, source, since, until, when },
+ *   timeScope: from temporal.parseTimeScope; every memory in the time range counts as relevant }
+ * @returns {Promise<Array>} - Matching memories {id, narrative, metadata, distance, similarity, lexicalScore,
+ *   relevance, recency, importance, score, stale: a plan whose date has passed}, best first
  */
-async function searchMemories(query, limit = 3) {
+async function searchMemories(query, limit = getConfig('retrieval.limit'), options = {}) {
   try {
-    await initializeChroma();
+    const collection = await initializeStore(options.userId);
+    const defaultMaxDistance = options.timeScope ? Infinity : getConfig('search.maxDistance');
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : defaultMaxDistance;
+    const candidateLimit = limit * SEARCH_CANDIDATE_FACTOR;
+    const where = buildWhere({ ...options.filters, ...timeScopeFilters(options.timeScope) });
     
     // Generate embedding for the query
     const queryEmbedding = await generateEmbedding(query);
     
-    // Search the collection
-    const results = await collection.query({
-      queryEmbeddings: [queryEmbedding],
-      nResults: limit,
+    // Collect candidates from both indexes
+    const vectorHits = await queryMemories(collection, queryEmbedding, candidateLimit, options.includeSuperseded, where);
+    const lexicalHits = await searchLexical(collection, query, candidateLimit, options.includeSuperseded, where);
+    
+    const candidates = new Map(vectorHits.map(memory => [memory.id, {
+      ...memory,
+      similarity: distanceToSimilarity(collection, memory.distance),
+      lexicalScore: 0
+    }]));
+    
+    // Keyword-only hits still need a vector similarity for the fused score
+    const missingIds = lexicalHits.map(match => match.id).filter(id => !candidates.has(id));
+    if (missingIds.length > 0) {
+      const results = await collection.get({ ids: missingIds, include: ['documents', 'metadatas', 'embeddings'] });
+      results.ids.forEach((id, idx) => {
+        const similarity = 1 - cosineDistance(queryEmbedding, results.embeddings[idx]);
+        candidates.set(id, {
+          id,
+          narrative: results.documents[idx],
+          metadata: results.metadatas[idx] || {},
+          distance: similarityToDistance(collection, similarity),
+          similarity,
+          lexicalScore: 0
+        });
+      });
+    }
+    
+    lexicalHits.forEach(match => {
+      if (candidates.has(match.id)) {
+        candidates.get(match.id).lexicalScore = match.score;
+      }
     });
     
-    // Format results
-    if (results.documents && results.documents[0] && results.documents[0].length > 0) {
-      return results.documents[0].map((doc, idx) => ({
-        narrative: doc,
-        metadata: results.metadatas[0][idx] || {},
-        distance: results.distances[0][idx]
-      }));
+    // Fuse: vector similarity plus the lexical score scaled to the best match,
+    // then rank by relevance, recency and importance
+    const maxLexicalScore = lexicalHits.length > 0 ? lexicalHits[0].score : 0;
+    const rankingSettings = getRankingSettings();
+    const now = Date.now();
+    const lexicalMinScore = getConfig('search.lexicalMinScore');
+    const vectorWeight = getConfig('search.vectorWeight');
+    const results = [...candidates.values()]
+      .filter(memory => 1 - memory.similarity <= maxDistance || memory.lexicalScore >= lexicalMinScore)
+      .map(memory => {
+        const relevance = vectorWeight * Math.max(0, memory.similarity)
+          + (1 - vectorWeight) * (maxLexicalScore > 0 ? memory.lexicalScore / maxLexicalScore : 0);
+        return {
+          ...memory,
+          ...scoreMemory(memory.metadata, relevance, rankingSettings, now),
+          stale: isStalePlan(memory.metadata, now)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    
+    if (options.trackAccess !== false) {
+      await recordAccess(collection, results);
     }
     
-    return [];
+    setMemoryStatus(null);
+    return results;
   } catch (error) {
+    // Callers carry on without memories; getMemoryStatus tells them why
     console.error('[VectorDB] Error searching memories:', error.message);
+    setMemoryStatus(error);
     return [];
   }
 }
 
 /**
- * Store memory chunks in vector database
- * @param {Array} chunks - Array of chunk objects {narrative, metadata}
+ * Record that memories returned with trackAccess: false were used after all
+ * @param {Array} memories - Memories from searchMemories
+ * @param {Object} options - { userId }
  * @returns {Promise<void>}
  */
-async function storeMemories(chunks) {
+async function markMemoriesAccessed(memories, options = {}) {
+  if (memories.length === 0) {
+    return;
+  }
   try {
-    await initializeChroma();
+    const collection = await initializeStore(options.userId);
+    await recordAccess(collection, memories);
+  } catch (error) {
+    console.error('[VectorDB] Error recording memory access:', error.message);
+  }
+}
+
+/**
+ * Convert a query distance into a similarity in [0, 1]
+ * @param {Object} collection - Collection the distance comes from
+ * @param {number} distance - Distance returned by the collection
+ * @returns {number} - Similarity (1 = identical)
+ */
+function distanceToSimilarity(collection, distance) {
+  const space = (collection.metadata && collection.metadata['hnsw:space']) || 'l2';
+  if (space === 'cosine') {
+    return Math.min(1, 1 - distance);
+  }
+  if (space === 'ip') {
+    return Math.min(1, -distance);
+  }
+  // Squared L2 between unit vectors is 2 - 2 * cosine
+  return Math.min(1, 1 - distance / 2);
+}
+
+/**
+ * Convert a similarity into the distance a collection would report
+ * @param {Object} collection - Collection the distance is for
+ * @param {number} similarity - Cosine similarity
+ * @returns {number} - Distance in the collection's space
+ */
+function similarityToDistance(collection, similarity) {
+  const space = (collection.metadata && collection.metadata['hnsw:space']) || 'l2';
+  if (space === 'cosine') {
+    return 1 - similarity;
+  }
+  if (space === 'ip') {
+    return -similarity;
+  }
+  return 2 - 2 * similarity;
+}
+
+/**
+ * Find the active memories nearest to an embedding
+ * @param {Object} collection - Collection to search
+ * @param {number[]} embedding - Embedding to compare against
+ * @param {number} limit - Maximum number of neighbours
+ * @returns {Promise<Array>} - Neighbours {id, narrative, metadata, similarity}
+ */
+async function findNearestMemories(collection, embedding, limit) {
+  const results = await queryMemories(collection, embedding, limit);
+  return results.map(({ distance, ...memory }) => ({
+    ...memory,
+    similarity: distanceToSimilarity(collection, distance)
+  }));
+}
+
+/**
+ * Find the related memories a chunk contradicts. The nearest memory is
+ * always asked about when the chunk would be skipped or merged into it:
+ * "lives in Tokyo" and "lives in Osaka" can be that close.
+ * @param {string} narrative - Narrative of the chunk
+ * @param {Array} neighbours - Nearest active memories, nearest first
+ * @returns {Promise<Array>} - Contradicted neighbours
+ */
+async function findContradictions(narrative, neighbours) {
+  const related = neighbours.filter((memory, idx) =>
+    memory.similarity >= getConfig('dedup.conflictSimilarity')
+    || (idx === 0 && memory.similarity >= getConfig('dedup.mergeSimilarity'))
+  );
+  if (related.length === 0) {
+    return [];
+  }
+  
+  const contradictedIds = await detectContradictions(narrative, related);
+  return related.filter(memory => contradictedIds.includes(memory.id));
+}
+
+/**
+ * Mark stored memories that a new memory contradicts as superseded.
+ * They are kept (with a validity interval and a link to their replacement)
+ * so the history of a fact can still be shown.
+ * @param {Object} collection - Collection holding the memories
+ * @param {string} id - Id of the new memory
+ * @param {Array} contradicted - Memories from findContradictions
+ * @param {string} now - ISO timestamp of the change
+ * @returns {Promise<Array<string>>} - Ids of the superseded memories
+ */
+async function supersedeContradictions(collection, id, contradicted, now) {
+  for (const memory of contradicted) {
+    await collection.update({
+      ids: [memory.id],
+      metadatas: [{
+        ...memory.metadata,
+        status: 'superseded',
+        superseded_by: id,
+        valid_from: memory.metadata.valid_from || memory.metadata.timestamp || now,
+        valid_to: now
+      }]
+    });
+    console.log(`[VectorDB] Memory ${memory.id} superseded by ${id}`);
+  }
+  
+  return contradicted.map(memory => memory.id);
+}
+
+/**
+ * Metadata of a memory whose narrative was rewritten (merged or edited).
+ * Everything worked out from the old narrative is dropped and worked out
+ * again, so flags the new text no longer supports do not linger:
+ * - topics and topic_* flags
+ * - entity names still mentioned, plus those of a merged chunk, and entity_* flags
+ * - the event date: the merged chunk's, the stored one while its time
+ *   expression is still there, or resolved from the new narrative
+ * @param {Object} metadata - Stored memory metadata
+ * @param {string} narrative - New narrative
+ * @param {Object} index - Lexical index of the collection, for topics
+ * @param {Object} incoming - Metadata of the chunk merged in ({} for an edit)
+ * @returns {Object} - Metadata with the derived fields rebuilt
+ */
+function rebuildNarrativeMetadata(metadata, narrative, index, incoming = {}) {
+  const rebuilt = Object.fromEntries(Object.entries(metadata).filter(([key]) =>
+    !key.startsWith('topic_')
+    && !key.startsWith('entity_')
+    && !ENTITY_FIELDS.includes(key)
+    && !EVENT_FIELDS.includes(key)));
+  const text = narrative.toLowerCase();
+  const listNames = value => (value ? value.split(',').map(name => name.trim()).filter(Boolean) : []);
+  
+  const topics = index.keywords(narrative, TOPIC_LIMIT);
+  Object.assign(rebuilt, { topics: topics.join(', ') }, topicFlags(topics));
+  
+  ENTITY_FIELDS.forEach(field => {
+    const names = [...new Set([
+      ...listNames(metadata[field]).filter(name => text.includes(name.toLowerCase())),
+      ...listNames(incoming[field])
+    ])];
+    // Only the full list is always present, as in a freshly extracted chunk
+    if (names.length > 0 || field === 'entities') {
+      rebuilt[field] = names.join(', ');
+    }
+  });
+  Object.assign(rebuilt, entityFlags(listNames(rebuilt.entities)));
+  
+  if (incoming.event_date) {
+    EVENT_FIELDS.forEach(field => { rebuilt[field] = incoming[field]; });
+  } else if (metadata.time_expression && text.includes(metadata.time_expression.toLowerCase())) {
+    EVENT_FIELDS.forEach(field => { rebuilt[field] = metadata[field]; });
+  } else {
+    const { eventDate } = resolveEventDate(narrative, metadata.category, null, new Date());
+    Object.assign(rebuilt, eventDate ? toEventMetadata(eventDate) : {});
+  }
+  return rebuilt;
+}
+
+/**
+ * Metadata for collection.update, which merges into the stored metadata:
+ * keys the new metadata no longer has are sent as null, which removes them
+ * @param {Object} previous - Stored metadata
+ * @param {Object} next - Complete new metadata
+ * @returns {Object}
+ */
+function replaceMetadata(previous, next) {
+  const removed = Object.keys(previous).filter(key => !(key in next));
+  return { ...Object.fromEntries(removed.map(key => [key, null])), ...next };
+}
+
+/**
+ * Provenance of a memory a chunk was merged into: the chunk's extraction
+ * prompt and model, plus the merge prompt when it rewrote the narrative
+ * @param {Object} incoming - Chunk metadata
+ * @param {boolean} rewritten - Whether the merge prompt produced the narrative
+ * @returns {Object} - prompt_version, prompt_hash, model, provider, merge_prompt_version, merge_model
+ */
+function mergeProvenance(incoming, rewritten) {
+  const provenance = {};
+  ['prompt_version', 'prompt_hash', 'model', 'provider']
+    .filter(field => incoming[field] !== undefined)
+    .forEach(field => { provenance[field] = incoming[field]; });
+  if (rewritten) {
+    const merge = getPromptProvenance('merge');
+    provenance.merge_prompt_version = merge.prompt_version;
+    provenance.merge_model = merge.model;
+  }
+  return provenance;
+}
+
+/**
+ * Combine the source links of a stored memory and a chunk that repeats or
+ * adds to it, so both conversations can be traced (see transcriptStore)
+ * @param {Object} existing - Stored memory metadata
+ * @param {Object} incoming - Chunk metadata
+ * @returns {Object} - summary_ids and transcript_ids, when either has them
+ */
+function mergeSourceIds(existing, incoming) {
+  const merged = {};
+  ['summary_ids', 'transcript_ids'].forEach(field => {
+    const ids = [...new Set([...splitIds(existing[field]), ...splitIds(incoming[field])])];
+    if (ids.length > 0) {
+      merged[field] = ids.join(',');
+    }
+  });
+  return merged;
+}
+
+/**
+ * Generate a unique memory id
+ * @returns {string} - Memory id
+ */
+function generateMemoryId() {
+  return `chunk_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Store memory chunks in vector database.
+ * Each chunk is compared against its nearest stored memories first:
+ * near-identical chunks are skipped, close ones are merged into the
+ * existing memory, and the rest are added as new memories.
+ * Stored memories the chunk contradicts are marked as superseded by it.
+ * Topics are the chunk's most distinctive words (TF-IDF) against the stored memories.
+ * @param {Array} chunks - Array of chunk objects {narrative, metadata}
+ * @param {Object} options - { userId }
+ * @returns {Promise<Array>} - One decision per chunk {action, id, narrative, matchId, similarity, superseded}
+ */
+async function storeMemories(chunks, options = {}) {
+  try {
+    const collection = await initializeStore(options.userId);
     
     if (!chunks || chunks.length === 0) {
       console.log('[VectorDB] No chunks to store');
-      return;
+      return [];
     }
     
     console.log(`[VectorDB] Generating embeddings for ${chunks.length} chunks...`);
+    const embeddings = await generateEmbeddings(chunks.map(chunk => chunk.narrative));
     
-    // Generate embeddings for all chunks
-    const embeddings = [];
-    for (const chunk of chunks) {
-      const embedding = await generateEmbedding(chunk.narrative);
-      embeddings.push(embedding);
-    }
+    const decisions = [];
+    // Built once and kept up to date as chunks are stored, for their topics
+    const { index } = await getLexicalIndex(collection);
     
-    // Prepare data for storage
-    const ids = chunks.map((_, idx) => `chunk_${Date.now()}_${idx}`);
-    const documents = chunks.map(chunk => chunk.narrative);
-    const metadatas = chunks.map(chunk => chunk.metadata || {});
+    // Chunks are stored one at a time so later chunks in the same batch
+    // are deduplicated against earlier ones too
+    for (const [chunkIdx, chunk] of chunks.entries()) {
+      // Earlier chunks may have changed the collection: a search in the
+      // meantime builds a fresh index instead of using the batch's
+      invalidateLexicalIndex(collection);
+      const embedding = embeddings[chunkIdx];
+      const neighbours = await findNearestMemories(collection, embedding, CONFLICT_CANDIDATES);
+      const now = new Date().toISOString();
+      const contradicted = await findContradictions(chunk.narrative, neighbours);
+      // A contradicted memory is replaced, never skipped or merged into
+      const nearest = neighbours[0];
+      const sameFact = nearest && !contradicted.includes(nearest);
+      
+      if (sameFact && nearest.similarity >= getConfig('dedup.skipSimilarity')) {
+        // Already known: only record that it was seen again
+        await collection.update({
+          ids: [nearest.id],
+          metadatas: [{
+            ...nearest.metadata,
+            dedup_action: 'skipped',
+            dedup_similarity: nearest.similarity,
+            dedup_at: now,
+            skip_count: (nearest.metadata.skip_count || 0) + 1,
+            ...mergeSourceIds(nearest.metadata, chunk.metadata || {})
+          }]
+        });
+        decisions.push({ action: 'skipped', id: nearest.id, narrative: chunk.narrative, matchId: nearest.id, similarity: nearest.similarity, superseded: [] });
+        continue;
+      }
+      
+      if (sameFact && nearest.similarity >= getConfig('dedup.mergeSimilarity')) {
+        // Close enough to be the same fact: consolidate in place
+        const merged = await mergeNarratives(nearest.narrative, chunk.narrative);
+        const mergedEmbedding = merged === nearest.narrative
+          ? null
+          : await generateEmbedding(merged);
+        
+        await collection.update({
+          ids: [nearest.id],
+          documents: [merged],
+          ...(mergedEmbedding ? { embeddings: [mergedEmbedding] } : {}),
+          metadatas: [replaceMetadata(nearest.metadata, {
+            ...rebuildNarrativeMetadata(nearest.metadata, merged, index, chunk.metadata || {}),
+            chunk_length: merged.length,
+            dedup_action: 'updated',
+            dedup_similarity: nearest.similarity,
+            dedup_at: now,
+            revision: (nearest.metadata.revision || 1) + 1,
+            updated_at: now,
+            importance: Math.max(getImportance(nearest.metadata), getImportance(chunk.metadata || {})),
+            ...mergeProvenance(chunk.metadata || {}, merged !== nearest.narrative),
+            ...mergeSourceIds(nearest.metadata, chunk.metadata || {})
+          })]
+        });
+        index.add(nearest.id, merged);
+        const superseded = await supersedeContradictions(collection, nearest.id, contradicted, now);
+        decisions.push({ action: 'updated', id: nearest.id, narrative: merged, matchId: nearest.id, similarity: nearest.similarity, superseded });
+        continue;
+      }
+      
+      const id = generateMemoryId();
+      const topics = index.keywords(chunk.narrative, TOPIC_LIMIT);
+      const metadata = {
+        timestamp_ms: Date.now(),
+        ...(chunk.metadata || {}),
+        topics: topics.join(', '),
+        ...topicFlags(topics),
+        user_id: options.userId || DEFAULT_USER_ID,
+        dedup_action: 'new',
+        dedup_at: now,
+        revision: 1,
+        status: 'active',
+        valid_from: now
+      };
+      if (nearest) {
+        metadata.dedup_nearest_id = nearest.id;
+        metadata.dedup_similarity = nearest.similarity;
+      }
+      
+      await collection.add({
+        ids: [id],
+        embeddings: [embedding],
+        documents: [chunk.narrative],
+        metadatas: [metadata],
+      });
+      index.add(id, chunk.narrative);
+      
+      const superseded = await supersedeContradictions(collection, id, contradicted, now);
+      if (superseded.length > 0) {
+        await collection.update({
+          ids: [id],
+          metadatas: [{ ...metadata, supersedes: superseded.join(',') }]
+        });
+      }
+      decisions.push({ action: 'new', id, narrative: chunk.narrative, matchId: nearest ? nearest.id : null, similarity: nearest ? nearest.similarity : null, superseded });
+    }
+    invalidateLexicalIndex(collection);
     
-    // Add to collection
-    await collection.add({
-      ids,
-      embeddings,
-      documents,
-      metadatas,
-    });
+    const counts = countDecisions(decisions);
+    console.log(`[VectorDB] Stored ${chunks.length} chunks (${counts.new} new, ${counts.updated} updated, ${counts.skipped} skipped)`);
     
-    console.log(`[VectorDB] Successfully stored ${chunks.length} chunks`);
+    return decisions;
   } catch (error) {
     console.error('[VectorDB] Error storing memories:', error.message);
     throw error;
   }
 }
 
+/**
+ * Count store decisions by action
+ * @param {Array} decisions - Decisions returned by storeMemories
+ * @returns {Object} - { new, updated, skipped }
+ */
+function countDecisions(decisions) {
+  const counts = { new: 0, updated: 0, skipped: 0 };
+  decisions.forEach(decision => {
+    counts[decision.action]++;
+  });
+  return counts;
+}
+
 /**
  * Get all stored memories
+ * @param {Object} options - { userId, filters: { topic, entity, source, since, until },
+ *   strict: rethrow store errors instead of returning no memories }
  * @returns {Promise<Array>} - Array of all memories
  */
-async function getAllMemories() {
+async function getAllMemories(options = {}) {
   try {
-    await initializeChroma();
+    const collection = await initializeStore(options.userId);
     
     const count = await collection.count();
     
@@ -150,8 +820,10 @@ async function getAllMemories() {
       return [];
     }
     
+    const where = buildWhere(options.filters);
     const results = await collection.get({
-      limit: count
+      limit: count,
+      ...(where ? { where } : {})
     });
     
     if (results.documents && results.documents.length > 0) {
@@ -165,17 +837,147 @@ async function getAllMemories() {
     return [];
   } catch (error) {
     console.error('[VectorDB] Error getting all memories:', error.message);
+    if (options.strict) {
+      throw error;
+    }
     return [];
   }
 }
 
 /**
- * Clear all memories from the database
+ * Get memories by id
+ * @param {Array<string>} ids - Memory ids
+ * @param {Object} options - { userId }
+ * @returns {Promise<Array>} - Memories {id, narrative, metadata}
+ */
+async function getMemoriesByIds(ids, options = {}) {
+  const collection = await initializeStore(options.userId);
+  
+  if (ids.length === 0) {
+    return [];
+  }
+  
+  const results = await collection.get({ ids });
+  return results.ids.map((id, idx) => ({
+    id,
+    narrative: results.documents[idx],
+    metadata: results.metadatas[idx] || {}
+  }));
+}
+
+/**
+ * Get every version of the fact a memory belongs to, oldest first,
+ * by following supersedes / superseded_by links in both directions
+ * @param {string} id - Id of any version
+ * @param {Object} options - { userId }
+ * @returns {Promise<Array>} - Versions {id, narrative, metadata}
+ */
+async function getMemoryHistory(id, options = {}) {
+  const versions = new Map();
+  let pending = [id];
+  
+  while (pending.length > 0) {
+    const found = await getMemoriesByIds(pending, options);
+    pending = [];
+    
+    for (const memory of found) {
+      versions.set(memory.id, memory);
+      const linked = [
+        ...(memory.metadata.supersedes ? memory.metadata.supersedes.split(',') : []),
+        ...(memory.metadata.superseded_by ? [memory.metadata.superseded_by] : [])
+      ];
+      linked
+        .filter(linkedId => !versions.has(linkedId) && !pending.includes(linkedId))
+        .forEach(linkedId => pending.push(linkedId));
+    }
+  }
+  
+  return [...versions.values()].sort((a, b) => {
+    const fromA = a.metadata.valid_from || a.metadata.timestamp || '';
+    const fromB = b.metadata.valid_from || b.metadata.timestamp || '';
+    return fromA.localeCompare(fromB);
+  });
+}
+
+/**
+ * Delete specific memories
+ * @param {Array<string>} ids - Memory ids
+ * @param {Object} options - { userId }
+ * @returns {Promise<number>} - Number of memories deleted
+ */
+async function deleteMemories(ids, options = {}) {
+  try {
+    const existing = await getMemoriesByIds(ids, options);
+    
+    if (existing.length === 0) {
+      return 0;
+    }
+    
+    const collection = await initializeStore(options.userId);
+    await collection.delete({
+      ids: existing.map(memory => memory.id)
+    });
+    invalidateLexicalIndex(collection);
+    
+    console.log(`[VectorDB] Deleted ${existing.length} memories`);
+    return existing.length;
+  } catch (error) {
+    console.error('[VectorDB] Error deleting memories:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace the narrative of a memory and re-embed it
+ * @param {string} id - Memory id
+ * @param {string} narrative - New narrative
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object|null>} - Updated memory, or null if it does not exist
+ */
+async function updateMemoryNarrative(id, narrative, options = {}) {
+  try {
+    const [memory] = await getMemoriesByIds([id], options);
+    
+    if (!memory) {
+      return null;
+    }
+    
+    const collection = await initializeStore(options.userId);
+    const embedding = await generateEmbedding(narrative);
+    const { index } = await getLexicalIndex(collection);
+    const now = new Date().toISOString();
+    const metadata = {
+      ...rebuildNarrativeMetadata(memory.metadata, narrative, index),
+      chunk_length: narrative.length,
+      revision: (memory.metadata.revision || 1) + 1,
+      updated_at: now,
+      edited_at: now
+    };
+    
+    await collection.update({
+      ids: [id],
+      embeddings: [embedding],
+      documents: [narrative],
+      metadatas: [replaceMetadata(memory.metadata, metadata)]
+    });
+    invalidateLexicalIndex(collection);
+    
+    console.log(`[VectorDB] Updated memory ${id}`);
+    return { id, narrative, metadata };
+  } catch (error) {
+    console.error('[VectorDB] Error updating memory:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Clear all of a user's memories from the database
+ * @param {Object} options - { userId }
  * @returns {Promise<number>} - Number of memories deleted
  */
-async function clearAllMemories() {
+async function clearAllMemories(options = {}) {
   try {
-    await initializeChroma();
+    const collection = await initializeStore(options.userId);
     
     const count = await collection.count();
     
@@ -192,6 +994,7 @@ async function clearAllMemories() {
       await collection.delete({
         ids: results.ids
       });
+      invalidateLexicalIndex(collection);
       
       console.log(`[VectorDB] Cleared ${count} memories from database`);
       return count;
@@ -205,9 +1008,20 @@ async function clearAllMemories() {
 }
 
 module.exports = {
-  initializeChroma,
+  DEFAULT_USER_ID,
+  initializeStore,
+  setBackend,
+  getCollectionName,
   searchMemories,
+  markMemoriesAccessed,
+  getMemoryStatus,
   storeMemories,
   getAllMemories,
   clearAllMemories,
+  countDecisions,
+  getMemoriesByIds,
+  getMemoryHistory,
+  deleteMemories,
+  updateMemoryNarrative,
+  isActiveMemory,
 };